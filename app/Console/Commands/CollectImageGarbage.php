@@ -0,0 +1,49 @@
+<?php
+
+namespace App\Console\Commands;
+
+use App\Models\Image;
+use Illuminate\Console\Command;
+use Illuminate\Support\Facades\Log;
+
+class CollectImageGarbage extends Command
+{
+    protected $signature = 'images:gc
+                            {--dry-run : List the images that would be deleted without deleting them}
+                            {--grace-hours= : Keep unreferenced images stored less than this many hours ago}';
+    protected $description = 'Delete images in the scrapers\' image store that no event references';
+
+    public function handle()
+    {
+        // Every image URL an event still uses; image_gc.js deletes the stored files not among them
+        $referencesPath = storage_path('app/image_references.txt');
+        $references = Image::query()->distinct()->pluck('image_url')->filter()->implode("\n");
+        file_put_contents($referencesPath, $references);
+
+        $nodeScriptsPath = base_path('node_scripts');
+        $nodePath = '/usr/local/bin/node'; // Same node binary as scraper:run-all
+
+        $arguments = ' --references ' . escapeshellarg($referencesPath);
+        if ($this->option('dry-run')) {
+            $arguments .= ' --dry-run';
+        }
+        if ($this->option('grace-hours') !== null) {
+            $arguments .= ' --grace-hours ' . escapeshellarg($this->option('grace-hours'));
+        }
+
+        $command = "cd $nodeScriptsPath && $nodePath image_gc.js$arguments 2>&1";
+        Log::info('Executing command', ['command' => $command]);
+
+        exec($command, $output, $exitCode);
+        @unlink($referencesPath);
+
+        $this->line(implode("\n", $output));
+        if ($exitCode !== 0) {
+            Log::error('image_gc.js failed.', ['output' => $output]);
+            $this->error('image_gc.js failed.');
+            return 1;
+        }
+
+        return 0;
+    }
+}
@@ -7,7 +7,10 @@
 
 class RunScrapeAll extends Command
 {
-    protected $signature = 'scraper:run-all';
+    protected $signature = 'scraper:run-all
+                            {--only= : Comma-separated scrapers to run (see `node scrape_all.js --list`)}
+                            {--exclude= : Comma-separated scrapers to skip}
+                            {--concurrency= : Number of sites scraped at the same time}';
     protected $description = 'Run the scrape_all.js script';
 
     public function handle()
@@ -21,8 +24,16 @@ public function handle()
         $nodePath = '/usr/local/bin/node'; // Update this path if node is located elsewhere
         // Alternatively, you can use 'which node' to find the path
 
+        // Pass the scraper selection and concurrency through to scrape_all.js
+        $arguments = '';
+        foreach (['only', 'exclude', 'concurrency'] as $option) {
+            if ($this->option($option)) {
+                $arguments .= " --$option " . escapeshellarg($this->option($option));
+            }
+        }
+
         // Build the command, ensuring both stdout and stderr are captured
-        $command = "cd $nodeScriptsPath && $nodePath scrape_all.js 2>&1";
+        $command = "cd $nodeScriptsPath && $nodePath scrape_all.js$arguments 2>&1";
 
         Log::info('Executing command', ['command' => $command]);
 
@@ -4,6 +4,7 @@
 
 use Illuminate\Http\Request;
 use Illuminate\Support\Facades\Log;
+use App\Models\Event;
 use App\Services\DataTransformers\DataTransformerFactory;
 
 
@@ -19,6 +20,7 @@ public function scrape(Request $request)
             $request->validate([
                 'site' => 'required|string',
                 'events' => 'required|array',
+                'possibly_cancelled' => 'sometimes|array',
             ]);
         } catch (\Illuminate\Validation\ValidationException $e) {
             Log::error('Validation failed', ['errors' => $e->errors()]);
@@ -56,11 +58,58 @@ public function scrape(Request $request)
 
         Log::info('All events dispatched for processing for site', ['site' => $site]);
 
+        // Upcoming events that are no longer listed on the venue site
+        $this->flagPossiblyCancelled($site, $request->input('possibly_cancelled', []));
+
         return response()->json([
             'success' => true,
             'message' => 'Events have been dispatched for processing for site: ' . $site,
         ]);
     }
+
+    /**
+     * Flag the stored events that vanished from a venue site since its last scrape.
+     * They are matched on their event link and start date, or else on title and start
+     * date among the events linking to the same site, so a show of the same name at
+     * another venue is never flagged. Without an event link nothing is matched.
+     *
+     * @param string $site
+     * @param array $vanishedEvents Each with 'title', 'date_start' and 'event_link'
+     * @return void
+     */
+    protected function flagPossiblyCancelled(string $site, array $vanishedEvents): void
+    {
+        foreach ($vanishedEvents as $vanished) {
+            $eventLink = $vanished['event_link'] ?? null;
+            $host = $eventLink ? parse_url($eventLink, PHP_URL_HOST) : null;
+            if (empty($vanished['date_start']) || !$host) {
+                Log::info('Vanished event has no date or link to match on', ['site' => $site, 'vanished' => $vanished]);
+                continue;
+            }
+
+            $event = Event::whereDate('date_start', $vanished['date_start'])
+                ->whereHas('eventLinks', function ($query) use ($eventLink) {
+                    $query->where('url', $eventLink);
+                })
+                ->first();
+
+            if (!$event && !empty($vanished['title'])) {
+                $event = Event::where('title', $vanished['title'])
+                    ->whereDate('date_start', $vanished['date_start'])
+                    ->whereHas('eventLinks', function ($query) use ($host) {
+                        $query->where('url', 'like', '%://' . $host . '/%');
+                    })
+                    ->first();
+            }
+
+            if ($event) {
+                $event->update(['possibly_cancelled' => true]);
+                Log::info('Event flagged as possibly cancelled', ['site' => $site, 'event_id' => $event->id]);
+            } else {
+                Log::info('No stored event matches a vanished event', ['site' => $site, 'vanished' => $vanished]);
+            }
+        }
+    }
 }
 
 
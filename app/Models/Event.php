@@ -21,6 +21,13 @@ class Event extends Model
         'venue_id',
         'address',
         'external_id',
+        'ticket_status',
+        'ticket_release_date',
+        'possibly_cancelled',
+    ];
+
+    protected $casts = [
+        'possibly_cancelled' => 'boolean',
     ];
 
     /**
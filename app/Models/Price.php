@@ -10,11 +10,22 @@ class Price extends Model
     protected $fillable = [
         'event_id',
         'price_tier',
+        'original_label',
+        'price_type',
         'amount',
+        'amount_max',
         'currency',
+        'sold_out',
+        'drinks',
+        'drink_charge',
+        'tax',
         'discount_info',
     ];
 
+    protected $casts = [
+        'sold_out' => 'boolean',
+    ];
+
     /**
      * Define the relationship with the Event model.
      *
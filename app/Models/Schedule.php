@@ -9,6 +9,7 @@ class Schedule extends Model
     protected $fillable = [
         'event_id',
         'date',
+        'doors_open',
         'time_start',
         'time_end',
         'special_notes'
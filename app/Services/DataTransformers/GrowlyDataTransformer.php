@@ -64,7 +64,9 @@ public function processEvent(array $eventData): ?array
             $allFree = true; // Assume all prices are free unless proven otherwise
     
             foreach ($eventData['prices'] as $price) {
-                if (isset($price['amount']) && $price['amount'] > 0) {
+                // A donation, pay-what-you-want or TBA price is not free either
+                if ((isset($price['amount']) && $price['amount'] > 0)
+                    || in_array($price['price_type'] ?? 'fixed', ['donation', 'pay_what_you_want', 'tba'], true)) {
                     $allFree = false; // Found a price above zero, so it's not entirely free
                     break;
                 }
@@ -87,6 +89,9 @@ public function processEvent(array $eventData): ?array
                 // Append the original description and external_id to each processed event
                 $processedEvent['description'] = $eventData['description'] ?? '';
                 $processedEvent['external_id'] = $eventData['external_id'];
+                // Keep the scraper's ticket status rather than the model's reading of it
+                $processedEvent['ticket_status'] = $eventData['ticket_status'] ?? null;
+                $processedEvent['ticket_release_date'] = $eventData['ticket_release_date'] ?? null;
     
                 $this->processAndSaveEvent($processedEvent);
             }
@@ -157,6 +162,9 @@ public function updateEvent(int $eventId, array $eventData): ?Event
                     'venue_id' => $eventData['venue_id'],
                     'program' => $eventData['program'] ?? null,
                     'sold_out' => $eventData['sold_out'] ?? false,
+                    'ticket_status' => $eventData['ticket_status'] ?? null,
+                    'ticket_release_date' => $eventData['ticket_release_date'] ?? null,
+                    'possibly_cancelled' => false, // Listed on the venue site again
                 ]);
 
                 $this->saveSchedules($event->id, $eventData['schedule'] ?? []);
@@ -208,7 +216,8 @@ public function constructPrompt(array $eventData): string
              - Use 'YYYY-MM-DD' format for dates.
         
         2. **Schedule Parsing**:
-           - Create a 'schedule' array with entries that include 'date', 'time_start', 'time_end', and 'special_notes'.
+           - Create a 'schedule' array with entries that include 'date', 'doors_open', 'time_start', 'time_end', and 'special_notes'.
+           - 'doors_open' is when doors open (開場 / OPEN) and 'time_start' is when the show starts (開演 / START). Set 'doors_open' to null if it is not given.
         
         3. **Category Assignment**:
            - Assign one or more of the following predefined categories based on keywords in the 'title' and 'description':
@@ -219,6 +228,7 @@ public function constructPrompt(array $eventData): string
                ['Concert', 'Live Performance', 'Indie', 'Band', 'Tour', 'Festival', 'Art', 'Community'].
 
         5. **Price Parsing**:
+           - Keep the 'price_tier', 'original_label', 'price_type', 'amount_max', 'sold_out', 'drinks', 'drink_charge' and 'tax' of each scraped price as given (null when missing); they are already normalized. Keep 'currency' as given too, and leave 'amount' null for 'donation', 'pay_what_you_want' and 'tba' prices that state none.
            - Parse information from the 'prices' array.
            - Each price should include:
              - 'price_tier': the description or category of the price.
@@ -241,6 +251,7 @@ public function constructPrompt(array $eventData): string
                    "schedule": [
                      {
                        "date": "YYYY-MM-DD",
+                       "doors_open": "HH:mm:ss",
                        "time_start": "HH:mm:ss",
                        "time_end": "HH:mm:ss",
                        "special_notes": "Special Notes"
@@ -358,6 +369,9 @@ public function saveEvent(array $eventData): ?Event
                     'venue_id' => $eventData['venue_id'],
                     'program' => $eventData['program'] ?? null,
                     'sold_out' => $eventData['sold_out'] ?? false,
+                    'ticket_status' => $eventData['ticket_status'] ?? null,
+                    'ticket_release_date' => $eventData['ticket_release_date'] ?? null,
+                    'possibly_cancelled' => false, // Listed on the venue site again
                 ]
             );
 
@@ -428,6 +442,7 @@ public function saveSchedules(int $eventId, array $schedules)
                     'date' => $scheduleData['date'],
                 ],
                 [
+                    'doors_open' => $this->nullIfEmpty($scheduleData['doors_open'] ?? null),
                     'time_start' => $this->nullIfEmpty($scheduleData['time_start']),
                     'time_end' => $this->nullIfEmpty($scheduleData['time_end']),
                     'special_notes' => $this->nullIfEmpty($scheduleData['special_notes']),
@@ -507,6 +522,13 @@ public function savePrices(int $eventId, array $prices)
                     'amount' => $this->nullIfEmpty($priceData['amount']),
                     'currency' => $priceData['currency'] ?? 'JPY',
                     'discount_info' => $this->nullIfEmpty($priceData['discount_info']),
+                    'original_label' => $this->nullIfEmpty($priceData['original_label'] ?? null),
+                    'price_type' => $priceData['price_type'] ?? 'fixed',
+                    'sold_out' => !empty($priceData['sold_out']),
+                    'amount_max' => $this->nullIfEmpty($priceData['amount_max'] ?? null),
+                    'drinks' => $this->nullIfEmpty($priceData['drinks'] ?? null),
+                    'drink_charge' => $this->nullIfEmpty($priceData['drink_charge'] ?? null),
+                    'tax' => $this->nullIfEmpty($priceData['tax'] ?? null),
                 ]
             );
         }
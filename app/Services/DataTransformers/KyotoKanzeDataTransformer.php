@@ -62,6 +62,9 @@ public function processEvent(array $eventData): ?array
         foreach ($responseData['events'] as &$processedEvent) {
             $processedEvent['event_link'] = $originalEventLink;
             $processedEvent['external_id'] = $originalExternalId;
+            // Keep the scraper's ticket status rather than the model's reading of it
+            $processedEvent['ticket_status'] = $eventData['ticket_status'] ?? null;
+            $processedEvent['ticket_release_date'] = $eventData['ticket_release_date'] ?? null;
 
             // Override OpenAI's image_url with the original one from the scraper
             $processedEvent['image_url'] = $originalImageUrl;
@@ -137,6 +140,9 @@ public function saveEvent(array $eventData): ?Event
                 'external_id' => $eventData['external_id'],
                 'program' => $eventData['program'] ?? null,
                 'sold_out' => $eventData['sold_out'] ?? false,
+                'ticket_status' => $eventData['ticket_status'] ?? null,
+                'ticket_release_date' => $eventData['ticket_release_date'] ?? null,
+                'possibly_cancelled' => false, // Listed on the venue site again
             ]);
 
             Log::info('Kyoto Kanze event saved successfully', ['event_id' => $event->id]);
@@ -182,6 +188,9 @@ public function updateEvent(int $eventId, array $eventData): ?Event
                 'venue_id' => $eventData['venue_id'],
                 'program' => $eventData['program'] ?? null,
                 'sold_out' => $eventData['sold_out'] ?? false,
+                'ticket_status' => $eventData['ticket_status'] ?? null,
+                'ticket_release_date' => $eventData['ticket_release_date'] ?? null,
+                'possibly_cancelled' => false, // Listed on the venue site again
             ]);
 
             $this->saveSchedules($event->id, $eventData['schedule'] ?? []);
@@ -217,7 +226,7 @@ public function constructPrompt(array $eventData): string
         // ...
     } else {
         // For paid events, exclude image_url from OpenAI's processing
-        $contentBaseHTML = $eventData['content_base_html'] ?? '';  // Access the contentBase HTML
+        $contentBaseHTML = $eventData['raw_html'] ?? '';  // The contentBase HTML sent by the scraper
 
         $prompt = <<<EOT
 Extract structured event data from the following HTML content of a Kyoto Kanze event page. Parse this data into the specified JSON format and follow these requirements:
@@ -237,7 +246,8 @@ public function constructPrompt(array $eventData): string
 
 2. **Schedule Parsing**:
 - Parse 'raw_schedule' into an array of schedules:
-    - Each schedule should include 'date', 'time_start', 'time_end', and 'special_notes'.
+    - Each schedule should include 'date', 'doors_open', 'time_start', 'time_end', and 'special_notes'.
+    - 'doors_open' is when doors open (開場 / OPEN) and 'time_start' is when the show starts (開演 / START). Set 'doors_open' to null if it is not given.
     - Use the date from 'raw_date' to populate the 'date' field for each schedule entry.
     - If 'raw_schedule' contains multiple entries on different days, separate them into individual schedule objects.
     - If 'time_end' is not specified, leave it empty.
@@ -252,6 +262,7 @@ public function constructPrompt(array $eventData): string
     ['Classical Music', 'Contemporary Music', 'Jazz', 'Opera', 'Ballet', 'Modern Dance', 'Experimental Theatre', 'Drama', 'Stand-Up Comedy', 'Art Exhibition', 'Photography', 'Painting', 'Sculpture', 'Creative Workshop', 'Cooking Class', 'Wine Tasting', 'Wellness Retreat', 'Meditation', 'Yoga', 'Marathon', 'Kids Activities', 'Outdoor Adventure', 'Walking Tour', 'Historical Tour', 'Book Reading', 'Poetry Slam', 'Cultural Festival', 'Film Screening', 'Anime', 'Networking Event', 'Startup Event', 'Tech Conference', 'Fashion Show', 'Food Festival', 'Pop-up Market', 'Charity Event', 'Community Event', 'Traditional Arts', 'Ritual/Ceremony', 'Virtual Event'].
 
 5. **Price Parsing**:
+- Keep the 'price_tier', 'original_label', 'price_type', 'amount_max', 'sold_out', 'drinks', 'drink_charge' and 'tax' of each scraped price as given (null when missing); they are already normalized. Keep 'currency' as given too, and leave 'amount' null for 'donation', 'pay_what_you_want' and 'tba' prices that state none.
 - Extract pricing information from 'raw_price_text' and format it as an array of price objects:
     - Each price object should include 'price_tier', 'amount', and 'currency'.
     - 'price_tier' should represent the ticket type or seating type, including any relevant notes (e.g., 'General (1F)', 'S', '25 and Under', 'Repeat ticket').
@@ -282,6 +293,7 @@ public function constructPrompt(array $eventData): string
                 "schedule": [
                     {
                         "date": "YYYY-MM-DD",
+                        "doors_open": "HH:mm",
                         "time_start": "HH:mm",
                         "time_end": "HH:mm",
                         "special_notes": "Any available notes"
@@ -369,6 +381,7 @@ public function saveSchedules(int $eventId, array $schedules): void
                     'date' => $scheduleData['date'],
                 ],
                 [
+                    'doors_open' => $this->nullIfEmpty($scheduleData['doors_open'] ?? null),
                     'time_start' => $this->nullIfEmpty($scheduleData['time_start']),
                     'time_end' => $this->nullIfEmpty($scheduleData['time_end']),
                     'special_notes' => $this->nullIfEmpty($scheduleData['special_notes']),
@@ -476,6 +489,13 @@ public function savePrices(int $eventId, array $prices): void
                     'amount' => $priceData['amount'],
                     'currency' => $priceData['currency'] ?? 'JPY',
                     'discount_info' => $this->nullIfEmpty($priceData['discount_info']),
+                    'original_label' => $this->nullIfEmpty($priceData['original_label'] ?? null),
+                    'price_type' => $priceData['price_type'] ?? 'fixed',
+                    'sold_out' => !empty($priceData['sold_out']),
+                    'amount_max' => $this->nullIfEmpty($priceData['amount_max'] ?? null),
+                    'drinks' => $this->nullIfEmpty($priceData['drinks'] ?? null),
+                    'drink_charge' => $this->nullIfEmpty($priceData['drink_charge'] ?? null),
+                    'tax' => $this->nullIfEmpty($priceData['tax'] ?? null),
                 ]
             );
         }
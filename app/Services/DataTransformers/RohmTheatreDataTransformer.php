@@ -78,6 +78,9 @@ public function processEvent(array $eventData): ?array
                 // Add description and other fields from $eventData if they don't already exist
                 $processedEvent['description'] = $eventData['description'] ?? null;
                 $processedEvent['organization'] = $eventData['organization'] ?? null;
+                // Keep the scraper's ticket status rather than the model's reading of it
+                $processedEvent['ticket_status'] = $eventData['ticket_status'] ?? null;
+                $processedEvent['ticket_release_date'] = $eventData['ticket_release_date'] ?? null;
 
                 // Ensure image_url is present; if not, set to placeholder
                 if (isset($processedEvent['image_url']) && !empty($processedEvent['image_url'])) {
@@ -125,7 +128,8 @@ public function constructPrompt(array $eventData): string
      - Use 'YYYY-MM-DD' format for dates.
 
 2. **Schedule Parsing**:
-   - Create a 'schedule' array with entries that include 'date', 'time_start', 'time_end', and 'special_notes'.
+   - Create a 'schedule' array with entries that include 'date', 'doors_open', 'time_start', 'time_end', and 'special_notes'.
+   - 'doors_open' is when doors open (開場 / OPEN) and 'time_start' is when the show starts (開演 / START). Set 'doors_open' to null if it is not given.
 
 3. **Category Assignment**:
    - Assign one or more of the following predefined categories based on keywords in the 'title' and 'description':
@@ -136,6 +140,7 @@ public function constructPrompt(array $eventData): string
        ['Classical Music', 'Contemporary Music', 'Jazz', 'Opera', 'Ballet', 'Modern Dance', 'Experimental Theatre', 'Drama', 'Stand-Up Comedy', 'Art Exhibition', 'Photography', 'Painting', 'Sculpture', 'Creative Workshop', 'Cooking Class', 'Wine Tasting', 'Wellness Retreat', 'Meditation', 'Yoga', 'Marathon', 'Kids Activities', 'Outdoor Adventure', 'Walking Tour', 'Historical Tour', 'Book Reading', 'Poetry Slam', 'Cultural Festival', 'Film Screening', 'Anime', 'Networking Event', 'Startup Event', 'Tech Conference', 'Fashion Show', 'Food Festival', 'Pop-up Market', 'Charity Event', 'Community Event', 'Traditional Arts', 'Ritual/Ceremony', 'Virtual Event'].
 
 5. **Price Parsing**:
+   - Keep the 'price_tier', 'original_label', 'price_type', 'amount_max', 'sold_out', 'drinks', 'drink_charge' and 'tax' of each scraped price as given (null when missing); they are already normalized. Keep 'currency' as given too, and leave 'amount' null for 'donation', 'pay_what_you_want' and 'tba' prices that state none.
    - Parse information from the 'prices' array.
    - Each price should include:
      - 'price_tier': the description or category of the price (e.g., "Adults").
@@ -162,6 +167,7 @@ public function constructPrompt(array $eventData): string
            "schedule": [
              {
                "date": "YYYY-MM-DD",
+               "doors_open": "HH:mm:ss",
                "time_start": "HH:mm:ss",
                "time_end": "HH:mm:ss",
                "special_notes": "Special Notes"
@@ -314,6 +320,9 @@ public function updateEvent(int $eventId, array $eventData): ?Event
                     'date_start' => $eventData['date_start'],
                     'date_end' => $eventData['date_end'],
                     'venue_id' => $eventData['venue_id'],
+                    'ticket_status' => $eventData['ticket_status'] ?? null,
+                    'ticket_release_date' => $eventData['ticket_release_date'] ?? null,
+                    'possibly_cancelled' => false, // Listed on the venue site again
                     // 'external_id' remains unchanged
                 ]);
 
@@ -394,6 +403,9 @@ public function saveEvent(array $eventData): ?Event
                 'date_end' => $eventData['date_end'],
                 'venue_id' => $eventData['venue_id'],
                 'external_id' => $eventData['external_id'], // Include external_id
+                'ticket_status' => $eventData['ticket_status'] ?? null,
+                'ticket_release_date' => $eventData['ticket_release_date'] ?? null,
+                'possibly_cancelled' => false, // Listed on the venue site again
             ]);
 
             Log::info('Event saved successfully', ['event_id' => $event->id]);
@@ -468,6 +480,7 @@ public function saveSchedules(Event $event, array $schedules): void
                     'date' => $schedule['date'],
                 ],
                 [
+                    'doors_open' => !empty($schedule['doors_open']) ? $schedule['doors_open'] : null,
                     'time_start' => $time_start,
                     'time_end' => $time_end,
                     'special_notes' => $schedule['special_notes'] ?? null,
@@ -549,16 +562,24 @@ public function saveImages(Event $event, ?string $primaryImageUrl, array $images
     public function savePrices(Event $event, array $prices): void
     {
         foreach ($prices as $priceData) {
-            if (!empty($priceData['amount'])) {
+            // Prices without an amount are kept when they say why (free, donation, TBA, sold out)
+            if (!empty($priceData['amount']) || ($priceData['price_type'] ?? 'fixed') !== 'fixed' || !empty($priceData['sold_out'])) {
                 Price::updateOrCreate(
                     [
                         'event_id' => $event->id,
                         'price_tier' => $priceData['price_tier'] ?? 'General',
                     ],
                     [
-                        'amount' => $priceData['amount'],
+                        'amount' => $priceData['amount'] ?? null,
                         'currency' => $priceData['currency'] ?? 'JPY',
                         'discount_info' => $priceData['discount_info'] ?? null,
+                        'original_label' => $priceData['original_label'] ?? null,
+                        'price_type' => $priceData['price_type'] ?? 'fixed',
+                        'sold_out' => !empty($priceData['sold_out']),
+                        'amount_max' => $priceData['amount_max'] ?? null,
+                        'drinks' => $priceData['drinks'] ?? null,
+                        'drink_charge' => $priceData['drink_charge'] ?? null,
+                        'tax' => $priceData['tax'] ?? null,
                     ]
                 );
             }
@@ -37,6 +37,9 @@ public function transform(array $eventData): ?array
         foreach ($responseData['events'] as &$processedEvent) {
             // Append the original `event_link` back to each event
             $processedEvent['event_link'] = $originalEventLink;
+            // Keep the scraper's ticket status rather than the model's reading of it
+            $processedEvent['ticket_status'] = $eventData['ticket_status'] ?? null;
+            $processedEvent['ticket_release_date'] = $eventData['ticket_release_date'] ?? null;
 
             Log::info('Dispatching job for processed event data', ['processed_event' => $processedEvent]);
 
@@ -127,6 +130,9 @@ public function saveEvent(array $eventData): ?Event
                 'venue_id' => $eventData['venue_id'] ?? null,
                 'program' => $eventData['program'] ?? null,
                 'sold_out' => $eventData['sold_out'] ?? false,
+                'ticket_status' => $eventData['ticket_status'] ?? null,
+                'ticket_release_date' => $eventData['ticket_release_date'] ?? null,
+                'possibly_cancelled' => false, // Listed on the venue site again
                 'external_id' => $eventData['external_id'],
             ]);
 
@@ -174,6 +180,9 @@ public function updateEvent(int $eventId, array $eventData): ?Event
                     'venue_id' => $eventData['venue_id'],
                     'program' => $eventData['program'] ?? null,
                     'sold_out' => $eventData['sold_out'] ?? false,
+                    'ticket_status' => $eventData['ticket_status'] ?? null,
+                    'ticket_release_date' => $eventData['ticket_release_date'] ?? null,
+                    'possibly_cancelled' => false, // Listed on the venue site again
                 ]);
 
                 $this->saveSchedules($event->id, $eventData['schedule'] ?? []);
@@ -218,7 +227,8 @@ public function constructPrompt(array $eventData): string
 
 2. **Schedule Parsing**:
     - Identify any schedule details, including times if available.
-    - Construct a 'schedule' array with 'date', 'time_start', 'time_end', and 'special_notes' fields.
+    - Construct a 'schedule' array with 'date', 'doors_open', 'time_start', 'time_end', and 'special_notes' fields.
+    - 'doors_open' is when doors open (開場 / OPEN) and 'time_start' is when the show starts (開演 / START). Set 'doors_open' to null if it is not given.
 
 3. **Category Assignment**:
 - Assign one or more of the following predefined categories based on keywords in the 'title' and 'description':
@@ -229,6 +239,7 @@ public function constructPrompt(array $eventData): string
             ['Classical Music', 'Contemporary Music', 'Jazz', 'Opera', 'Ballet', 'Modern Dance', 'Experimental Theatre', 'Drama', 'Stand-Up Comedy', 'Art Exhibition', 'Photography', 'Painting', 'Sculpture', 'Creative Workshop', 'Cooking Class', 'Wine Tasting', 'Wellness Retreat', 'Meditation', 'Yoga', 'Marathon', 'Kids Activities', 'Outdoor Adventure', 'Walking Tour', 'Historical Tour', 'Book Reading', 'Poetry Slam', 'Cultural Festival', 'Film Screening', 'Anime', 'Networking Event', 'Startup Event', 'Tech Conference', 'Fashion Show', 'Food Festival', 'Pop-up Market', 'Charity Event', 'Community Event', 'Traditional Arts', 'Ritual/Ceremony', 'Virtual Event'].
 
 5. **Price Parsing**:
+    - Keep the 'price_tier', 'original_label', 'price_type', 'amount_max', 'sold_out', 'drinks', 'drink_charge' and 'tax' of each scraped price as given (null when missing); they are already normalized. Keep 'currency' as given too, and leave 'amount' null for 'donation', 'pay_what_you_want' and 'tba' prices that state none.
     - Locate any price information, and generate an array of price objects.
     - Each price object should include 'price_tier', 'amount', and 'currency' as 'JPY'.
     - Set 'amount' to '0' and 'price_tier' to 'Free' if the event is free.
@@ -248,6 +259,7 @@ public function constructPrompt(array $eventData): string
                 "schedule": [
                     {
                         "date": "YYYY-MM-DD",
+                        "doors_open": "HH:mm",
                         "time_start": "HH:mm",
                         "time_end": "HH:mm",
                         "special_notes": "Any available notes"
@@ -348,6 +360,7 @@ public function saveSchedules(int $eventId, array $schedules): void
                     'date' => $scheduleData['date'],
                 ],
                 [
+                    'doors_open' => $this->nullIfEmpty($scheduleData['doors_open'] ?? null),
                     'time_start' => $this->nullIfEmpty($scheduleData['time_start']),
                     'time_end' => $this->nullIfEmpty($scheduleData['time_end']),
                     'special_notes' => $this->nullIfEmpty($scheduleData['special_notes']),
@@ -446,6 +459,13 @@ public function savePrices(int $eventId, array $prices): void
                     'amount' => $priceData['amount'],
                     'currency' => $priceData['currency'] ?? 'JPY',
                     'discount_info' => $this->nullIfEmpty($priceData['discount_info']),
+                    'original_label' => $this->nullIfEmpty($priceData['original_label'] ?? null),
+                    'price_type' => $priceData['price_type'] ?? 'fixed',
+                    'sold_out' => !empty($priceData['sold_out']),
+                    'amount_max' => $this->nullIfEmpty($priceData['amount_max'] ?? null),
+                    'drinks' => $this->nullIfEmpty($priceData['drinks'] ?? null),
+                    'drink_charge' => $this->nullIfEmpty($priceData['drink_charge'] ?? null),
+                    'tax' => $this->nullIfEmpty($priceData['tax'] ?? null),
                 ]
             );
         }
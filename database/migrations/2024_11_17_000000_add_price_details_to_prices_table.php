@@ -0,0 +1,36 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+class AddPriceDetailsToPricesTable extends Migration
+{
+    /**
+     * Run the migrations.
+     *
+     * @return void
+     */
+    public function up()
+    {
+        Schema::table('prices', function (Blueprint $table) {
+            $table->string('original_label')->nullable()->after('price_tier'); // The label as printed (e.g. "学生前売")
+            $table->decimal('amount_max', 10, 2)->nullable()->after('amount'); // Upper end of a price range
+            $table->unsignedTinyInteger('drinks')->nullable()->after('currency'); // Drinks to buy on entry ("+1D")
+            $table->decimal('drink_charge', 10, 2)->nullable()->after('drinks'); // Price of those drinks, if stated
+            $table->string('tax')->nullable()->after('drink_charge'); // "included" or "excluded", if stated
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     *
+     * @return void
+     */
+    public function down()
+    {
+        Schema::table('prices', function (Blueprint $table) {
+            $table->dropColumn(['original_label', 'amount_max', 'drinks', 'drink_charge', 'tax']);
+        });
+    }
+}
@@ -0,0 +1,33 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+class AddPriceTypeAndSoldOutToPricesTable extends Migration
+{
+    /**
+     * Run the migrations.
+     *
+     * @return void
+     */
+    public function up()
+    {
+        Schema::table('prices', function (Blueprint $table) {
+            $table->string('price_type')->default('fixed')->after('original_label'); // fixed, free, donation, pay_what_you_want or tba
+            $table->boolean('sold_out')->default(false)->after('currency'); // The tier is sold out; its amount is kept
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     *
+     * @return void
+     */
+    public function down()
+    {
+        Schema::table('prices', function (Blueprint $table) {
+            $table->dropColumn(['price_type', 'sold_out']);
+        });
+    }
+}
@@ -0,0 +1,33 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+class AddTicketStatusToEventsTable extends Migration
+{
+    /**
+     * Run the migrations.
+     *
+     * @return void
+     */
+    public function up()
+    {
+        Schema::table('events', function (Blueprint $table) {
+            $table->string('ticket_status')->nullable()->after('external_id'); // on_sale, few_left, sold_out, cancelled, postponed or not_on_sale
+            $table->date('ticket_release_date')->nullable()->after('ticket_status'); // When tickets go on sale
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     *
+     * @return void
+     */
+    public function down()
+    {
+        Schema::table('events', function (Blueprint $table) {
+            $table->dropColumn(['ticket_status', 'ticket_release_date']);
+        });
+    }
+}
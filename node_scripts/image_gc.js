@@ -0,0 +1,66 @@
+// image_gc.js
+//
+// Deletes the files of the shared image store (lib/image_store.js) that no event
+// references any more. The references come from the backend's images table:
+// `php artisan images:gc` writes them to a file, one URL or path per line, and
+// runs this script on it.
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { GC_GRACE_MS, imageStore } from './lib/image_store.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+const USAGE = `Usage: node image_gc.js --references <file> [--dry-run] [--grace-hours n]
+
+  --references <file>  The image URLs or paths still in use, one per line
+  --dry-run            List the files that would be deleted without deleting them
+  --grace-hours <n>    Keep unreferenced files stored less than this many hours ago (default: ${GC_GRACE_MS / 3600000})
+  --help               Show this message`;
+
+/**
+ * Reads the references file: one image URL or path per line, blank lines ignored.
+ * @param {string} file
+ * @returns {string[]}
+ */
+export const readReferences = (file) => fs.readFileSync(file, 'utf-8')
+  .split('\n')
+  .map((line) => line.trim())
+  .filter(Boolean);
+
+if (process.argv[1] === __filename) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: process.argv.slice(2),
+      options: {
+        references: { type: 'string' },
+        'dry-run': { type: 'boolean', default: false },
+        'grace-hours': { type: 'string' },
+        help: { type: 'boolean', default: false },
+      },
+    }));
+    if (!values.help && !values.references) {
+      throw new Error('--references is required');
+    }
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+  } else {
+    const graceHours = values['grace-hours'] === undefined ? null : Number(values['grace-hours']);
+    const { removed, kept } = imageStore.collectGarbage(readReferences(values.references), {
+      dryRun: values['dry-run'],
+      graceMs: graceHours === null || Number.isNaN(graceHours) ? GC_GRACE_MS : graceHours * 3600000,
+    });
+    for (const file of removed) {
+      console.log(`${values['dry-run'] ? 'Would delete' : 'Deleted'} ${file}`);
+    }
+    console.log(`${removed.length} unreferenced image(s) ${values['dry-run'] ? 'to delete' : 'deleted'}, ${kept} kept.`);
+  }
+}
@@ -1,201 +1,29 @@
-// scraper_kyoto_gattaca.js
-
-import puppeteer from 'puppeteer-extra';
-import StealthPlugin from 'puppeteer-extra-plugin-stealth';
-import { fileURLToPath } from 'url';
-import path from 'path';
-import axios from 'axios';
-import fs from 'fs';
-import crypto from 'crypto';
-import sharp from 'sharp'; // For image validation
-import pLimit from 'p-limit'; // For concurrency control
-
-// Define __dirname for ES Modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Use the stealth plugin to evade detection
-puppeteer.use(StealthPlugin());
-
-// Helper function for delay
-const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-
-/**
- * Utility function to generate a SHA256 hash of a given string.
- * Strips query parameters and fragments to ensure consistency.
- * @param {string} url - The input URL to hash.
- * @returns {string} - The resulting SHA256 hash in hexadecimal format.
- */
-const generateHash = (url) => {
-  try {
-    const urlObj = new URL(url);
-    const hashInput = `${urlObj.origin}${urlObj.pathname}`; // Exclude query params and fragments
-    return crypto.createHash('sha256').update(hashInput).digest('hex');
-  } catch (error) {
-    console.error(`Invalid URL provided for hashing: ${url}`);
-    // Fallback to hashing the entire URL if parsing fails
-    return crypto.createHash('sha256').update(url).digest('hex');
-  }
-};
-
-/**
- * Downloads an image from the given URL and saves it locally.
- * Ensures that images are saved with unique filenames based on their URL hashes.
- * Prevents duplicate downloads by checking existing files.
- * 
- * @param {string} imageUrl - The URL of the image to download.
- * @param {string} site - The site identifier (e.g., 'kyoto_gattaca').
- * @param {string} imagesDir - The directory where images are saved.
- * @param {number} retries - Number of retry attempts for downloading.
- * @returns {Promise<string>} - The relative URL of the saved image.
- */
-const downloadImage = async (imageUrl, site, imagesDir, retries = 3) => {
-  try {
-    if (!imageUrl || imageUrl === 'No image available') {
-      console.warn('No valid image URL provided. Using placeholder.');
-      return '/images/events/placeholder.jpg'; // Ensure this placeholder exists
-    }
-
-    // Ensure the image URL is absolute
-    const absoluteImageUrl = imageUrl.startsWith('http')
-      ? imageUrl
-      : `https://kyoto-gattaca.jp${imageUrl.startsWith('/') ? '' : '/'}${imageUrl.replace('../', '')}`;
-
-    console.log(`Downloading image: ${absoluteImageUrl}`);
-
-    // Generate a unique filename using SHA256 hash of the image URL (excluding query params and fragments)
-    const imageHash = generateHash(absoluteImageUrl);
-    let extension = path.extname(new URL(absoluteImageUrl).pathname).split('?')[0] || '.jpg'; // Handle URLs with query params
-
-    // If extension is not valid, attempt to get it from Content-Type
-    if (!['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp'].includes(extension.toLowerCase())) {
-      try {
-        const headResponse = await axios.head(absoluteImageUrl, { timeout: 5000 });
-        const contentType = headResponse.headers['content-type'];
-        if (contentType) {
-          const matches = /image\/(jpeg|png|gif|bmp|webp)/.exec(contentType);
-          if (matches && matches[1]) {
-            extension = `.${matches[1]}`;
-          } else {
-            extension = '.jpg'; // Default extension
-          }
-        } else {
-          extension = '.jpg'; // Default extension
-        }
-      } catch (headError) {
-        console.warn(`Failed to retrieve headers for ${absoluteImageUrl}. Using default extension.`);
-        extension = '.jpg'; // Default extension
-      }
-    }
-
-    const filename = `${imageHash}${extension}`;
-    const filepath = path.join(imagesDir, filename);
-
-    // Check if the image file already exists
-    if (fs.existsSync(filepath)) {
-      console.log(`Image already exists locally: ${filename}`);
-      return `/images/events/${site}/${filename}`;
-    }
-
-    // Download the image
-    const response = await axios.get(absoluteImageUrl, { responseType: 'stream', timeout: 30000 }); // 30 seconds timeout
-
-    const writer = fs.createWriteStream(filepath);
-    response.data.pipe(writer);
-
-    // Wait for the download to finish
-    await new Promise((resolve, reject) => {
-      writer.on('finish', resolve);
-      writer.on('error', (err) => {
-        console.error(`Error writing image to ${filepath}:`, err.message);
-        reject(err);
-      });
-    });
+// kyoto_gattaca.js
 
-    console.log(`Image downloaded and saved to: ${filepath}`);
+import pLimit from 'p-limit'; // For concurrency control
+import { defineScraper, runIfMain } from './lib/scraper_runtime.js';
+import { parseDateTime, parseTimes } from './lib/dates.js';
+import { parsePrices } from './lib/prices.js';
+import { parseTicketStatus } from './lib/ticket_status.js';
 
-    // Validate the downloaded image
-    const isValid = await validateImage(filepath);
-    if (!isValid) {
-      fs.unlinkSync(filepath); // Remove corrupted image
-      console.warn(`Corrupted image removed: ${filepath}. Using placeholder.`);
-      return '/images/events/placeholder.jpg';
-    }
+const START_URL = 'http://kyoto-gattaca.jp/schedule/2024/11.html';
 
-    // Return the relative URL to the image
-    return `/images/events/${site}/${filename}`;
-  } catch (error) {
-    if (retries > 0) {
-      console.warn(`Retrying download for image: ${imageUrl}. Attempts left: ${retries}`);
-      await delay(1000); // Wait before retrying
-      return downloadImage(imageUrl, site, imagesDir, retries - 1);
-    }
-    console.error(`Failed to download image after retries: ${imageUrl}. Error: ${error.message}`);
-    // Return path to a placeholder image
-    return '/images/events/placeholder.jpg'; // Ensure this placeholder exists
-  }
-};
-
-/**
- * Validates that the file at the given path is a valid image.
- * @param {string} filepath - The path to the image file.
- * @returns {Promise<boolean>} - Returns true if valid, false otherwise.
- */
-const validateImage = async (filepath) => {
-  try {
-    await sharp(filepath).metadata();
-    return true;
-  } catch (error) {
-    console.error(`Image validation failed for ${filepath}:`, error.message);
-    return false;
-  }
-};
+// Paragraphs of the event box that hold prices rather than the description
+const PRICE_LINE_RE = /ADV|DOOR|STUDENT|ticket|[￥¥]|無料|🆓|投げ銭|sold\s*out|完売|TBA/i;
 
-/**
- * Parses the date from the event date text.
- * 
- * @param {string} dateText - The raw date text extracted from the page.
- * @param {string} pageUrl - The URL of the current page to extract the year.
- * @returns {string|null} - The formatted date in 'YYYY-MM-DD' format or null if parsing fails.
- */
-const parseDate = (dateText, pageUrl) => {
-  const dateMatch = dateText.match(/(\d{1,2})月(\d{1,2})日/);
-  if (dateMatch) {
-    const month = dateMatch[1].toString().padStart(2, '0');
-    const day = dateMatch[2].toString().padStart(2, '0');
-    const yearMatch = pageUrl.match(/\/(\d{4})\/(\d{1,2})\.html/);
-    let year = new Date().getFullYear();
-    if (yearMatch) {
-      year = parseInt(yearMatch[1], 10);
-    }
-    return `${year}-${month}-${day}`;
-  }
-  return null;
-};
+// Kyoto Gattaca images fall back to the shared placeholder rather than a per-site one
+const PLACEHOLDER_IMAGE = '/images/events/placeholder.jpg';
 
 /**
- * Parses the price data from the price text.
- * 
- * @param {string} priceText - The raw price text extracted from the page.
- * @returns {Array} - An array of price objects.
+ * Reads the year and month of a monthly schedule page from its URL (".../schedule/2024/11.html").
+ * @param {string} pageUrl
+ * @returns {{year: (number|null), month: (number|null)}}
  */
-const parsePriceData = (priceText) => {
-  const prices = [];
-  // Adjusted regex to capture price tier (optional) and amount
-  const priceRegex = /(?:\b(ADV|DOOR|STUDENT|TICKET|General)?\b)?\s*￥?([\d,]+)/gi;
-  let match;
-
-  while ((match = priceRegex.exec(priceText)) !== null) {
-    let price_tier = match[1] ? match[1].toUpperCase() : 'General';
-    let amount = match[2];
-    prices.push({
-      price_tier: price_tier,
-      amount: parseInt(amount.replace(/,/g, ''), 10),
-      currency: 'JPY',
-      discount_info: null, // Can be enhanced to extract discount info if available
-    });
-  }
-  return prices;
+const monthFromUrl = (pageUrl) => {
+  const match = pageUrl.match(/\/(\d{4})\/(\d{1,2})\.html/);
+  return match
+    ? { year: parseInt(match[1], 10), month: parseInt(match[2], 10) }
+    : { year: null, month: null };
 };
 
 /**
@@ -263,275 +91,186 @@ const assignTags = (title, description) => {
 };
 
 /**
- * Validates that the file at the given path is a valid image.
- * @param {string} filepath - The path to the image file.
- * @returns {Promise<boolean>} - Returns true if valid, false otherwise.
+ * Extracts a single event from a div.schedule block.
+ * @param {puppeteer.ElementHandle} eventElement - The schedule block.
+ * @param {string} pageUrl - The month page the block is on.
+ * @param {Object} context - The scraper runtime context.
+ * @returns {Promise<Object|null>} - The event, or null if the block holds no event.
  */
+const extractEvent = async (eventElement, pageUrl, { downloadImage, logger, now }) => {
+  const hasDate = (await eventElement.$('h2.month_date')) !== null;
+  if (!hasDate) return null;
+
+  const dateText = await eventElement.$eval('h2.month_date', (el) => el.textContent.trim());
+  const { date_start: dateStr, ambiguous } = parseDateTime(dateText, { ...monthFromUrl(pageUrl), now: now() });
+
+  let title = await eventElement.$eval('h3', (el) => el.innerText.trim());
+  title = title.replace(/\n+/g, ' ').trim();
+
+  let imageUrl = await eventElement
+    .$eval('div.eventbox span.event a img', (el) => el.src)
+    .catch(() => null);
+  if (!imageUrl) {
+    imageUrl = await eventElement
+      .$eval('div.eventbox span.event a', (el) => el.href)
+      .catch(() => null);
+  }
 
-
-/**
- * Main function to scrape Kyoto Gattaca event data.
- * Downloads images, prevents duplicates, and saves event data.
- * 
- * @returns {Promise<Array>} - An array of event objects with updated local image URLs.
- */
-const scrapeKyotoGattaca = async () => {
-  // Define the site identifier for image storage
-  const siteIdentifier = 'kyoto_gattaca';
-
-  // Define the directory where images will be saved
-  // Navigate one level up from 'node_scripts' to 'kyoture'
-  const imagesDir = path.join(__dirname, '..', 'public', 'images', 'events', siteIdentifier);
-
-  // Create the directory if it doesn't exist
-  if (!fs.existsSync(imagesDir)) {
-    fs.mkdirSync(imagesDir, { recursive: true });
-    console.log(`Created directory: ${imagesDir}`);
-  } else {
-    console.log(`Directory already exists: ${imagesDir}`);
+  // The third 'eventbox' holds times, prices and the description
+  const priceEventBox = await eventElement.$$('div.eventbox');
+  if (priceEventBox.length < 3) return null;
+
+  const pElements = await priceEventBox[2].$$('p');
+  let openTime = null;
+  let startTime = null;
+  let endTime = null;
+  let description = '';
+  let prices = [];
+  let priceText = '';
+  let foundPrice = false;
+
+  for (const pElement of pElements) {
+    const text = await pElement.evaluate((el) => el.textContent.trim());
+
+    if (text.includes('OPEN') || text.includes('START')) {
+      // "OPEN / START 18:00 / 18:30", "OPEN 18:00", "START 18:30"
+      const times = parseTimes(text);
+      openTime = times.doors_open || openTime;
+      startTime = times.time_start || startTime;
+      endTime = times.time_end || endTime;
+    } else if (PRICE_LINE_RE.test(text)) {
+      // "ADV ￥2,000 / DOOR ￥2,500", "TICKET ￥4,000 (+1D)", "入場無料", "ADV SOLD OUT"
+      priceText += text + '\n';
+      const extractedPrices = parsePrices(text);
+      if (extractedPrices.length > 0) {
+        prices = prices.concat(extractedPrices);
+        foundPrice = true;
+      }
+    } else {
+      description += text + '\n';
+    }
   }
 
-  // Initialize concurrency limiter
-  const limit = pLimit(5); // Limit to 5 concurrent downloads
+  if (!foundPrice) {
+    logger.warn(`Price information not found for event: ${title}`);
+  }
 
-  // Launch Puppeteer with necessary options
-  const browser = await puppeteer.launch({
-    headless: true,
-    args: ['--no-sandbox', '--disable-setuid-sandbox'],
-  });
+  const eventInfo = {
+    title,
+    date_start: dateStr,
+    date_end: dateStr,
+    date_ambiguous: ambiguous,
+    image_url: await downloadImage(imageUrl, { placeholder: PLACEHOLDER_IMAGE }),
+    schedule: [
+      {
+        date: dateStr,
+        doors_open: openTime,
+        time_start: startTime,
+        time_end: endTime,
+        special_notes: null,
+      },
+    ],
+    prices,
+    ...parseTicketStatus(priceText, { title, prices, eventDate: dateStr, now: now() }),
+    venue: 'Kyoto Gattaca',
+    organization: 'Kyoto Gattaca',
+    description: description.trim(),
+    event_link: pageUrl,
+    categories: assignCategories(title, description),
+    tags: assignTags(title, description),
+    site: 'kyoto_gattaca',
+  };
 
-  const page = await browser.newPage();
-  await page.setViewport({ width: 1280, height: 800 });
-  
-  // Set a realistic user agent
-  await page.setUserAgent(
-    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/115.0.0.0 Safari/537.36'
-  );
+  logger.info(`Extracted event: ${title} on ${dateStr}`);
+  return eventInfo;
+};
 
-  try {
-    console.log('Starting to scrape Kyoto Gattaca Schedule pages...');
-    const eventsData = [];
-    let currentPageUrl = 'http://kyoto-gattaca.jp/schedule/2024/11.html'; // Starting page
-    const visitedUrls = new Set();
+/**
+ * Walks the monthly schedule pages through the "next" image map link and
+ * extracts every event. Gattaca has no per-event pages.
+ * @param {Object} context - The scraper runtime context.
+ * @returns {Promise<Array>} - The extracted events.
+ */
+const scrapeListing = async (context) => {
+  const { page, goto, logger } = context;
 
-    while (currentPageUrl && !visitedUrls.has(currentPageUrl)) {
-      console.log(`Navigating to ${currentPageUrl}`);
-      await page.goto(currentPageUrl, { waitUntil: 'networkidle0', timeout: 60000 }); // 60 seconds timeout
+  // Limit how many schedule blocks are processed (and images downloaded) at once
+  const limit = pLimit(5);
 
-      // Wait for the page content to load
-      await delay(2000); // Wait for 2 seconds
+  logger.info('Starting to scrape Kyoto Gattaca Schedule pages...');
+  const eventsData = [];
+  let currentPageUrl = START_URL;
+  const visitedUrls = new Set();
 
-      visitedUrls.add(currentPageUrl);
+  while (currentPageUrl && !visitedUrls.has(currentPageUrl)) {
+    logger.info(`Navigating to ${currentPageUrl}`);
+    await goto(page, currentPageUrl);
 
-      console.log('On the Schedule page.');
+    visitedUrls.add(currentPageUrl);
 
-      const hasEvents = (await page.$('h2.month_date')) !== null;
-      if (!hasEvents) {
-        console.log('No events found on this page. Stopping pagination.');
-        break;
-      }
+    const hasEvents = (await page.$('h2.month_date')) !== null;
+    if (!hasEvents) {
+      logger.info('No events found on this page. Stopping pagination.');
+      break;
+    }
 
-      // Select all event elements
-      const eventElements = await page.$$('div.schedule');
-
-      // Collect download promises with concurrency control
-      const downloadPromises = eventElements.map(eventElement => limit(async () => {
-        try {
-          const hasDate = (await eventElement.$('h2.month_date')) !== null;
-          if (!hasDate) return;
-
-          const dateText = await eventElement.$eval('h2.month_date', (el) => el.textContent.trim());
-          const dateStr = parseDate(dateText, page.url());
-
-          let title = await eventElement.$eval('h3', (el) => el.innerText.trim());
-          title = title.replace(/\n+/g, ' ').trim();
-
-          let imageUrl = await eventElement
-            .$eval('div.eventbox span.event a img', (el) => el.src)
-            .catch(() => null);
-          if (!imageUrl) {
-            imageUrl = await eventElement
-              .$eval('div.eventbox span.event a', (el) => el.href)
-              .catch(() => null);
-          }
-
-          const bandsText = await eventElement
-            .$eval('div.eventboxpro h6 span.bandname', (el) => el.innerText.trim())
-            .catch(() => '');
-
-          const priceEventBox = await eventElement.$$('div.eventbox');
-          if (priceEventBox.length >= 3) {
-            const pElements = await priceEventBox[2].$$('p'); // Target the third 'eventbox' specifically
-            let openTime = null;
-            let startTime = null;
-            let ticketInfoLink = null;
-            let description = '';
-            let prices = [];
-            let foundPrice = false;
-
-            for (let i = 0; i < pElements.length; i++) {
-              const text = await pElements[i].evaluate((el) => el.textContent.trim());
-              console.log('Extracted paragraph text:', text);
-
-              if (text.includes('OPEN / START')) {
-                // Extract times
-                const times = text.replace('OPEN / START', '').trim();
-                const timesMatch = times.match(/(\d+:\d+)\s*\/\s*(\d+:\d+)/);
-                if (timesMatch) {
-                  openTime = timesMatch[1];
-                  startTime = timesMatch[2];
-                } else if (times.toUpperCase().includes('TBA')) {
-                  openTime = 'TBA';
-                  startTime = 'TBA';
-                }
-              } else if (text.includes('OPEN')) {
-                // Extract open time
-                const timeMatch = text.match(/OPEN\s*(\d+:\d+)/);
-                if (timeMatch) {
-                  openTime = timeMatch[1];
-                }
-              } else if (text.includes('START')) {
-                // Extract start time
-                const timeMatch = text.match(/START\s*(\d+:\d+)/);
-                if (timeMatch) {
-                  startTime = timeMatch[1];
-                }
-              } else if (
-                text.includes('ADV') ||
-                text.includes('DOOR') ||
-                text.includes('STUDENT') ||
-                text.toLowerCase().includes('ticket') ||
-                text.includes('￥') ||
-                text.includes('¥')
-              ) {
-                console.log('Detected price-related text:', text);
-                const extractedPrices = parsePriceData(text);
-                console.log('Prices extracted:', extractedPrices);
-                if (extractedPrices.length > 0) {
-                  prices = prices.concat(extractedPrices);
-                  foundPrice = true;
-                }
-              } else if (text.includes('無料') || text.includes('入場無料') || text.includes('🆓')) {
-                console.log('Detected free event:', text);
-                prices.push({
-                  price_tier: 'Free',
-                  amount: 0,
-                  currency: 'JPY',
-                  discount_info: null,
-                });
-                foundPrice = true;
-              } else if (text.toLowerCase().includes('ticket info')) {
-                // Extract ticket info link
-                if (i + 1 < pElements.length) {
-                  const linkElement = await pElements[i + 1].$('a.event');
-                  if (linkElement) {
-                    ticketInfoLink = await linkElement.evaluate((el) => el.href);
-                  }
-                }
-              } else {
-                description += text + '\n';
-              }
-            }
-
-            if (!foundPrice) {
-              console.warn(`Price information not found for event: ${title}`);
-              // Optionally, set prices to null or leave it empty
-              // prices = null;
-            }
-
-            // Download the image and get the local URL
-            const localImageUrl = imageUrl && imageUrl !== 'No image available'
-              ? await downloadImage(imageUrl, siteIdentifier, imagesDir)
-              : '/images/events/placeholder.jpg'; // Ensure this placeholder exists
-
-            // Assign categories and tags
-            const categories = assignCategories(title, description);
-            const tags = assignTags(title, description);
-
-            const eventInfo = {
-              title: title,
-              date_start: dateStr,
-              date_end: dateStr,
-              image_url: localImageUrl,
-              schedule: [
-                {
-                  date: dateStr,
-                  time_start: openTime,
-                  time_end: startTime,
-                  special_notes: null,
-                },
-              ],
-              prices: prices.length > 0 ? prices : [],
-              venue: 'Kyoto Gattaca',
-              organization: 'Kyoto Gattaca',
-              description: description.trim(),
-              event_link: currentPageUrl,
-              categories: categories,
-              tags: tags,
-              site: siteIdentifier,
-            };
-
-            eventsData.push(eventInfo);
-            console.log('Extracted event data:', eventInfo);
-          } // End of if (priceEventBox.length >= 3)
-        } catch (error) {
-          console.error('Error extracting event data:', error);
-        }
-      }));
-
-      // Await all download promises
-      await Promise.all(downloadPromises);
-
-      // Handle pagination: find the 'Next' button/link
-      const nextLinkHref = await page.evaluate(() => {
-        const areaElements = document.querySelectorAll('map[name="Map"] area');
-        for (let area of areaElements) {
-          if (area.alt && area.alt.toLowerCase() === 'next') {
-            return area.getAttribute('href');
-          }
-        }
+    const pageUrl = currentPageUrl;
+    const eventElements = await page.$$('div.schedule');
+    const pageEvents = await Promise.all(eventElements.map((eventElement) => limit(async () => {
+      try {
+        return await extractEvent(eventElement, pageUrl, context);
+      } catch (error) {
+        logger.error(`Error extracting event data: ${error.message}`);
         return null;
-      });
-
-      if (nextLinkHref) {
-        const nextUrl = new URL(nextLinkHref, page.url()).href;
-        if (visitedUrls.has(nextUrl)) {
-          console.log('Already visited this page, stopping to prevent infinite loop.');
-          break;
-        } else {
-          currentPageUrl = nextUrl;
+      }
+    })));
+    eventsData.push(...pageEvents.filter(Boolean));
+
+    // Handle pagination: find the 'Next' button/link
+    const nextLinkHref = await page.evaluate(() => {
+      const areaElements = document.querySelectorAll('map[name="Map"] area');
+      for (const area of areaElements) {
+        if (area.alt && area.alt.toLowerCase() === 'next') {
+          return area.getAttribute('href');
         }
-      } else {
-        console.log('No next link found, ending pagination.');
-        currentPageUrl = null;
       }
-    } // End of while loop
-
-    console.log('Final cleaned event data:', eventsData);
-    await browser.close();
+      return null;
+    });
 
-    // Save the data to a JSON file for manual inspection
-    fs.writeFileSync('kyoto_gattaca_events.json', JSON.stringify(eventsData, null, 2));
-    console.log('Data saved to kyoto_gattaca_events.json');
+    if (!nextLinkHref) {
+      logger.info('No next link found, ending pagination.');
+      break;
+    }
 
-    return eventsData.map((event) => ({ ...event, site: siteIdentifier }));
-  } catch (error) {
-    console.error('Error during scraping:', error);
-    await browser.close();
-    return [];
+    currentPageUrl = new URL(nextLinkHref, page.url()).href;
+    if (visitedUrls.has(currentPageUrl)) {
+      logger.info('Already visited this page, stopping to prevent infinite loop.');
+    }
   }
-}; // Ensure this closes the function properly
 
-export default scrapeKyotoGattaca;
+  return eventsData;
+};
 
-// If the script is run directly, execute the scraping function
-if (process.argv[1] === fileURLToPath(import.meta.url)) {
-  (async () => {
-    try {
-      const data = await scrapeKyotoGattaca();
-      console.log(JSON.stringify(data, null, 2));
-    } catch (error) {
-      console.error('An error occurred:', error);
-    }
-  })();
-}
+const scrapeKyotoGattaca = defineScraper({
+  name: 'kyoto_gattaca',
+  displayName: 'Kyoto GATTACA',
+  venue: 'Kyoto GATTACA',
+  baseUrl: 'https://kyoto-gattaca.jp',
+  rateLimit: { minGapMs: 2000 },
+  viewport: { width: 1280, height: 800 },
+  health: [
+    {
+      url: START_URL,
+      selectors: [
+        { selector: 'div.schedule', min: 1 },
+        { selector: 'h2.month_date', min: 1 },
+        { selector: 'map[name="Map"] area', min: 1 },
+      ],
+    },
+  ],
+  scrapeListing,
+});
+
+runIfMain(import.meta.url, scrapeKyotoGattaca);
+
+export default scrapeKyotoGattaca;
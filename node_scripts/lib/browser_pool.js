@@ -0,0 +1,52 @@
+// lib/browser_pool.js
+//
+// Browsers shared by scrapers running in the same scrape_all.js process. Each
+// scraper gets its own browser context (separate cookies and cache) inside a
+// shared browser instead of launching Chrome for itself.
+
+import { launchBrowser } from './scraper_runtime.js';
+
+/**
+ * Creates a pool that launches browsers on demand. Scrapers with the same
+ * launch options share one browser; a scraper with different options (e.g.,
+ * rohm_theatre's slowMo) gets a browser of its own.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.launch] - (launchOptions) => Promise<Browser>, for tests.
+ * @returns {{acquire: Function, close: Function}}
+ */
+export const createBrowserPool = ({ launch = launchBrowser } = {}) => {
+  // Launch options (as JSON) -> Promise<Browser>
+  const browsers = new Map();
+
+  return {
+    /**
+     * Opens an isolated browser context for a scraper.
+     * @param {Object} [launchOptions] - The scraper's extra launch options.
+     * @returns {Promise<puppeteer.BrowserContext>} - Close it when the scraper is done.
+     */
+    acquire: async (launchOptions = {}) => {
+      const key = JSON.stringify(launchOptions);
+      if (!browsers.has(key)) {
+        // Store the promise so concurrent scrapers wait for the same launch
+        const launching = launch(launchOptions);
+        launching.catch(() => browsers.delete(key));
+        browsers.set(key, launching);
+      }
+
+      const browser = await browsers.get(key);
+      return browser.createBrowserContext();
+    },
+
+    // Closes every browser the pool launched
+    close: async () => {
+      const launched = await Promise.allSettled(browsers.values());
+      browsers.clear();
+      await Promise.all(
+        launched
+          .filter((result) => result.status === 'fulfilled')
+          .map((result) => result.value.close().catch(() => {}))
+      );
+    },
+  };
+};
@@ -0,0 +1,133 @@
+// lib/checkpoints.js
+//
+// Progress of a live run, saved as it goes so a run that dies partway (a crashed
+// browser, a killed process) can carry on where it stopped with --resume instead
+// of visiting every page again. A checkpoint holds the results of the listing
+// steps a scraper marks (e.g., each month of growly's schedule), the errors the
+// listing ran into, the listing once it is complete, and the event of every detail page done so far, keyed by the
+// item's position in that listing. A resumed run reads the listing back rather
+// than scraping it again, so the positions still match.
+//
+// A run that gets through every item removes its checkpoint; one where a detail
+// page failed keeps it, so --resume retries just those pages. A checkpoint older
+// than CHECKPOINT_MAX_AGE_MS is not resumed: the listing has likely changed since.
+//
+// Layout: <checkpoints dir>/<site>.json
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const CHECKPOINTS_DIR = process.env.SCRAPE_CHECKPOINTS_DIR || path.resolve(__dirname, '..', 'checkpoints');
+
+export const CHECKPOINT_MAX_AGE_MS = (parseFloat(process.env.SCRAPE_CHECKPOINT_MAX_AGE_HOURS) || 24) * 60 * 60 * 1000;
+
+// Checkpoints hold copies, so a scraper changing an item or event later does not change what was saved
+const copy = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+const has = (collection, key) => Object.prototype.hasOwnProperty.call(collection, key);
+
+// Reads a site's checkpoint if it can be resumed; otherwise says why not
+const readCheckpoint = (file, { now, maxAgeMs }) => {
+  if (!fs.existsSync(file)) {
+    return { state: null, reason: 'no checkpoint' };
+  }
+  let state;
+  try {
+    state = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    return { state: null, reason: `unreadable checkpoint (${error.message})` };
+  }
+  const age = now.getTime() - new Date(state.updatedAt).getTime();
+  if (!(age <= maxAgeMs)) {
+    return { state: null, reason: `checkpoint from ${state.updatedAt} is too old` };
+  }
+  return { state, reason: null };
+};
+
+/**
+ * Opens the checkpoint of a site's run. Unless the run resumes, any previous
+ * checkpoint is replaced. Every save is written to disk straight away.
+ *
+ * @param {string} site - The scraper's site name.
+ * @param {Object} [options]
+ * @param {string} [options.dir] - The checkpoints directory.
+ * @param {boolean} [options.resume=false] - Carry on from the previous checkpoint, if it is recent enough.
+ * @param {number} [options.maxAgeMs] - The oldest checkpoint that is resumed.
+ * @param {Date} [options.now] - The current time.
+ * @param {winston.Logger} [options.logger] - Told whether the run resumes.
+ * @returns {Object} - The checkpoint; resumedFrom is when the resumed run started, or null.
+ */
+export const openCheckpoint = (site, {
+  dir = CHECKPOINTS_DIR,
+  resume = false,
+  maxAgeMs = CHECKPOINT_MAX_AGE_MS,
+  now = new Date(),
+  logger,
+} = {}) => {
+  const file = path.join(dir, `${site}.json`);
+
+  let state = null;
+  if (resume) {
+    const { state: previous, reason } = readCheckpoint(file, { now, maxAgeMs });
+    state = previous;
+    if (reason) {
+      logger?.warn(`Not resuming ${site}: ${reason}. Starting from the beginning.`);
+    }
+  } else {
+    fs.rmSync(file, { force: true });
+  }
+  const resumedFrom = state ? state.startedAt : null;
+  state = state || { site, startedAt: now.toISOString(), updatedAt: null, steps: {}, listingErrors: [], items: null, details: {} };
+
+  const save = () => {
+    state.updatedAt = new Date().toISOString();
+    fs.mkdirSync(dir, { recursive: true });
+    // Written next to the checkpoint and renamed, so a run killed mid-write leaves the last complete one
+    fs.writeFileSync(`${file}.part`, JSON.stringify(state), 'utf-8');
+    fs.renameSync(`${file}.part`, file);
+  };
+
+  return {
+    file,
+    resumedFrom,
+
+    hasStep: (key) => has(state.steps, key),
+    step: (key) => copy(state.steps[key]),
+    saveStep: (key, value) => {
+      state.steps[key] = copy(value);
+      save();
+    },
+
+    // Page-level errors of the listing, so a resumed run still knows its listing may be incomplete
+    listingErrors: () => copy(state.listingErrors || []),
+    saveListingError: (message) => {
+      state.listingErrors = [...(state.listingErrors || []), message];
+      save();
+    },
+
+    // The complete listing, or null if the run has not got that far
+    items: () => copy(state.items),
+    saveItems: (items) => {
+      state.items = copy(items);
+      save();
+    },
+
+    // Detail pages are keyed by the item's index in the listing; a skipped item is saved as null
+    hasDetail: (index) => has(state.details, index),
+    detail: (index) => copy(state.details[index]),
+    saveDetail: (index, event) => {
+      state.details[index] = copy(event);
+      save();
+    },
+    detailsDone: () => Object.keys(state.details).length,
+
+    // Removes the checkpoint once the run has completed
+    clear: () => {
+      fs.rmSync(file, { force: true });
+    },
+  };
+};
@@ -0,0 +1,391 @@
+// lib/dates.js
+//
+// Date and time parsing shared by the venue scrapers. Listings mix Japanese
+// and English formats ("2024年11月23日(土)", "令和6年11月23日", "2024.12.07 (SAT)
+// – 12.08 (SUN)", "11/23(土)", "October 12–December 8, 2024"), full-width digits,
+// weekday annotations and 開場/開演 (doors/start) times. parseDateTime turns any
+// of them into ISO dates and HH:MM times, and says how sure it is of the year.
+
+// Gregorian year before the first year of each era (令和元年 = 2019)
+const ERAS = { 令和: 2018, 平成: 1988 };
+
+const MONTH_NAMES = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+const MONTH_ABBREVIATIONS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const WEEKDAY = '(?:[日月火水木金土祝休](?:曜日?)?|(?:sun|mon|tue|wed|thu|fri|sat)[a-z]*\\.?)';
+// "(土)", "（土・祝）", "(SAT)", "(Sat.)"
+const WEEKDAY_RE = new RegExp(`\\(\\s*${WEEKDAY}(?:\\s*[・･,、/]\\s*${WEEKDAY})*\\s*\\)`, 'gi');
+
+// "18:30", "7:00 PM", "9:00 a.m.", "19時", "午後7時30分", "7時半"
+const TIME_RE = /(?<!\d)(?:(午前|午後)\s*)?(\d{1,2})(?::(\d{2})(?:\s*([ap])\.?\s?m\.?(?![a-z]))?|時(?!間)(?:(\d{1,2})分|(半))?)/gi;
+
+// 開場 / OPEN / DOORS precede (or follow) the doors time, 開演 / START the show start,
+// 終演予定 / UNTIL the stated end. The English labels stand alone ("OPEN18:00" is fine,
+// "Reopening" is not)
+const LABEL_RE = /(開場|(?<![a-z])(?:opens?|doors?)(?![a-z]))|(開演|(?<![a-z])starts?(?![a-z])|開始)|(終演(?:予定)?|終了(?:予定)?|\buntil\b|\btill\b|\bends?\b)/gi;
+const LABELS = [null, 'doors_open', 'time_start', 'time_end'];
+
+const RANGE_SEPARATOR = '\\s*(?:[~〜–—-]|to|から)\\s*';
+const TIME_RANGE_RE = new RegExp(`^${RANGE_SEPARATOR}$`, 'i');
+
+const TBA_RE = /\b(?:TBA|TBD)\b|to be announced|coming\s*soon|未定|後日発表|調整中/i;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A date without a year that passed less than this many days ago is still read as
+// this year's: listings keep the current month's past shows
+const PAST_GRACE_DAYS = 31;
+
+// An inferred date further ahead than this may just as well be a past show
+const AMBIGUOUS_AFTER_DAYS = 183;
+
+/**
+ * Converts full-width ASCII characters (digits, letters, punctuation) and the
+ * full-width space to their half-width forms.
+ * @param {string} str
+ * @returns {string}
+ */
+export const toHalfWidth = (str) => str
+  .replace(/[！-～]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 0xFEE0))
+  .replace(/　/g, ' ');
+
+const isoDate = ({ year, month, day }) => `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+const isValidDate = ({ year, month, day }) => {
+  if (!month || !day || month > 12) {
+    return false;
+  }
+  // Without a year, Feb 29 has to be allowed
+  const daysInMonth = new Date(Date.UTC(year ?? 2000, month, 0)).getUTCDate();
+  return day >= 1 && day <= daysInMonth;
+};
+
+const compareDates = (a, b) => (a.year - b.year) || (a.month - b.month) || (a.day - b.day);
+
+// Days since the epoch, so that dates can be compared and subtracted
+const dayNumber = ({ year, month, day }) => Date.UTC(year, month - 1, day) / DAY_MS;
+
+const monthFromName = (name) => MONTH_ABBREVIATIONS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+
+const toNumber = (value) => (value === undefined ? null : parseInt(value, 10));
+
+// Patterns for a complete date, tried at each position of the text. `year` is null when the text has none.
+const DATE_PATTERNS = [
+  {
+    // 2024年11月23日, 令和6年11月23日, 11月23日
+    re: /(?:(\d{4})\s*年|(令和|平成)\s*(元|\d{1,2})\s*年)?\s*(\d{1,2})\s*月\s*(\d{1,2})\s*日/y,
+    read: (m) => ({
+      year: m[1] ? toNumber(m[1]) : m[2] ? ERAS[m[2]] + (m[3] === '元' ? 1 : toNumber(m[3])) : null,
+      month: toNumber(m[4]),
+      day: toNumber(m[5]),
+    }),
+  },
+  {
+    // 2024.11.23, 2024/11/23, 2024-11-23
+    re: /(?<!\d)(\d{4})\s*([./-])\s*(\d{1,2})\s*\2\s*(\d{1,2})(?!\d)/y,
+    read: (m) => ({ year: toNumber(m[1]), month: toNumber(m[3]), day: toNumber(m[4]) }),
+  },
+  {
+    // 11/23, 12/25: live-house listings leave out the year
+    re: /(?<![\d./,])(\d{1,2})\s*\/\s*(\d{1,2})(?![\d/])/y,
+    read: (m) => ({ year: null, month: toNumber(m[1]), day: toNumber(m[2]) }),
+  },
+  {
+    // December 14, 2024 / Dec. 14 2024 / November 2
+    re: new RegExp(`\\b(${MONTH_NAMES})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?!\\d)(?:,?\\s*(\\d{4})(?!\\d))?`, 'iy'),
+    read: (m) => ({ year: toNumber(m[3]), month: monthFromName(m[1]), day: toNumber(m[2]) }),
+  },
+  {
+    // 14 December 2024 / 14 Dec
+    re: new RegExp(`(?<!\\d)(\\d{1,2})(?:st|nd|rd|th)?\\s+(${MONTH_NAMES})\\b\\.?(?:,?\\s*(\\d{4})(?!\\d))?`, 'iy'),
+    read: (m) => ({ year: toNumber(m[3]), month: monthFromName(m[2]), day: toNumber(m[1]) }),
+  },
+];
+
+// Shortened forms only recognized as the end of a range: "2024.12.07 – 12.08", "11月2日～4日", "November 2–22, 2024"
+const RANGE_END_PATTERNS = [
+  {
+    re: /(\d{1,2})\s*[./]\s*(\d{1,2})(?![\d./])/y,
+    read: (m) => ({ year: null, month: toNumber(m[1]), day: toNumber(m[2]) }),
+  },
+  {
+    re: /(\d{1,2})(?:\s*日|(?![\d./:]))(?:,?\s*(\d{4})(?!\d))?/y,
+    read: (m) => ({ year: toNumber(m[2]), month: null, day: toNumber(m[1]) }),
+  },
+];
+
+const matchAt = (text, index, patterns) => {
+  for (const { re, read } of patterns) {
+    re.lastIndex = index;
+    const match = re.exec(text);
+    if (match) {
+      const date = read(match);
+      if (date.month === null || isValidDate(date)) {
+        return { date, end: re.lastIndex };
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Finds the first date in the text and, when it is followed by a range
+ * separator, the date that ends the range.
+ * @param {string} text - Normalized text with times and weekdays masked out.
+ * @returns {{start: Object, end: (Object|null)}|null} - {year, month, day} parts; year or month may be null.
+ */
+const findDates = (text) => {
+  for (let index = 0; index < text.length; index += 1) {
+    const first = matchAt(text, index, DATE_PATTERNS);
+    if (!first) {
+      continue;
+    }
+
+    const separator = new RegExp(RANGE_SEPARATOR, 'iy');
+    separator.lastIndex = first.end;
+    const second = separator.exec(text)
+      ? matchAt(text, separator.lastIndex, [...DATE_PATTERNS, ...RANGE_END_PATTERNS])
+      : null;
+    return { start: first.date, end: second ? second.date : null };
+  }
+  return null;
+};
+
+/**
+ * Fills in the parts a range leaves out. An end without a year or month takes
+ * them from the start (rolling over into the next month or year when needed),
+ * and a start without a year takes it from the end.
+ * @param {Object} start
+ * @param {Object|null} end
+ * @param {number} fallbackYear - Used when neither date has a year.
+ * @returns {{start: Object, end: Object}}
+ */
+const completeRange = (start, end, fallbackYear) => {
+  start = { ...start };
+  end = end ? { ...end } : { ...start };
+
+  const monthGiven = end.month !== null;
+  end.month = end.month ?? start.month;
+
+  if (start.year === null && end.year !== null) {
+    start.year = end.year;
+    if (compareDates(start, end) > 0) {
+      start.year -= 1;
+    }
+  }
+  if (start.year === null) {
+    start.year = fallbackYear;
+  }
+
+  if (end.year === null) {
+    end.year = start.year;
+    if (compareDates(start, end) > 0) {
+      if (monthGiven) {
+        end.year += 1;
+      } else if (end.month === 12) {
+        end = { ...end, year: end.year + 1, month: 1 };
+      } else {
+        end.month += 1;
+      }
+    }
+  }
+
+  return { start, end };
+};
+
+/**
+ * Picks the year of a date listed under a month section ("2024年12月") that
+ * shows no year itself. A date more than six months before the section month
+ * belongs to the next year ("1月5日" under December), one more than six months
+ * after it to the previous year.
+ * @param {Object} start - The first date of the range, without a year.
+ * @param {number} year - The section's year.
+ * @param {number|null} month - The section's month, if known.
+ * @returns {number}
+ */
+const sectionYear = (start, year, month) => {
+  if (month === null || start.month === null) {
+    return year;
+  }
+  if (month - start.month > 6) {
+    return year + 1;
+  }
+  if (start.month - month > 6) {
+    return year - 1;
+  }
+  return year;
+};
+
+/**
+ * Completes a range that shows no year with the nearest year in which it has
+ * not ended yet, allowing PAST_GRACE_DAYS for shows earlier in the month.
+ * Scraped in December, "1月10日" is next January; scraped in January,
+ * "12月28日" is the December just gone.
+ * @param {Object} start
+ * @param {Object|null} end
+ * @param {Date} now
+ * @returns {{start: Object, end: Object}}
+ */
+const inferRange = (start, end, now) => {
+  const today = dayNumber({ year: now.getFullYear(), month: now.getMonth() + 1, day: now.getDate() });
+  const year = now.getFullYear();
+  let range = null;
+
+  for (const candidate of [year - 1, year, year + 1]) {
+    range = completeRange(start, end, candidate);
+    if (isValidDate(range.start) && isValidDate(range.end) && dayNumber(range.end) >= today - PAST_GRACE_DAYS) {
+      return range;
+    }
+  }
+  return range;
+};
+
+const formatTime = (hours, minutes) => `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+
+/**
+ * Converts a TIME_RE match to HH:MM. Hours past midnight ("25:00") wrap around.
+ * @returns {string|null} - null when the match is not a time of day.
+ */
+const readTime = (match) => {
+  let hours = toNumber(match[2]);
+  const minutes = match[3] !== undefined ? toNumber(match[3]) : match[5] !== undefined ? toNumber(match[5]) : match[6] ? 30 : 0;
+  const period = (match[4] || '').toLowerCase();
+
+  if ((period === 'p' || match[1] === '午後') && hours < 12) {
+    hours += 12;
+  } else if ((period === 'a' || match[1] === '午前') && hours === 12) {
+    hours = 0;
+  }
+
+  if (hours > 29 || minutes > 59) {
+    return null;
+  }
+  return formatTime(hours % 24, minutes);
+};
+
+/**
+ * Extracts times from text such as "開場 18:00 開演 18:30", "OPEN / START 18:30 / 19:00",
+ * "13:00開演 15:30終演予定", "13:00-17:00" or "9:00 a.m.–5:30 p.m.". A time is
+ * paired with the 開場/開演/終演 label next to it; without labels, a lone time
+ * is the start and two times joined by a dash are the start and end. The end
+ * is only ever what the text states, never a guess.
+ *
+ * @param {string|null} text
+ * @returns {{doors_open: (string|null), time_start: (string|null), time_end: (string|null), tba: boolean}}
+ */
+export const parseTimes = (text) => {
+  const result = { doors_open: null, time_start: null, time_end: null, tba: false };
+  if (!text) {
+    return result;
+  }
+
+  const normalized = toHalfWidth(String(text));
+  result.tba = TBA_RE.test(normalized);
+
+  const times = [...normalized.matchAll(TIME_RE)]
+    .map((match) => ({ index: match.index, end: match.index + match[0].length, value: readTime(match) }))
+    .filter((time) => time.value !== null);
+  const labels = [...normalized.matchAll(LABEL_RE)]
+    .map((match) => ({ index: match.index, end: match.index + match[0].length, label: LABELS[match.findIndex((group, i) => i > 0 && group)] }));
+  const tokens = [...times, ...labels].sort((a, b) => a.index - b.index);
+
+  // Labels waiting for a time ("OPEN / START 18:30 / 19:00" queues two)
+  const pending = [];
+  tokens.forEach((token, index) => {
+    const previous = tokens[index - 1];
+    if (!token.label) {
+      if (pending.length > 0) {
+        token.label = pending.shift().label;
+      }
+    } else if (pending.length === 0 && previous && !previous.label) {
+      // A label right after an unlabeled time names it: "13:00開演"
+      previous.label = token.label;
+    } else {
+      pending.push(token);
+    }
+  });
+
+  const labeled = (label) => times.find((time) => time.label === label) || null;
+  const doors = labeled('doors_open');
+  let start = labeled('time_start');
+  if (!start && !doors) {
+    start = times.find((time) => !time.label) || null;
+  }
+
+  result.doors_open = doors ? doors.value : null;
+  result.time_start = start ? start.value : null;
+
+  // "13:00-17:00": the time joined to the start by a dash is the end. It wins
+  // over an UNTIL that is not about the show ("9:00–17:30, admission until 17:00")
+  const next = start ? times[times.indexOf(start) + 1] : null;
+  const end = next && (!next.label || next.label === 'time_end') && TIME_RANGE_RE.test(normalized.slice(start.end, next.index))
+    ? next
+    : labeled('time_end');
+  result.time_end = end ? end.value : null;
+
+  return result;
+};
+
+/**
+ * Parses a date or date range, with any times it carries.
+ *
+ * The year comes from the text when it has one (confidence 'high'), else from
+ * options.year, e.g. the year of a month section or page (confidence 'medium'),
+ * else it is inferred from the current date as the nearest year in which the
+ * date has not passed (confidence 'low'). An inferred date more than six months
+ * ahead is flagged `ambiguous`: it may as well be a past show. When no date is
+ * found, the dates are null and the confidence is 'none'; `tba` tells whether
+ * the text says the date or time is still to be announced.
+ *
+ * @param {string|null} text - e.g. "2024年11月23日(土) 開場 18:00 開演 18:30".
+ * @param {Object} [options]
+ * @param {number} [options.year] - The year to use when the text has none.
+ * @param {number} [options.month] - The month of the section options.year comes from,
+ *   so that a January date under December gets the next year.
+ * @param {Date} [options.now] - The current time, for inferring the year.
+ * @returns {{date_start: (string|null), date_end: (string|null), doors_open: (string|null),
+ *   time_start: (string|null), time_end: (string|null), tba: boolean,
+ *   confidence: ('high'|'medium'|'low'|'none'), ambiguous: boolean, raw: string}}
+ */
+export const parseDateTime = (text, { year = null, month = null, now = new Date() } = {}) => {
+  const raw = text === null || text === undefined ? '' : String(text);
+  const normalized = toHalfWidth(raw);
+  const times = parseTimes(normalized);
+
+  // Weekdays and times would otherwise sit between the two ends of a range
+  const masked = normalized.replace(WEEKDAY_RE, ' ').replace(TIME_RE, ' ');
+  const found = findDates(masked);
+
+  const result = { date_start: null, date_end: null, ...times, confidence: 'none', ambiguous: false, raw };
+  if (!found) {
+    return result;
+  }
+
+  const hasYear = found.start.year !== null || (found.end !== null && found.end.year !== null);
+  let confidence;
+  let range;
+  if (hasYear) {
+    confidence = 'high';
+    range = completeRange(found.start, found.end, null);
+  } else if (year !== null) {
+    confidence = 'medium';
+    range = completeRange(found.start, found.end, sectionYear(found.start, year, month));
+  } else {
+    confidence = 'low';
+    range = inferRange(found.start, found.end, now);
+  }
+
+  const { start, end } = range;
+  if (!isValidDate(start) || !isValidDate(end)) {
+    return result;
+  }
+
+  result.date_start = isoDate(start);
+  result.date_end = isoDate(end);
+  result.confidence = confidence;
+  if (confidence === 'low') {
+    const today = dayNumber({ year: now.getFullYear(), month: now.getMonth() + 1, day: now.getDate() });
+    result.ambiguous = dayNumber(start) - today > AMBIGUOUS_AFTER_DAYS;
+  }
+  return result;
+};
@@ -0,0 +1,194 @@
+// lib/event_schema.js
+//
+// The canonical event shape sent to /api/scrape. scrape_all.js normalizes every
+// scraped event, validates it against eventSchema and only posts the events
+// that pass; the rest are reported field by field.
+
+import Joi from 'joi';
+import { TICKET_STATUSES } from './ticket_status.js';
+
+// Placeholder strings scrapers have used for "no value"; normalized to null
+export const SENTINELS = new Set([
+  'No title',
+  'No title available',
+  'No description',
+  'No description available',
+  'No detailed description available',
+  'No date',
+  'No location',
+  'No link',
+  'No image available',
+  'No price',
+  'No price information',
+  'No ticket information',
+  'No Ticket Prices found',
+  'No program',
+  'No release date',
+]);
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const isoDate = Joi.string().pattern(ISO_DATE, 'YYYY-MM-DD date');
+const time = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/, 'HH:MM time');
+const httpUrl = Joi.string().uri({ scheme: ['http', 'https'] });
+const text = Joi.string().trim();
+
+export const scheduleSchema = Joi.object({
+  date: isoDate.required(),
+  // When doors open (開場 / OPEN); time_start is the show start (開演 / START)
+  doors_open: time.allow(null).default(null),
+  time_start: time.allow(null).default(null),
+  time_end: time.allow(null).default(null),
+  // 'stated' when time_end comes from the page; an end time is never made up
+  time_end_source: Joi.string().valid('stated').allow(null).default(null),
+  // The venue's typical length in minutes, when the page states no end time
+  estimated_duration_minutes: Joi.number().integer().min(1).allow(null).default(null),
+  special_notes: text.allow(null, '').default(null),
+  status: text.allow(null),
+});
+
+export const priceSchema = Joi.object({
+  // The normalized English tier ('Advance Student'); original_label is the label as printed ('学生前売')
+  price_tier: text.required(),
+  original_label: text.allow(null, '').default(null),
+  // What kind of price this is; only 'fixed' and 'free' always have an amount
+  price_type: Joi.string().valid('fixed', 'free', 'donation', 'pay_what_you_want', 'tba').default('fixed'),
+  amount: Joi.number().min(0).allow(null).required(),
+  // The upper end of a range such as "1,000〜3,000円"
+  amount_max: Joi.number().min(0).allow(null).default(null),
+  currency: Joi.string().uppercase().length(3).default('JPY'),
+  sold_out: Joi.boolean().default(false),
+  // Drinks to buy on entry ("+1D") and their price when stated
+  drinks: Joi.number().integer().min(1).allow(null).default(null),
+  drink_charge: Joi.number().min(0).allow(null).default(null),
+  tax: Joi.string().valid('included', 'excluded').allow(null).default(null),
+  discount_info: text.allow(null, '').default(null),
+});
+
+export const eventSchema = Joi.object({
+  site: text.required(),
+  title: text.required(),
+  description: text.allow(null, '').default(null),
+  organization: text.allow(null).default(null),
+  venue: text.allow(null).default(null),
+  address: text.allow(null).default(null),
+  date_start: isoDate.required(),
+  date_end: isoDate
+    .required()
+    .custom((value, helpers) => {
+      const { date_start } = helpers.state.ancestors[0];
+      return ISO_DATE.test(date_start) && value < date_start ? helpers.error('date.beforeStart') : value;
+    })
+    .messages({ 'date.beforeStart': '"date_end" must not be before "date_start"' }),
+  schedule: Joi.array().items(scheduleSchema).default([]),
+  prices: Joi.array().items(priceSchema).default([]),
+  free: Joi.boolean(),
+  sold_out: Joi.boolean(),
+  ended: Joi.boolean(),
+  status: text.allow(null),
+  // Ticket availability from parseTicketStatus; ticket_release_date is when tickets go on sale
+  ticket_status: Joi.string().valid(...TICKET_STATUSES).allow(null).default(null),
+  ticket_release_date: isoDate.allow(null).default(null),
+  // Local paths are what downloadImage returns (/images/store/... or a placeholder under /images/events);
+  // a few sites fall back to a remote stock image
+  image_url: Joi.alternatives(Joi.string().pattern(/^\//, 'local path'), httpUrl).allow(null).default(null),
+  alt_text: text.allow(null, ''),
+  event_link: httpUrl.allow(null).default(null),
+  external_id: text,
+  program: Joi.alternatives(Joi.array().items(Joi.string()), Joi.string()).allow(null),
+  categories: Joi.array().items(text).default([]),
+  tags: Joi.array().items(text).default([]),
+  // Source text kept for the backend transformers that re-parse it
+  raw_date: text.allow(null, ''),
+  raw_price_text: text.allow(null, ''),
+  raw_html: Joi.string().allow(null, ''),
+});
+
+// Replaces sentinel and blank strings with null
+const clean = (value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const trimmed = value.trim();
+  return trimmed === '' || SENTINELS.has(trimmed) ? null : value;
+};
+
+// Pads "9:30" to "09:30" and drops seconds; anything else is left for validation to report
+const cleanTime = (value) => {
+  const match = typeof value === 'string' ? value.trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?$/) : null;
+  return match ? `${match[1].padStart(2, '0')}:${match[2]}` : clean(value);
+};
+
+/**
+ * Brings an event into the canonical shape without validating it: sentinel
+ * strings become null, times are zero-padded, numeric price strings become
+ * numbers and a null prices or schedule list becomes empty.
+ *
+ * @param {Object} event - An event as returned by a scraper.
+ * @returns {Object} - A new event object.
+ */
+export const normalizeEvent = (event) => {
+  const normalized = {};
+  for (const [key, value] of Object.entries(event)) {
+    // Missing values are left out so the schema reports them as required or fills in its default
+    if (clean(value) !== null && value !== undefined) {
+      normalized[key] = value;
+    }
+  }
+
+  normalized.schedule = (normalized.schedule || []).map((entry) => ({
+    ...entry,
+    date: clean(entry.date) ?? undefined,
+    doors_open: cleanTime(entry.doors_open),
+    time_start: cleanTime(entry.time_start),
+    time_end: cleanTime(entry.time_end),
+    special_notes: clean(entry.special_notes),
+  }));
+
+  normalized.prices = (normalized.prices || []).map((price) => ({
+    ...price,
+    price_tier: clean(price.price_tier) ?? undefined,
+    amount: typeof price.amount === 'string' && /^\d+(\.\d+)?$/.test(price.amount.replace(/,/g, ''))
+      ? Number(price.amount.replace(/,/g, ''))
+      : price.amount,
+  }));
+
+  return normalized;
+};
+
+/**
+ * Normalizes and validates a site's events.
+ *
+ * Unknown fields are dropped. Each invalid event is reported with one entry per
+ * failing field, e.g. { field: 'prices[0].amount', message: '"amount" must be a number' }.
+ *
+ * @param {Array} events - The events returned by a scraper.
+ * @returns {{valid: Array, invalid: Array<{index: number, title: (string|null), errors: Array<{field: string, message: string}>}>}}
+ */
+export const validateEvents = (events) => {
+  const valid = [];
+  const invalid = [];
+
+  events.forEach((event, index) => {
+    const normalized = normalizeEvent(event);
+    const { value, error } = eventSchema.validate(normalized, { abortEarly: false, stripUnknown: true });
+    if (!error) {
+      valid.push(value);
+      return;
+    }
+
+    invalid.push({
+      index,
+      title: normalized.title || null,
+      errors: error.details.map((detail) => ({
+        field: detail.path.reduce(
+          (field, part) => (typeof part === 'number' ? `${field}[${part}]` : field ? `${field}.${part}` : part),
+          ''
+        ),
+        message: detail.message,
+      })),
+    });
+  });
+
+  return { valid, invalid };
+};
@@ -0,0 +1,167 @@
+// lib/failure_capture.js
+//
+// What a page looked like when scraping it failed: a screenshot, its HTML and
+// what its console said, so a failure from last night can be looked at (or turned
+// into a test fixture) after the page has changed again. The runtime captures a
+// page when a selector wait times out or extraction throws.
+//
+// Layout: <failures dir>/<run id>/<site>/<url slug>-<hash>/ with screenshot.png,
+// page.html, console.log and failure.json. A URL is captured once per run, a site
+// at most SCRAPE_FAILURES_PER_SITE times per run (default 20), and only the last
+// SCRAPE_FAILURES_KEEP_RUNS runs (default 10) are kept.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getRunId } from './logger.js';
+import { generateHash } from './utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const FAILURES_DIR = process.env.SCRAPE_FAILURES_DIR || path.resolve(__dirname, '..', 'failures');
+
+export const DEFAULT_RETENTION = {
+  keepRuns: parseInt(process.env.SCRAPE_FAILURES_KEEP_RUNS, 10) || 10,
+  maxPerSite: parseInt(process.env.SCRAPE_FAILURES_PER_SITE, 10) || 20,
+};
+
+// Console lines kept per page; a page that logs in a loop should not fill the disk
+const MAX_CONSOLE_LINES = 500;
+
+// "https://www.rohmtheatrekyoto.jp/event/12345/" -> "www.rohmtheatrekyoto.jp-event-12345"
+const urlSlug = (url) => (url || 'about-blank')
+  .replace(/^[a-z]+:\/\//i, '')
+  .replace(/[^a-z0-9.]+/gi, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 60);
+
+/**
+ * Removes all but the newest runs from the failures directory. Run ids sort by
+ * the time the run started.
+ * @param {Object} [options]
+ * @param {string} [options.dir] - The failures directory.
+ * @param {number} [options.keepRuns] - How many runs to keep.
+ * @param {string} [options.keep] - A run that is never removed (the current one).
+ * @returns {string[]} - The run ids removed.
+ */
+export const pruneFailures = ({ dir = FAILURES_DIR, keepRuns = DEFAULT_RETENTION.keepRuns, keep = null } = {}) => {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const runs = fs.readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && entry.name !== keep)
+    .map((entry) => entry.name)
+    .sort();
+  const removed = runs.slice(0, Math.max(0, runs.length - (keep ? keepRuns - 1 : keepRuns)));
+  for (const runId of removed) {
+    fs.rmSync(path.join(dir, runId), { recursive: true, force: true });
+  }
+  return removed;
+};
+
+/**
+ * Creates the failure capture of a site for the current run.
+ *
+ * @param {string} site - The scraper's site name.
+ * @param {Object} [options]
+ * @param {string} [options.dir] - The failures directory.
+ * @param {string} [options.runId] - The run the captures belong to. Defaults to the logger's runId.
+ * @param {number} [options.keepRuns] - How many runs to keep.
+ * @param {number} [options.maxPerSite] - How many pages of the site to capture in one run.
+ * @param {Function} [options.now] - Returns the current time.
+ * @returns {{watch: Function, capture: Function}}
+ */
+export const createFailureCapture = (site, {
+  dir = FAILURES_DIR,
+  runId = getRunId(),
+  keepRuns = DEFAULT_RETENTION.keepRuns,
+  maxPerSite = DEFAULT_RETENTION.maxPerSite,
+  now = () => new Date(),
+} = {}) => {
+  const consoleLines = new WeakMap(); // Page -> what it logged so far
+  const captured = new Set(); // URLs captured in this run
+
+  return {
+    /**
+     * Starts collecting a page's console messages, page errors and failed
+     * requests, so they can be saved with a capture.
+     * @param {puppeteer.Page} page
+     * @returns {puppeteer.Page}
+     */
+    watch: (page) => {
+      const lines = [];
+      consoleLines.set(page, lines);
+      const push = (line) => {
+        if (lines.length < MAX_CONSOLE_LINES) {
+          lines.push(`${now().toISOString()} ${line}`);
+        }
+      };
+      page.on('console', (message) => push(`[${message.type()}] ${message.text()}`));
+      page.on('pageerror', (error) => push(`[pageerror] ${error.message}`));
+      page.on('requestfailed', (request) => push(`[requestfailed] ${request.url()} ${request.failure()?.errorText || ''}`.trimEnd()));
+      return page;
+    },
+
+    /**
+     * Saves what a page shows after a failure. Each artifact is saved on its own:
+     * a page that cannot be screenshotted (a crashed tab, a replay) still has its
+     * HTML saved. Never throws.
+     *
+     * @param {puppeteer.Page} page - The page the failure happened on.
+     * @param {Error} error - The failure.
+     * @param {Object} [details] - Saved in failure.json (e.g., phase, selector).
+     * @returns {Promise<string|null>} - The capture's directory, or null if the page was
+     *   already captured in this run, the site reached its limit or the page is closed.
+     */
+    capture: async (page, error, details = {}) => {
+      if (!page || page.isClosed?.()) {
+        return null;
+      }
+      const url = page.url();
+      if (captured.has(url) || captured.size >= maxPerSite) {
+        return null;
+      }
+      captured.add(url);
+
+      try {
+        const runDir = path.join(dir, runId);
+        if (!fs.existsSync(runDir)) {
+          fs.mkdirSync(runDir, { recursive: true });
+          pruneFailures({ dir, keepRuns, keep: runId });
+        }
+
+        const captureDir = path.join(runDir, site, `${urlSlug(url)}-${generateHash(url).slice(0, 8)}`);
+        fs.mkdirSync(captureDir, { recursive: true });
+
+        const artifacts = [];
+        if (typeof page.screenshot === 'function') {
+          await page.screenshot({ path: path.join(captureDir, 'screenshot.png'), fullPage: true })
+            .then(() => artifacts.push('screenshot.png'))
+            .catch(() => {});
+        }
+        const html = await page.content().catch(() => null);
+        if (html !== null) {
+          fs.writeFileSync(path.join(captureDir, 'page.html'), html, 'utf-8');
+          artifacts.push('page.html');
+        }
+        fs.writeFileSync(path.join(captureDir, 'console.log'), (consoleLines.get(page) || []).join('\n'), 'utf-8');
+        artifacts.push('console.log');
+
+        fs.writeFileSync(path.join(captureDir, 'failure.json'), JSON.stringify({
+          site,
+          runId,
+          url,
+          capturedAt: now().toISOString(),
+          error: { name: error?.name || 'Error', message: error?.message || String(error), stack: error?.stack || null },
+          ...details,
+          artifacts,
+        }, null, 2), 'utf-8');
+        return captureDir;
+      } catch (captureError) {
+        return null;
+      }
+    },
+  };
+};
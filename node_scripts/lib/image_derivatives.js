@@ -0,0 +1,79 @@
+// lib/image_derivatives.js
+//
+// Smaller copies of each stored image for the front end: AVIF and WebP at a few
+// widths, for <picture> srcsets, and a tiny blurred WebP shown while the real
+// image loads. The image store creates them next to the original:
+//
+//   <hash>.jpg -> <hash>-160.avif, <hash>-160.webp, ..., <hash>-1280.webp, <hash>-lqip.webp
+//
+// The names are a contract with resources/views/components/EventImage.vue, which
+// builds the srcsets from an image's URL alone; keep the widths in step with it.
+// Widths above the original's are still written, at the original's size, so the
+// names never depend on the image; EventImage reads the original's width from its
+// URL (see image_store.js) and describes those files by their real width.
+
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+
+export const DERIVATIVE_WIDTHS = [160, 320, 640, 960, 1280];
+
+// In the order browsers should prefer them
+export const DERIVATIVE_FORMATS = ['avif', 'webp'];
+
+export const LQIP_WIDTH = 24;
+
+// Quality is lower for AVIF: at the same number it looks better than WebP. effort
+// keeps AVIF encoding to well under a second per image on one core.
+const ENCODERS = {
+  avif: (pipeline) => pipeline.avif({ quality: 50, effort: 2 }),
+  webp: (pipeline) => pipeline.webp({ quality: 70 }),
+};
+
+export const derivativeName = (hash, width, format) => `${hash}-${width}.${format}`;
+
+export const lqipName = (hash) => `${hash}-lqip.webp`;
+
+/**
+ * Returns the names of every derivative of an image, the placeholder included.
+ * @param {string} hash - The image's content hash.
+ * @returns {string[]}
+ */
+export const derivativeNames = (hash) => [
+  ...DERIVATIVE_WIDTHS.flatMap((width) => DERIVATIVE_FORMATS.map((format) => derivativeName(hash, width, format))),
+  lqipName(hash),
+];
+
+/**
+ * Writes the derivatives of an image that do not exist yet.
+ *
+ * @param {Buffer|string} source - The original image, or its path.
+ * @param {Object} options
+ * @param {string} options.dir - The directory to write them to.
+ * @param {string} options.hash - The image's content hash, which names them.
+ * @returns {Promise<string[]>} - The names of the files written.
+ */
+export const createDerivatives = async (source, { dir, hash }) => {
+  const written = [];
+  const write = async (name, pipeline) => {
+    const target = path.join(dir, name);
+    if (fs.existsSync(target)) {
+      return;
+    }
+    await pipeline.toFile(`${target}.part`);
+    fs.renameSync(`${target}.part`, target);
+    written.push(name);
+  };
+
+  // rotate() applies the EXIF orientation; animated GIFs keep their first frame
+  for (const width of DERIVATIVE_WIDTHS) {
+    for (const format of DERIVATIVE_FORMATS) {
+      await write(
+        derivativeName(hash, width, format),
+        ENCODERS[format](sharp(source).rotate().resize({ width, withoutEnlargement: true }))
+      );
+    }
+  }
+  await write(lqipName(hash), sharp(source).rotate().resize({ width: LQIP_WIDTH }).blur(1).webp({ quality: 30 }));
+  return written;
+};
@@ -0,0 +1,187 @@
+// lib/image_selection.js
+//
+// Picks the event image out of the images a page offers, by looking at the images
+// themselves rather than their file size or name alone: their dimensions and
+// aspect ratio, whether they look like a logo (flat colours, a transparent
+// background, a name such as headerlogo2.png) and whether they recur on the pages
+// of other events, as site chrome does. Near-duplicates (a thumbnail and the full
+// flyer) count once, as the larger of the two.
+//
+// Scores are relative: only their order matters, except that a candidate at or
+// below REJECT_SCORE is never picked, even when it is the only one.
+
+import sharp from 'sharp';
+
+export const REJECT_SCORE = -50;
+
+// Fingerprints this many bits (of 64) apart or fewer are the same picture, resized or re-encoded
+export const DUPLICATE_DISTANCE = 10;
+
+// On this many events' pages or more, an image is part of the site rather than an event
+export const RECURRENCE_EVENTS = 3;
+
+// Words in an image's file name or alt text that mark site chrome rather than an event.
+// The short ones only count as words of their own: "nav_2.png" but not "canvas.jpg".
+const CHROME_WORDS = /(logo|favicon|banner|header|footer|spacer|no_?image|dummy|twitter|facebook|instagram|youtube)|(?:^|[^a-z])(icon|btn|button|nav|menu|arrow|sns|blank|loading|bg)(?:[^a-z]|$)/i;
+
+/**
+ * Measures an image: its size, how much detail it has (entropy), whether it has
+ * transparent areas, and a fingerprint for spotting near-duplicates (a 64-bit
+ * difference hash, as 16 hex digits).
+ *
+ * @param {Buffer} buffer - The image bytes.
+ * @returns {Promise<{width: number, height: number, format: string, entropy: number, opaque: boolean, fingerprint: string}>}
+ * @throws {Error} - If the bytes are not an image.
+ */
+export const inspectImage = async (buffer) => {
+  const { width, height, format } = await sharp(buffer).metadata();
+  const { entropy, isOpaque } = await sharp(buffer).stats();
+
+  // Each pixel of a 9x8 greyscale thumbnail compared with its right neighbour
+  const pixels = await sharp(buffer).greyscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+  let bits = 0n;
+  for (let y = 0; y < 8; y += 1) {
+    for (let x = 0; x < 8; x += 1) {
+      bits = (bits << 1n) | (pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1n : 0n);
+    }
+  }
+
+  return { width, height, format, entropy, opaque: isOpaque, fingerprint: bits.toString(16).padStart(16, '0') };
+};
+
+/**
+ * Counts the bits two fingerprints differ in.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export const fingerprintDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  while (diff > 0n) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return distance;
+};
+
+// "https://kyoto-kanze.jp/images/headerlogo2.png" -> "headerlogo2.png"
+const fileName = (url) => {
+  try {
+    return decodeURIComponent(new URL(url).pathname.split('/').pop() || '');
+  } catch (error) {
+    return '';
+  }
+};
+
+/**
+ * Scores one image as the picture of an event.
+ *
+ * @param {Object} info - From inspectImage.
+ * @param {Object} [options]
+ * @param {string} [options.url] - Where the image came from.
+ * @param {string} [options.alt] - Its alt text.
+ * @param {number} [options.recurrence] - On how many events' pages it appeared.
+ * @returns {{score: number, reasons: string[]}} - The reasons explain the penalties.
+ */
+export const scoreImage = (info, { url = '', alt = '', recurrence = 1 } = {}) => {
+  const reasons = [];
+  let score = 0;
+
+  // Bigger is better, up to about 1100x1100; 200x200 scores nothing
+  const shortSide = Math.min(info.width, info.height);
+  if (shortSide < 100) {
+    score -= 100;
+    reasons.push(`too small (${info.width}x${info.height})`);
+  } else {
+    score += Math.max(-20, Math.min(50, 10 * Math.log2((info.width * info.height) / 40000)));
+  }
+
+  // Flyers are portrait A-sizes or landscape photos; strips are banners and logos
+  const ratio = Math.max(info.width, info.height) / Math.max(1, shortSide);
+  if (ratio > 3) {
+    score -= 80;
+    reasons.push(`banner-shaped (${ratio.toFixed(1)}:1)`);
+  } else if (ratio > 2) {
+    score -= 15;
+    reasons.push(`wide (${ratio.toFixed(1)}:1)`);
+  }
+
+  const chrome = CHROME_WORDS.exec(fileName(url)) || CHROME_WORDS.exec(alt);
+  if (chrome) {
+    score -= 60;
+    reasons.push(`named like site chrome ("${chrome[1] || chrome[2]}")`);
+  }
+
+  // Photos and flyers have entropy around 6-7; logos and solid fills much less
+  if (info.entropy < 3) {
+    score -= 30;
+    reasons.push(`flat (entropy ${info.entropy.toFixed(1)})`);
+  }
+  if (!info.opaque) {
+    score -= 20;
+    reasons.push('transparent background');
+  }
+
+  if (recurrence >= RECURRENCE_EVENTS) {
+    score -= 30;
+    reasons.push(`on ${recurrence} events' pages`);
+  }
+
+  return { score: Math.round(score), reasons };
+};
+
+/**
+ * Creates the image selector of a scraper run. It remembers the images each
+ * event offered, so an image that turns up for event after event (a logo in the
+ * page header) is recognised as part of the site.
+ *
+ * @returns {{rank: Function}}
+ */
+export const createImageSelector = () => {
+  const seen = []; // { fingerprint, events: Set of the events it appeared for }
+  let events = 0;
+
+  const remember = (fingerprint, event) => {
+    let entry = seen.find((known) => fingerprintDistance(known.fingerprint, fingerprint) <= DUPLICATE_DISTANCE);
+    if (!entry) {
+      entry = { fingerprint, events: new Set() };
+      seen.push(entry);
+    }
+    entry.events.add(event);
+    return entry.events.size;
+  };
+
+  return {
+    /**
+     * Ranks the images one event offers, best first. Of a group of near-duplicates
+     * only the largest is ranked; the others are left out.
+     *
+     * @param {Array<{url: string, alt?: string, info: Object}>} candidates - Inspected images, in page order.
+     * @returns {Array<{url: string, alt?: string, info: Object, score: number, reasons: string[], rejected: boolean}>}
+     */
+    rank: (candidates) => {
+      const event = (events += 1);
+      const unique = [];
+      for (const candidate of candidates) {
+        const duplicate = unique.find((kept) =>
+          fingerprintDistance(kept.info.fingerprint, candidate.info.fingerprint) <= DUPLICATE_DISTANCE);
+        if (!duplicate) {
+          unique.push(candidate);
+        } else if (candidate.info.width * candidate.info.height > duplicate.info.width * duplicate.info.height) {
+          unique[unique.indexOf(duplicate)] = candidate;
+        }
+      }
+
+      return unique
+        .map((candidate, order) => {
+          const recurrence = remember(candidate.info.fingerprint, event);
+          const { score, reasons } = scoreImage(candidate.info, { url: candidate.url, alt: candidate.alt, recurrence });
+          return { ...candidate, score, reasons, rejected: score <= REJECT_SCORE, order };
+        })
+        // Ties go to the image the page shows first
+        .sort((a, b) => b.score - a.score || a.order - b.order)
+        .map(({ order, ...ranked }) => ranked);
+    },
+  };
+};
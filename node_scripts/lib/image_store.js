@@ -0,0 +1,247 @@
+// lib/image_store.js
+//
+// One image store for every site, keyed by the SHA-256 of the image bytes: the
+// same flyer posted by two venues, or uploaded again under a new URL, is stored
+// once. A manifest maps each source URL to the file it produced, so a URL that
+// was fetched before is not downloaded again, and records which sites use each
+// file. Files no event references any more can be garbage-collected.
+//
+// Layout: public/images/store/<first 2 hex>/<hash>.<ext>, served as
+// /images/store/..., with the image's derivatives (lib/image_derivatives.js) next
+// to it; the manifest lives outside public/, in storage/app/image_store.json.
+// The paths the store hands out carry the image's width (…/<hash>.jpg?w=800), so
+// the front end knows which derivative widths are real without asking.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+import { createDerivatives, derivativeNames } from './image_derivatives.js';
+import { generateHash } from './utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const STORE_DIR = process.env.IMAGE_STORE_DIR || path.resolve(__dirname, '..', '..', 'public', 'images', 'store');
+export const STORE_URL = '/images/store';
+export const MANIFEST_PATH = process.env.IMAGE_STORE_MANIFEST || path.resolve(__dirname, '..', '..', 'storage', 'app', 'image_store.json');
+
+// Files younger than this survive garbage collection: their events may not have reached the backend yet
+export const GC_GRACE_MS = 24 * 60 * 60 * 1000;
+
+// sharp's format names -> the extension a stored file gets
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', gif: 'gif', webp: 'webp', avif: 'avif', tiff: 'tiff', svg: 'svg' };
+
+const emptyManifest = () => ({ sources: {}, files: {} });
+
+// "https://venue.example/images/store/ab/ab12.jpg" and "/images/store/ab/ab12.jpg" name the same file
+const toPublicPath = (reference) => {
+  try {
+    return new URL(reference, 'http://localhost').pathname;
+  } catch (error) {
+    return reference;
+  }
+};
+
+/**
+ * Opens an image store. The manifest is read on first use and written after
+ * every change, so a crashed run loses nothing it had stored.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Where the files are kept.
+ * @param {string} [options.manifestPath] - The manifest file.
+ * @param {string} [options.publicUrl] - The URL the directory is served under.
+ * @param {Function} [options.now] - Returns the current time.
+ * @returns {Object} - The store: lookup, read, put, stats and collectGarbage.
+ */
+export const createImageStore = ({
+  dir = STORE_DIR,
+  manifestPath = MANIFEST_PATH,
+  publicUrl = STORE_URL,
+  now = () => new Date(),
+} = {}) => {
+  let manifest = null;
+
+  const load = () => {
+    if (!manifest) {
+      manifest = fs.existsSync(manifestPath)
+        ? { ...emptyManifest(), ...JSON.parse(fs.readFileSync(manifestPath, 'utf-8')) }
+        : emptyManifest();
+    }
+    return manifest;
+  };
+
+  // Written to a temporary file first so an interrupted write never leaves half a manifest
+  const save = () => {
+    fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+    const tempPath = `${manifestPath}.part`;
+    fs.writeFileSync(tempPath, JSON.stringify(manifest, null, 2), 'utf-8');
+    fs.renameSync(tempPath, manifestPath);
+  };
+
+  const filePath = (publicPath) => path.join(dir, path.relative(publicUrl, toPublicPath(publicPath)));
+
+  // The path events use: the file's, with its width for EventImage's srcset
+  const publicPathOf = (file) => (file.width ? `${file.path}?w=${file.width}` : file.path);
+
+  /**
+   * Returns the stored file a source URL produced before, if it is still on disk.
+   * @param {string} sourceUrl - The normalized source URL.
+   * @returns {string|null} - The file's public path, with its width.
+   */
+  const lookup = (sourceUrl) => {
+    const source = load().sources[sourceUrl];
+    const file = source && manifest.files[source.hash];
+    return file && fs.existsSync(filePath(file.path)) ? publicPathOf(file) : null;
+  };
+
+  return {
+    lookup,
+
+    /**
+     * Reads the stored file a source URL produced before.
+     * @param {string} sourceUrl - The normalized source URL.
+     * @returns {Buffer|null}
+     */
+    read: (sourceUrl) => {
+      const stored = lookup(sourceUrl);
+      return stored ? fs.readFileSync(filePath(stored)) : null;
+    },
+
+    /**
+     * Stores an image and its derivatives, unless a file with the same content is
+     * already stored, and maps the source URL to it.
+     * @param {Buffer} buffer - The image bytes.
+     * @param {Object} options
+     * @param {string} options.sourceUrl - The normalized URL the image was downloaded from.
+     * @param {string} options.site - The site that uses it.
+     * @returns {Promise<string>} - The file's public path, with its width.
+     * @throws {Error} - If the bytes are not an image, or its derivatives cannot be made.
+     */
+    put: async (buffer, { sourceUrl, site }) => {
+      let metadata;
+      try {
+        metadata = await sharp(buffer).metadata();
+      } catch (error) {
+        throw new Error(`Not a valid image: ${error.message}`);
+      }
+      const extension = EXTENSIONS[metadata.format];
+      if (!extension) {
+        throw new Error(`Unsupported image format: ${metadata.format}`);
+      }
+
+      const hash = generateHash(buffer);
+      const publicPath = `${publicUrl}/${hash.slice(0, 2)}/${hash}.${extension}`;
+      const target = filePath(publicPath);
+      if (!fs.existsSync(target)) {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        const tempPath = `${target}.part`;
+        fs.writeFileSync(tempPath, buffer);
+        fs.renameSync(tempPath, target);
+      }
+      // Before the manifest, so that every image it lists has its derivatives
+      await createDerivatives(buffer, { dir: path.dirname(target), hash });
+
+      const { files, sources } = load();
+      const storedAt = now().toISOString();
+      const file = files[hash] || {
+        path: publicPath,
+        bytes: buffer.length,
+        format: metadata.format,
+        width: metadata.width || null,
+        height: metadata.height || null,
+        sites: [],
+        storedAt,
+      };
+      if (!file.sites.includes(site)) {
+        file.sites.push(site);
+      }
+      files[hash] = file;
+      sources[sourceUrl] = { hash, fetchedAt: storedAt };
+      save();
+      return publicPathOf(file);
+    },
+
+    /**
+     * Counts what the store holds.
+     * @returns {{files: number, sources: number, bytes: number}}
+     */
+    stats: () => {
+      const { files, sources } = load();
+      return {
+        files: Object.keys(files).length,
+        sources: Object.keys(sources).length,
+        bytes: Object.values(files).reduce((total, { bytes }) => total + bytes, 0),
+      };
+    },
+
+    /**
+     * Deletes the stored files no event references, with the manifest entries
+     * that point at them. Files stored within the grace period are kept. Files in
+     * the directory the manifest does not know are deleted too, once as old.
+     *
+     * @param {Iterable<string>} references - Every image URL or path the events use.
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun] - Only report what would be deleted.
+     * @param {number} [options.graceMs] - How old an unreferenced file must be to go.
+     * @returns {{removed: string[], kept: number}} - The public paths deleted (or to delete),
+     *   and how many files of the manifest stay.
+     */
+    collectGarbage: (references, { dryRun = false, graceMs = GC_GRACE_MS } = {}) => {
+      const referenced = new Set([...references].filter(Boolean).map(toPublicPath));
+      const { files, sources } = load();
+      const cutoff = now().getTime() - graceMs;
+      const removed = [];
+      let kept = 0;
+
+      for (const [hash, file] of Object.entries(files)) {
+        if (referenced.has(file.path) || new Date(file.storedAt).getTime() > cutoff) {
+          kept += 1;
+          continue;
+        }
+        removed.push(file.path);
+        if (!dryRun) {
+          fs.rmSync(filePath(file.path), { force: true });
+          for (const name of derivativeNames(hash)) {
+            fs.rmSync(path.join(path.dirname(filePath(file.path)), name), { force: true });
+          }
+          delete files[hash];
+          for (const [sourceUrl, source] of Object.entries(sources)) {
+            if (source.hash === hash) {
+              delete sources[sourceUrl];
+            }
+          }
+        }
+      }
+
+      // Files left behind by a run that died before it wrote the manifest. Derivatives
+      // go with their original: their names start with its hash.
+      const known = new Set(Object.keys(files));
+      for (const publicPath of referenced) {
+        known.add(path.basename(publicPath).slice(0, 64));
+      }
+      const shards = fs.existsSync(dir) ? fs.readdirSync(dir, { withFileTypes: true }).filter((entry) => entry.isDirectory()) : [];
+      for (const shard of shards) {
+        for (const name of fs.readdirSync(path.join(dir, shard.name))) {
+          const publicPath = `${publicUrl}/${shard.name}/${name}`;
+          const stat = fs.statSync(path.join(dir, shard.name, name));
+          if (known.has(name.slice(0, 64)) || stat.mtimeMs > cutoff) {
+            continue;
+          }
+          removed.push(publicPath);
+          if (!dryRun) {
+            fs.rmSync(path.join(dir, shard.name, name), { force: true });
+          }
+        }
+      }
+
+      if (!dryRun && removed.length > 0) {
+        save();
+      }
+      return { removed, kept };
+    },
+  };
+};
+
+// The store every scraper in this process shares
+export const imageStore = createImageStore();
@@ -0,0 +1,219 @@
+// lib/images.js
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import axios from 'axios';
+import sharp from 'sharp';
+import { imageStore } from './image_store.js';
+import { createImageSelector, inspectImage } from './image_selection.js';
+import { makeAbsoluteUrl, withRetries } from './utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Placeholders are served by Laravel from public/images/events/<site>/; downloaded
+// images go to the shared store under public/images/store/
+export const PUBLIC_IMAGES_DIR = path.resolve(__dirname, '..', '..', 'public', 'images', 'events');
+
+/**
+ * Returns the public URL of a site's default placeholder image.
+ * @param {string} site - The site identifier.
+ * @returns {string}
+ */
+export const placeholderFor = (site) => `/images/events/${site}/placeholder.jpg`;
+
+/**
+ * Validates that the file at the given path is a readable image.
+ * @param {string} filepath - The path to the image file.
+ * @returns {Promise<boolean>} - Returns true if valid, false otherwise.
+ */
+export const validateImage = async (filepath) => {
+  try {
+    await sharp(filepath).metadata();
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Larger downloads are given up on; no flyer needs more
+export const MAX_IMAGE_BYTES = 20 * 1024 * 1024;
+
+// Collects a response stream into a buffer, failing once it grows past MAX_IMAGE_BYTES
+const readImage = (stream) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let bytes = 0;
+  stream.on('data', (chunk) => {
+    bytes += chunk.length;
+    if (bytes > MAX_IMAGE_BYTES) {
+      stream.destroy();
+      reject(new Error(`Image is larger than ${MAX_IMAGE_BYTES} bytes`));
+      return;
+    }
+    chunks.push(chunk);
+  });
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+  stream.on('error', reject);
+});
+
+// Ignore query parameters unless the site relies on them to tell images apart
+const sourceUrlOf = (absoluteUrl, keepQuery) => {
+  const parsedUrl = new URL(absoluteUrl);
+  return `${parsedUrl.origin}${parsedUrl.pathname}${keepQuery ? parsedUrl.search : ''}`;
+};
+
+// Downloads the bytes of an image, retrying failed attempts
+const fetchImage = (absoluteUrl, { http, retries, logger }) => withRetries(async () => {
+  logger.info(`Downloading image: ${absoluteUrl}`);
+  const response = await http.get(absoluteUrl, { responseType: 'stream', timeout: 30000 });
+  return readImage(response.data);
+}, {
+  retries,
+  onRetry: (error, attemptsLeft) => {
+    logger.warn(`Retrying download for image: ${absoluteUrl}. Attempts left: ${attemptsLeft}. Error: ${error.message}`);
+  },
+});
+
+/**
+ * Downloads an image from the given URL into the shared image store (see
+ * lib/image_store.js). A URL the store has fetched before is not downloaded
+ * again, and an image whose content is already stored (the same flyer on another
+ * site, or under a new URL) is not stored twice.
+ *
+ * @param {string} imageUrl - The URL of the image to download. May be relative to baseUrl.
+ * @param {Object} options
+ * @param {string} options.site - The site identifier, recorded in the store and used for the default placeholder.
+ * @param {winston.Logger} options.logger - Logger for progress and failures.
+ * @param {string} [options.baseUrl] - Base URL used to resolve relative image URLs.
+ * @param {number} [options.retries=3] - Number of retry attempts for downloading.
+ * @param {string} [options.placeholder] - URL returned when there is no image or the download fails.
+ * @param {boolean} [options.keepQuery=false] - Tell source URLs apart by their query string too.
+ * @param {Object} [options.http=axios] - Makes the requests; scrapers pass their rate-limited context.http.
+ * @param {Object} [options.store=imageStore] - The image store.
+ * @param {Function} [options.onFailure] - Called with (imageUrl, message) when an image falls back to the placeholder
+ *   because its URL is invalid or the download failed.
+ * @returns {Promise<string>} - The relative URL of the stored image, or the placeholder.
+ */
+export const downloadImage = async (imageUrl, {
+  site,
+  logger,
+  baseUrl,
+  retries = 3,
+  placeholder = placeholderFor(site),
+  keepQuery = false,
+  http = axios,
+  store = imageStore,
+  onFailure = () => {},
+}) => {
+  if (!imageUrl || imageUrl === 'No image available') {
+    logger.warn('No valid image URL provided. Using placeholder.');
+    return placeholder;
+  }
+
+  let absoluteImageUrl;
+  try {
+    absoluteImageUrl = new URL(imageUrl, baseUrl).href;
+  } catch (error) {
+    logger.warn(`Invalid image URL: ${imageUrl}. Using placeholder.`);
+    onFailure(imageUrl, 'Invalid image URL');
+    return placeholder;
+  }
+
+  const sourceUrl = sourceUrlOf(absoluteImageUrl, keepQuery);
+  const stored = store.lookup(sourceUrl);
+  if (stored) {
+    logger.info(`Image already stored: ${stored}`);
+    return stored;
+  }
+
+  try {
+    const buffer = await fetchImage(absoluteImageUrl, { http, retries, logger });
+    const publicPath = await store.put(buffer, { sourceUrl, site });
+    logger.info(`Image stored as: ${publicPath}`);
+    return publicPath;
+  } catch (error) {
+    logger.error(`Failed to download image after retries: ${absoluteImageUrl}. Error: ${error.message}`);
+    onFailure(absoluteImageUrl, error.message);
+    return placeholder;
+  }
+};
+
+/**
+ * Picks the best of the images a page offers for an event, by their dimensions,
+ * shape and whether they look like site chrome (see lib/image_selection.js), and
+ * stores it like downloadImage does. Candidates already in the store are read
+ * from it rather than downloaded again.
+ *
+ * @param {Array<string|{url: string, alt?: string}>} candidates - Image URLs in page order, optionally with their
+ *   alt text. May be relative to baseUrl.
+ * @param {Object} options - Those of downloadImage, and:
+ * @param {Object} [options.selector] - From createImageSelector; a scraper run shares one, so images that recur
+ *   on every event's page are recognised.
+ * @param {number} [options.maxCandidates=6] - How many candidates are downloaded at most.
+ * @returns {Promise<string>} - The relative URL of the stored image, or the placeholder when no candidate
+ *   could be downloaded or all of them look like site chrome.
+ */
+export const downloadBestImage = async (candidates, {
+  site,
+  logger,
+  baseUrl,
+  retries = 3,
+  placeholder = placeholderFor(site),
+  keepQuery = false,
+  http = axios,
+  store = imageStore,
+  selector = createImageSelector(),
+  maxCandidates = 6,
+  onFailure = () => {},
+}) => {
+  const sources = [];
+  for (const candidate of candidates.filter(Boolean)) {
+    const { url, alt = '' } = typeof candidate === 'string' ? { url: candidate } : candidate;
+    const absoluteUrl = url && url !== 'No image available' ? makeAbsoluteUrl(url, baseUrl) : null;
+    const sourceUrl = absoluteUrl && sourceUrlOf(absoluteUrl, keepQuery);
+    if (sourceUrl && sources.length < maxCandidates && !sources.some((source) => source.sourceUrl === sourceUrl)) {
+      sources.push({ url: absoluteUrl, sourceUrl, alt });
+    }
+  }
+  if (sources.length === 0) {
+    logger.warn('No image candidates provided. Using placeholder.');
+    return placeholder;
+  }
+
+  const inspected = [];
+  const failures = [];
+  for (const source of sources) {
+    try {
+      const buffer = store.read(source.sourceUrl) || await fetchImage(source.url, { http, retries, logger });
+      inspected.push({ ...source, buffer, info: await inspectImage(buffer) });
+    } catch (error) {
+      logger.warn(`Skipping image candidate ${source.url}: ${error.message}`);
+      failures.push({ url: source.url, message: error.message });
+    }
+  }
+  if (inspected.length === 0) {
+    logger.error(`None of the ${sources.length} image candidates could be downloaded. Using placeholder.`);
+    onFailure(failures[0].url, failures[0].message);
+    return placeholder;
+  }
+
+  const ranked = selector.rank(inspected);
+  for (const { url, score, reasons } of ranked) {
+    logger.info(`Image candidate ${url}: score ${score}${reasons.length ? ` (${reasons.join(', ')})` : ''}`);
+  }
+  const best = ranked.find((candidate) => !candidate.rejected);
+  if (!best) {
+    logger.warn('Every image candidate looks like site chrome or is too small. Using placeholder.');
+    return placeholder;
+  }
+
+  try {
+    const publicPath = await store.put(best.buffer, { sourceUrl: best.sourceUrl, site });
+    logger.info(`Image stored as: ${publicPath}`);
+    return publicPath;
+  } catch (error) {
+    logger.error(`Failed to store image: ${best.url}. Error: ${error.message}`);
+    onFailure(best.url, error.message);
+    return placeholder;
+  }
+};
@@ -0,0 +1,86 @@
+// lib/logger.js
+//
+// The one logger of the scrapers, the shared runtime and scrape_all.js. Every
+// entry carries the run it belongs to (runId) and the site; the runtime adds the
+// phase of the run ('listing', 'detail', ...) and, on detail pages, the eventUrl.
+// Log files hold one JSON object per line, so a whole night can be filtered with
+// jq or grep on a field; the console gets the same entries as readable lines.
+//
+// SCRAPE_LOG_LEVEL sets the level (default 'info'), SCRAPE_LOGS_DIR where the
+// files go (default node_scripts/logs).
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import winston from 'winston';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const LOGS_DIR = process.env.SCRAPE_LOGS_DIR || path.resolve(__dirname, '..', 'logs');
+
+export const LOG_LEVEL = process.env.SCRAPE_LOG_LEVEL || 'info';
+
+/**
+ * Names a run after the time it started: 2024-11-15T03:00:00Z -> "20241115-030000".
+ * Sortable, and safe as a directory name.
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export const createRunId = (date = new Date()) =>
+  date.toISOString().replace(/\.\d+Z$/, '').replace(/[-:]/g, '').replace('T', '-');
+
+// A standalone scraper is a run of its own; scrape_all.js replaces this with the id of its report
+let currentRunId = process.env.SCRAPE_RUN_ID || createRunId();
+
+/**
+ * Sets the runId stamped on every entry from now on, including those of loggers
+ * created earlier.
+ * @param {string} runId
+ */
+export const setRunId = (runId) => {
+  currentRunId = runId;
+};
+
+export const getRunId = () => currentRunId;
+
+// The runId is read at write time rather than creation time, because scrapers create their
+// loggers on import. The site is only a default: scrape_all.js logs for every site it runs.
+const withRunContext = winston.format((info, { site }) => {
+  info.runId = currentRunId;
+  info.site = info.site || site;
+  return info;
+});
+
+// "2024-11-15T03:00:01.123Z [WARN] growly detail https://...: message"
+const consoleLine = winston.format.printf(({ timestamp, level, message, site, phase, eventUrl }) =>
+  `${timestamp} [${level.toUpperCase()}] ${[site, phase, eventUrl].filter(Boolean).join(' ')}: ${message}`);
+
+/**
+ * Creates the logger of a site (or of scrape_all.js). Use logger.child({ phase })
+ * or child({ phase, eventUrl }) for entries about one part of the run; any other
+ * fields passed with a message end up in the JSON as well.
+ *
+ * @param {string} site - The site identifier (e.g., 'growly').
+ * @param {Object} [options]
+ * @param {string} [options.filename] - Log file name under the logs directory. Defaults to '<site>_scraper.log'.
+ * @param {string} [options.dir] - The logs directory.
+ * @param {string} [options.level] - The lowest level written. Defaults to SCRAPE_LOG_LEVEL or 'info'.
+ * @returns {winston.Logger}
+ */
+export const createLogger = (site, {
+  filename = `${site}_scraper.log`,
+  dir = LOGS_DIR,
+  level = LOG_LEVEL,
+} = {}) => {
+  return winston.createLogger({
+    level,
+    format: winston.format.combine(
+      withRunContext({ site }),
+      winston.format.timestamp()
+    ),
+    transports: [
+      new winston.transports.Console({ format: consoleLine }),
+      new winston.transports.File({ filename: path.join(dir, filename), format: winston.format.json() }),
+    ],
+  });
+};
@@ -0,0 +1,234 @@
+// lib/placeholders.js
+//
+// An image for an event that has no flyer: a card in the colour of the event's
+// category with its title, venue and dates and the site's name, rendered from
+// SVG with sharp. It is stored in the image store like a downloaded image (with
+// derivatives, and garbage-collected once no event uses it), under a source key
+// made from what it shows, so an unchanged event is not rendered again.
+//
+// The runtime replaces the sites' fallback images with these after each live run.
+// Japanese titles need a CJK font on the machine (e.g. fonts-noto-cjk); without
+// one librsvg draws them as boxes.
+
+import sharp from 'sharp';
+import { imageStore } from './image_store.js';
+import { generateHash } from './utils.js';
+
+export const BRAND = 'kyoture';
+
+// A portrait A-series sheet, like most flyers
+export const PLACEHOLDER_SIZE = { width: 800, height: 1131 };
+
+// Part of every placeholder's source key: bump it when the design changes so events get the new one
+const PLACEHOLDER_VERSION = 1;
+
+// The event types of the front end's Type filter, plus the categories scrapers assign
+const CATEGORY_COLORS = {
+  Music: '#1d4ed8',
+  'Live Event': '#1d4ed8',
+  Theatre: '#9d174d',
+  Dance: '#c2410c',
+  Art: '#6d28d9',
+  Exhibition: '#6d28d9',
+  Workshop: '#047857',
+  Tour: '#0f766e',
+  Festival: '#b91c1c',
+  Family: '#a16207',
+  Wellness: '#15803d',
+  Sports: '#0369a1',
+};
+
+// For events without a known category; picked by venue so a venue keeps its colour
+const VENUE_COLORS = ['#334155', '#7f1d1d', '#14532d', '#1e3a8a', '#581c87', '#78350f', '#134e4a'];
+
+const TEXT_FONTS = "'Noto Sans CJK JP', 'Noto Sans JP', 'Hiragino Sans', 'Yu Gothic', sans-serif";
+
+/**
+ * Tells whether an image URL is a fallback rather than a picture of the event:
+ * missing, the 'No image available' sentinel, or one of the placeholder files
+ * (/images/events/<site>/placeholder.jpg, /images/events/placeholder_kch.jpg, ...).
+ * @param {string|null} imageUrl
+ * @returns {boolean}
+ */
+export const isPlaceholderImage = (imageUrl) =>
+  !imageUrl || imageUrl === 'No image available' || /\/placeholder[^/]*\.(jpe?g|png)$/i.test(imageUrl);
+
+// Scrapers give the venue as a name, or as an object with one
+const venueName = (event) => (typeof event.venue === 'string' ? event.venue : event.venue?.name) || event.name || event.organization || '';
+
+/**
+ * The colour of an event's placeholder: that of its first known category, or
+ * one that stays the same for its venue.
+ * @param {Object} event
+ * @returns {string} - A hex colour.
+ */
+export const placeholderColor = (event) => {
+  const category = (event.categories || []).find((name) => CATEGORY_COLORS[name]);
+  if (category) {
+    return CATEGORY_COLORS[category];
+  }
+  const key = venueName(event) || event.site || '';
+  return VENUE_COLORS[parseInt(generateHash(key).slice(0, 8), 16) % VENUE_COLORS.length];
+};
+
+// "2024-11-23" -> "23 Nov 2024"; a range drops what the two dates share, as the front end does
+const formatDates = (start, end) => {
+  if (!start) {
+    return '';
+  }
+  const format = (date, options) => new Date(`${date}T00:00:00Z`).toLocaleDateString('en-GB', { timeZone: 'UTC', ...options });
+  if (!end || end === start) {
+    return format(start, { day: 'numeric', month: 'short', year: 'numeric' });
+  }
+  const sameYear = start.slice(0, 4) === end.slice(0, 4);
+  return `${format(start, sameYear ? { day: 'numeric', month: 'short' } : { day: 'numeric', month: 'short', year: 'numeric' })} – ${format(end, { day: 'numeric', month: 'short', year: 'numeric' })}`;
+};
+
+// Japanese and other full-width characters take about one em; Latin text a little over half
+const charWidth = (char) => (/[⺀-鿿가-힯豈-﫿＀-｠]/.test(char) ? 1 : 0.58);
+
+/**
+ * Breaks text into lines no wider than maxWidth ems: between words for Latin
+ * text, between any two characters for Japanese. A title that needs more than
+ * maxLines lines is cut off with an ellipsis.
+ * @param {string} text
+ * @param {number} maxWidth - In ems.
+ * @param {number} maxLines
+ * @returns {string[]}
+ */
+export const wrapText = (text, maxWidth, maxLines) => {
+  // Latin words stay whole; every full-width character is a token of its own
+  const tokens = text.replace(/\s+/g, ' ').trim().match(/[⺀-鿿가-힯豈-﫿＀-｠]|[^\s⺀-鿿가-힯豈-﫿＀-｠]+|\s/g) || [];
+  const width = (value) => [...value].reduce((total, char) => total + charWidth(char), 0);
+
+  const lines = [];
+  let line = '';
+  for (const token of tokens) {
+    if (line && width(line + token) > maxWidth) {
+      lines.push(line.trimEnd());
+      line = token === ' ' ? '' : token;
+    } else {
+      line += token;
+    }
+  }
+  if (line.trim()) {
+    lines.push(line.trimEnd());
+  }
+
+  if (lines.length <= maxLines) {
+    return lines;
+  }
+  const kept = lines.slice(0, maxLines);
+  let last = kept[maxLines - 1];
+  while (last && width(`${last}…`) > maxWidth) {
+    last = [...last].slice(0, -1).join('');
+  }
+  kept[maxLines - 1] = `${last.trimEnd()}…`;
+  return kept;
+};
+
+const escapeXml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;',
+}[char]));
+
+/**
+ * Draws the placeholder of an event as SVG.
+ * @param {Object} event - With title, venue, date_start, date_end and categories.
+ * @returns {string}
+ */
+export const renderPlaceholderSvg = (event) => {
+  const { width, height } = PLACEHOLDER_SIZE;
+  const color = placeholderColor(event);
+  const category = (event.categories || []).find((name) => CATEGORY_COLORS[name]) || '';
+
+  // Long titles get a smaller size rather than more lines
+  const title = event.title || 'Untitled event';
+  let fontSize = 64;
+  let lines = wrapText(title, (width - 160) / fontSize, 5);
+  if (lines.length > 3) {
+    fontSize = 48;
+    lines = wrapText(title, (width - 160) / fontSize, 6);
+  }
+  const titleTop = 420 - (lines.length * fontSize * 1.25) / 2;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <defs>
+    <linearGradient id="shade" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="#ffffff" stop-opacity="0.12"/>
+      <stop offset="1" stop-color="#000000" stop-opacity="0.25"/>
+    </linearGradient>
+  </defs>
+  <rect width="${width}" height="${height}" fill="${color}"/>
+  <rect width="${width}" height="${height}" fill="url(#shade)"/>
+  <circle cx="${width - 60}" cy="140" r="260" fill="#ffffff" fill-opacity="0.07"/>
+  <circle cx="60" cy="${height - 120}" r="200" fill="#000000" fill-opacity="0.08"/>
+  <g font-family="${TEXT_FONTS}" fill="#ffffff">
+    ${category ? `<text x="80" y="150" font-size="28" font-weight="700" letter-spacing="4">${escapeXml(category.toUpperCase())}</text>` : ''}
+    ${lines.map((line, index) => `<text x="80" y="${Math.round(titleTop + (index + 1) * fontSize * 1.25)}" font-size="${fontSize}" font-weight="700">${escapeXml(line)}</text>`).join('\n    ')}
+    <rect x="80" y="${height - 330}" width="80" height="6" fill="#ffffff"/>
+    ${wrapText(venueName(event), (width - 160) / 36, 2).map((line, index) => `<text x="80" y="${height - 260 + index * 46}" font-size="36">${escapeXml(line)}</text>`).join('\n    ')}
+    <text x="80" y="${height - 160}" font-size="36" font-weight="700">${escapeXml(formatDates(event.date_start, event.date_end))}</text>
+    <text x="${width - 80}" y="${height - 70}" font-size="30" font-weight="800" letter-spacing="8" text-anchor="end" fill-opacity="0.8">${BRAND}</text>
+  </g>
+</svg>`;
+};
+
+/**
+ * Renders the placeholder of an event.
+ * @param {Object} event
+ * @returns {Promise<Buffer>} - A JPEG.
+ */
+export const renderPlaceholder = (event) => sharp(Buffer.from(renderPlaceholderSvg(event))).jpeg({ quality: 85 }).toBuffer();
+
+/**
+ * Returns the stored placeholder of an event, rendering and storing it first
+ * unless one showing the same title, venue, dates and colour is stored already.
+ *
+ * @param {Object} event
+ * @param {Object} options
+ * @param {string} options.site - The site the event comes from, recorded in the store.
+ * @param {Object} [options.store=imageStore] - The image store.
+ * @returns {Promise<string>} - The placeholder's public path.
+ */
+export const createPlaceholder = async (event, { site, store = imageStore }) => {
+  const shown = [event.title, venueName(event), event.date_start, event.date_end, placeholderColor(event)];
+  const sourceUrl = `placeholder:v${PLACEHOLDER_VERSION}:${generateHash(JSON.stringify(shown))}`;
+  return store.lookup(sourceUrl) || store.put(await renderPlaceholder(event), { sourceUrl, site });
+};
+
+/**
+ * Gives every event whose image is a fallback (see isPlaceholderImage) a
+ * placeholder of its own. An event whose placeholder cannot be rendered keeps
+ * its fallback.
+ *
+ * @param {Array} events
+ * @param {Object} options
+ * @param {string} options.site - The site the events come from.
+ * @param {winston.Logger} options.logger
+ * @param {Object} [options.store=imageStore] - The image store.
+ * @returns {Promise<Array>} - The events, with image_url replaced where needed.
+ */
+export const fillPlaceholders = async (events, { site, logger, store = imageStore }) => {
+  const filled = [];
+  for (const event of events) {
+    if (!event || !isPlaceholderImage(event.image_url)) {
+      filled.push(event);
+      continue;
+    }
+    try {
+      filled.push({ ...event, image_url: await createPlaceholder(event, { site, store }) });
+    } catch (error) {
+      logger.warn(`Could not render a placeholder for "${event.title}": ${error.message}`);
+      filled.push(event);
+    }
+  }
+  const count = filled.filter((event, index) => event !== events[index]).length;
+  if (count > 0) {
+    logger.info(`Rendered placeholders for ${count} event(s) without an image.`);
+  }
+  return filled;
+};
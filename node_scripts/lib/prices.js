@@ -0,0 +1,329 @@
+// lib/prices.js
+//
+// Price parsing shared by the venue scrapers. Ticket text mixes Japanese and
+// English ("前売￥2,500(税込)／当日￥3,000", "ADV/DOOR ¥2,000/¥2,500 +1D",
+// "S seats ￥9,000", "一般 1,000〜3,000円", "入場無料", "投げ銭", "前売 SOLD OUT").
+// parsePrices splits it into one entry per amount, keeping the label as printed
+// next to a normalized English tier, and reads ranges, drink charges, tax notes,
+// foreign currencies and the prices that are not a number: free, donation, pay
+// what you want and to be announced, each typed rather than dropped.
+
+import { toHalfWidth } from './dates.js';
+
+const YEN = '\\d{1,3}(?:,\\d{3})+|\\d+';
+const FOREIGN = '\\d{1,3}(?:,\\d{3})+(?:\\.\\d{1,2})?|\\d+(?:\\.\\d{1,2})?';
+
+// Currency symbols and names; a bare "$" is taken for US dollars
+const CURRENCIES = {
+  'us$': 'USD', 'nt$': 'TWD', 'hk$': 'HKD', 'a$': 'AUD', $: 'USD', '€': 'EUR', '£': 'GBP', '₩': 'KRW',
+  dollar: 'USD', dollars: 'USD', euro: 'EUR', euros: 'EUR',
+};
+
+// "¥2,500", "2500円", "3,000" (a bare amount needs its thousands separator or a line
+// of its own), "$20", "15 EUR", and the prices that are not a number
+const AMOUNT_RE = new RegExp([
+  `¥\\s*(?<yen>${YEN})`,
+  `(?<yenBefore>${YEN})\\s*(?:円|yen\\b|JPY\\b)`,
+  `(?<symbol>US\\$|NT\\$|HK\\$|A\\$|\\$|€|£|₩)\\s*(?<foreign>${FOREIGN})`,
+  `\\b(?<codeFirst>USD|EUR|GBP|KRW|TWD|HKD|AUD)\\s*(?<foreignAfter>${FOREIGN})`,
+  `(?<foreignBefore>${FOREIGN})\\s*(?<code>USD|EUR|GBP|KRW|TWD|HKD|AUD|dollars?|euros?)\\b`,
+  `(?<![\\d.:])(?<bare>\\d{1,3}(?:,\\d{3})+)(?![\\d:])`,
+  `^ *(?<alone>\\d+) *$`,
+  '(?<free>無料|🆓|(?<![\\w-])free(?!\\s*(?:seat|drink)))',
+  '(?<donation>投げ銭|カンパ|\\bdonations?\\b)',
+  '(?<pwyw>pay\\s*what\\s*you\\s*(?:want|can|wish)|\\bPWYW\\b|料金自由|お気持ち)',
+  '(?<tba>\\bTB[AD]\\b|to be announced|未定|後日発表|coming\\s*soon)',
+].join('|'), 'gimu');
+
+// A donation or pay-what-you-want price followed by an amount suggests or starts at it
+const SUGGESTED_RE = /^[\s(:]*$/;
+
+// Tiers for the non-numeric prices whose label names no tier
+const TYPE_TIERS = { donation: 'Donation', pay_what_you_want: 'Pay What You Want' };
+
+const RANGE_RE = /^\s*[~〜–—-]\s*$/;
+
+// "+1D", "(1ドリンク別)", "+2ドリンク", "別途1ドリンク代600円", "+1 drink ¥600"; a drink
+// that comes with the ticket (込 / 付) is not a charge and is left in the notes
+const DRINK_RE = /(?:別途\s*)?(?:\+\s*(\d)\s*D(?![a-z])|\+?\s*(\d)?\s*(?:ドリンク|drinks?))(?:\s*(?:代|charge|order))?(?!\s*(?:込|付|incl))(?:\s*(?:別途?|必要|required))?(?:\s*\(?\s*(?:¥\s*(\d[\d,]*)|(\d[\d,]*)\s*円)\s*\)?)?/gi;
+
+const SOLD_OUT_RE = /sold[\s-]*out|完売|売り?切れ|予定枚数終了|満席/gi;
+
+const TAX_RE = /税込み?|税抜き?|税別|tax\s*incl(?:uded|\.)?|incl(?:uding|\.)?\s*tax|\+\s*tax|tax\s*excl(?:uded|\.)?|excl(?:uding|\.)?\s*tax/gi;
+
+// Label words, each mapped to the English tier part it stands for
+const TIMING = [
+  [/前売|先行|\badv(?:ance)?\b|pre-?sale/i, 'Advance'],
+  [/当日|\bdoor\b|day of/i, 'Door'],
+];
+
+const AUDIENCE = [
+  [/under\s*22|u-?22|22歳以下/i, 'Under 22'],
+  [/大学生|university/i, 'University Student'],
+  [/高校生|high\s*school/i, 'High School Student'],
+  [/中学生|junior\s*high/i, 'Junior High Student'],
+  [/未就学|preschool/i, 'Preschool'],
+  [/小学生|小人|子ども|子供|こども|child|\bkids?\b/i, 'Child'],
+  [/学生|students?/i, 'Student'],
+  [/シニア|65歳以上|70歳以上|senior/i, 'Senior'],
+  [/障が?い者|障害者|disabilit/i, 'Disability'],
+  [/会員|友の会|members?\b/i, 'Member'],
+  [/ペア|\bpair\b/i, 'Pair'],
+  [/大人|adults?/i, 'Adult'],
+  [/一般|general/i, 'General'],
+];
+
+const SEAT = [
+  [/\bvip\b/i, 'VIP'],
+  [/([SABC])\s*(?:席|seats?\b)|^([SABC])$/i, (match) => `${(match[1] || match[2]).toUpperCase()} Seat`],
+  [/自由席|unreserved|non-reserved|free seating/i, 'Unreserved Seat'],
+  [/指定席|reserved/i, 'Reserved Seat'],
+  [/立見|standing/i, 'Standing'],
+  [/中正面/, 'Center Front Seat'],
+  [/脇正面/, 'Side Front Seat'],
+  [/正面/, 'Front Seat'],
+];
+
+// Labels that name no tier of their own
+const GENERIC_RE = /^(?:料金|入場料?|参加費|受講料|チケット|tickets?|price|admission|fee|charge|全席|all seats|一律|詳細は?)$/i;
+
+// "2,500" -> 2500
+const toAmount = (digits) => Number(digits.replace(/,/g, ''));
+
+// The amount, currency and type of an AMOUNT_RE match
+const readAmount = ({ yen, yenBefore, symbol, foreign, codeFirst, foreignAfter, foreignBefore, code, bare, alone, free, donation, pwyw }) => {
+  if (symbol || codeFirst || code) {
+    return {
+      amount: toAmount(foreign || foreignAfter || foreignBefore),
+      currency: CURRENCIES[(symbol || code || '').toLowerCase()] || (codeFirst || code).toUpperCase(),
+      price_type: 'fixed',
+    };
+  }
+  if (yen || yenBefore || bare || alone) {
+    return { amount: toAmount(yen || yenBefore || bare || alone), currency: 'JPY', price_type: 'fixed' };
+  }
+  if (free) {
+    return { amount: 0, currency: 'JPY', price_type: 'free' };
+  }
+  return { amount: null, currency: 'JPY', price_type: donation ? 'donation' : pwyw ? 'pay_what_you_want' : 'tba' };
+};
+
+const findPart = (label, table) => {
+  for (const [pattern, part] of table) {
+    const match = label.match(pattern);
+    if (match) {
+      return typeof part === 'function' ? part(match) : part;
+    }
+  }
+  return null;
+};
+
+/**
+ * Maps a price label to an English tier: the timing (Advance / Door), audience
+ * (Student, Child, Senior, ...) and seat it names, in that order. An unlabeled
+ * or generic price is 'General' ('Free' when it costs nothing); a label none of
+ * whose words are known is kept as it is rather than collapsed to 'General'.
+ *
+ * @param {string|null} label - The label as printed, e.g. '学生前売' or 'S seats'.
+ * @param {number} [amount] - The price, to tell free entries apart.
+ * @returns {string} - The tier, e.g. 'Advance Student'.
+ */
+export const normalizeTier = (label, amount = null) => {
+  const text = label ? toHalfWidth(label).trim() : '';
+  const parts = [findPart(text, TIMING), findPart(text, AUDIENCE), findPart(text, SEAT)].filter(Boolean);
+  if (parts.length > 1) {
+    // "一般前売" is just the advance price
+    return parts.filter((part) => part !== 'General').join(' ');
+  }
+  if (parts.length === 1) {
+    return parts[0];
+  }
+  if (!text || GENERIC_RE.test(text)) {
+    return amount === 0 ? 'Free' : 'General';
+  }
+  return text;
+};
+
+// Markup and full-width characters out, one line per <br> or block
+const cleanText = (text) => toHalfWidth(
+  text
+    .replace(/<br\s*\/?>|<\/(?:p|div|li|dd|tr)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;| /g, ' ')
+    .replace(/&yen;|￥/g, '¥')
+).replace(/[ \t]+/g, ' ');
+
+// Finds the matches of a pattern, blanking them out of the text so later patterns skip them
+const takeMatches = (text, pattern, read) => {
+  const found = [];
+  const rest = text.replace(pattern, (...args) => {
+    const match = args.slice(0, -2);
+    found.push({ index: args[args.length - 2], ...read(match) });
+    return ' '.repeat(match[0].length);
+  });
+  return { found, rest };
+};
+
+const lineAt = (text, index) => text.slice(0, index).split('\n').length - 1;
+
+// The label of the amount at index: the last line of the text since the previous
+// amount, minus notes in parentheses that belong to that amount
+const readLabel = (text) => {
+  const line = text.replace(/^\s*(?:\([^)]*\)\s*)+/, '').split('\n').pop();
+  return line.replace(/^[\s/|、,:;・※*()]+|[\s/|、,:;・:()]+$/g, '');
+};
+
+// Parenthesized notes right after an amount, e.g. "(全席自由)"
+const readNotes = (text) => {
+  const notes = [];
+  const pattern = /^\s*\(([^)]*)\)/;
+  let rest = text;
+  let match;
+  while ((match = rest.match(pattern))) {
+    if (match[1].trim()) {
+      notes.push(match[1].trim());
+    }
+    rest = rest.slice(match[0].length);
+  }
+  return notes.length > 0 ? notes.join(', ') : null;
+};
+
+/**
+ * Parses ticket text into price entries, one per amount.
+ *
+ * Drink charges and tax notes go to the price they follow on the same line, or to
+ * every price when they stand on a line of their own. "ADV/DOOR ¥2,000/¥2,500"
+ * pairs the labels with the amounts in order.
+ *
+ * price_type is 'fixed', 'free', 'donation', 'pay_what_you_want' or 'tba'; amount
+ * is null when there is none, or the suggested or minimum amount of a donation.
+ * Sold-out tiers keep their price and set sold_out.
+ *
+ * @param {string|null} text - The price text; HTML line breaks are kept as lines.
+ * @returns {Array<{price_tier: string, original_label: (string|null), price_type: string, amount: (number|null), amount_max: (number|null), currency: string, sold_out: boolean, drinks: (number|null), drink_charge: (number|null), tax: (string|null), discount_info: (string|null)}>}
+ */
+export const parsePrices = (text) => {
+  if (!text) {
+    return [];
+  }
+
+  const source = cleanText(text);
+  const drinks = takeMatches(source, DRINK_RE, ([, plusCount, count, yen, yenSuffix]) => ({
+    drinks: plusCount || count ? parseInt(plusCount || count, 10) : 1,
+    drink_charge: yen || yenSuffix ? toAmount(yen || yenSuffix) : null,
+  }));
+  const taxes = takeMatches(drinks.rest, TAX_RE, ([match]) => ({
+    tax: /込|incl/i.test(match) ? 'included' : 'excluded',
+  }));
+  const soldOut = takeMatches(taxes.rest, SOLD_OUT_RE, () => ({ sold_out: true }));
+  const masked = soldOut.rest;
+
+  const amounts = [];
+  for (const match of masked.matchAll(AMOUNT_RE)) {
+    amounts.push({
+      index: match.index,
+      end: match.index + match[0].length,
+      ...readAmount(match.groups),
+    });
+  }
+
+  // "1,000〜3,000円" is one price, and so is "投げ銭 (¥1,000〜)"
+  const spans = [];
+  for (const amount of amounts) {
+    const previous = spans[spans.length - 1];
+    const gap = previous ? masked.slice(previous.end, amount.index) : null;
+    if (previous && previous.price_type === 'fixed' && amount.price_type === 'fixed' && previous.amount_max === null
+      && previous.currency === amount.currency && RANGE_RE.test(gap)) {
+      previous.amount_max = amount.amount;
+      previous.end = amount.end;
+      continue;
+    }
+    if (previous && ['donation', 'pay_what_you_want'].includes(previous.price_type) && previous.amount === null
+      && amount.price_type === 'fixed' && SUGGESTED_RE.test(gap)) {
+      previous.amount = amount.amount;
+      previous.currency = amount.currency;
+      previous.end = amount.end;
+      continue;
+    }
+    spans.push({ ...amount, amount_max: null });
+  }
+
+  // "前売 SOLD OUT" names a tier without its price; a bare "SOLD OUT" only stands
+  // for a price of its own when there is no other
+  soldOut.found.forEach(({ index }) => {
+    const at = spans.filter((span) => span.index < index).length;
+    const labelStart = at > 0 ? spans[at - 1].end : 0;
+    const labeled = readLabel(masked.slice(labelStart, index)) !== '';
+    if (!labeled && spans.length > 0) {
+      return;
+    }
+    spans.splice(at, 0, { index, end: index, amount: null, amount_max: null, currency: 'JPY', price_type: 'tba' });
+  });
+
+  const prices = spans.map((span, i) => {
+    const labelStart = i > 0 ? spans[i - 1].end : 0;
+    const notesEnd = i < spans.length - 1 ? spans[i + 1].index : masked.length;
+    return {
+      ...span,
+      line: lineAt(masked, span.index),
+      label: readLabel(masked.slice(labelStart, span.index)),
+      discount_info: readNotes(masked.slice(span.end, notesEnd)),
+      drinks: null,
+      drink_charge: null,
+      tax: null,
+      sold_out: null,
+    };
+  });
+
+  // "ADV/DOOR ¥2,000/¥2,500": the amounts after the first have no label of their own
+  prices.forEach((price, i) => {
+    const labels = price.label.split(/\s*\/\s*/);
+    const following = prices.slice(i + 1, i + labels.length);
+    if (labels.length > 1 && following.length === labels.length - 1 && following.every((next) => !next.label)) {
+      [price, ...following].forEach((entry, j) => {
+        entry.label = labels[j];
+      });
+    }
+  });
+
+  // A note goes to the price before it on its line (the first when it leads), to
+  // every price on its line when it closes the line outside parentheses, or to
+  // every price when its line has none
+  const attach = (note, fields) => {
+    const line = lineAt(masked, note.index);
+    const onLine = prices.filter((price) => price.line === line);
+    // The note itself is blanked out of masked
+    const closesLine = /^ *(?:\n|$)/.test(masked.slice(note.index)) && !/\(\s*$/.test(masked.slice(0, note.index));
+    let targets = [onLine.filter((price) => price.index <= note.index).pop() || onLine[0]];
+    if (onLine.length === 0) {
+      targets = prices;
+    } else if (closesLine) {
+      targets = onLine;
+    }
+    targets.forEach((price) => {
+      fields.forEach((field) => {
+        price[field] = price[field] ?? note[field];
+      });
+    });
+  };
+  drinks.found.forEach((note) => attach(note, ['drinks', 'drink_charge']));
+  taxes.found.forEach((note) => attach(note, ['tax']));
+  soldOut.found.forEach((note) => attach(note, ['sold_out']));
+
+  return prices.map((price) => {
+    const tier = normalizeTier(price.label, price.amount);
+    return {
+      price_tier: tier === 'General' ? TYPE_TIERS[price.price_type] || tier : tier,
+      original_label: price.label || null,
+      price_type: price.price_type,
+      amount: price.amount,
+      amount_max: price.amount_max,
+      currency: price.currency,
+      sold_out: price.sold_out === true,
+      drinks: price.drinks,
+      drink_charge: price.drink_charge,
+      tax: price.tax,
+      discount_info: price.discount_info,
+    };
+  });
+};
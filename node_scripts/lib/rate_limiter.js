@@ -0,0 +1,123 @@
+// lib/rate_limiter.js
+//
+// Per-host politeness. Every page navigation and HTTP request a scraper makes
+// goes through schedule(), which holds the request back until the host's policy
+// allows it. Hosts are tracked process-wide, so scrapers running concurrently in
+// scrape_all.js never add up to more traffic than one host's policy allows.
+
+import pLimit from 'p-limit';
+import { delay } from './utils.js';
+
+/**
+ * The policy used for hosts a scraper does not configure more strictly.
+ * @property {number} requestsPerMinute - Requests started within any 60 second window.
+ * @property {number} minGapMs - Minimum time between the starts of two requests.
+ * @property {number} jitterMs - Random extra wait (0 to jitterMs) added to the gap.
+ * @property {number} maxConcurrent - Requests (i.e., loading tabs) in flight at once.
+ */
+export const DEFAULT_RATE_LIMIT = Object.freeze({
+  requestsPerMinute: 30,
+  minGapMs: 1000,
+  jitterMs: 500,
+  maxConcurrent: 2,
+});
+
+const WINDOW_MS = 60 * 1000;
+
+/**
+ * Merges a scraper's rateLimit setting over the defaults.
+ * @param {Object} [policy] - Partial policy.
+ * @returns {Object} - A complete policy.
+ */
+export const resolvePolicy = (policy = {}) => ({ ...DEFAULT_RATE_LIMIT, ...policy });
+
+// The stricter of each setting of two complete policies
+const strictestPolicy = (a, b) => ({
+  requestsPerMinute: Math.min(a.requestsPerMinute, b.requestsPerMinute),
+  minGapMs: Math.max(a.minGapMs, b.minGapMs),
+  jitterMs: Math.max(a.jitterMs, b.jitterMs),
+  maxConcurrent: Math.min(a.maxConcurrent, b.maxConcurrent),
+});
+
+/**
+ * Creates a rate limiter. Each host gets its own state the first time it is
+ * requested. Its policy is the strictest of every policy requested for it so
+ * far, so a stricter scraper or a robots.txt Crawl-delay seen later still applies.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock, for tests.
+ * @param {Function} [options.sleep] - async (ms) => void, for tests.
+ * @param {Function} [options.random] - () => number in [0, 1), for tests.
+ * @returns {{schedule: Function, hostOf: Function}}
+ */
+export const createRateLimiter = ({ now = Date.now, sleep = delay, random = Math.random } = {}) => {
+  const hosts = new Map();
+
+  const getHost = (host, policy) => {
+    const resolved = resolvePolicy(policy);
+    if (!hosts.has(host)) {
+      hosts.set(host, {
+        policy: resolved,
+        limit: pLimit(resolved.maxConcurrent),
+        starts: [], // Start times within the last minute
+        lastStart: null,
+        turn: Promise.resolve(), // Serializes the wait so starts never bunch up
+      });
+    }
+    const state = hosts.get(host);
+    state.policy = strictestPolicy(state.policy, resolved);
+    state.limit.concurrency = state.policy.maxConcurrent;
+    return state;
+  };
+
+  // Waits until the host may start another request, then records the start
+  const waitForTurn = async (state) => {
+    const { policy } = state;
+    const jitter = policy.jitterMs > 0 ? Math.floor(random() * policy.jitterMs) : 0;
+    let wait = state.lastStart !== null ? state.lastStart + policy.minGapMs + jitter - now() : 0;
+
+    state.starts = state.starts.filter((start) => start > now() - WINDOW_MS);
+    if (state.starts.length >= policy.requestsPerMinute) {
+      wait = Math.max(wait, state.starts[state.starts.length - policy.requestsPerMinute] + WINDOW_MS - now());
+    }
+
+    if (wait > 0) {
+      await sleep(wait);
+    }
+
+    state.lastStart = now();
+    state.starts.push(state.lastStart);
+  };
+
+  const hostOf = (url) => {
+    try {
+      return new URL(url).host;
+    } catch (error) {
+      return url;
+    }
+  };
+
+  return {
+    hostOf,
+
+    /**
+     * Runs fn once the URL's host policy allows another request.
+     * @param {string} url - The URL about to be requested.
+     * @param {Function} fn - async () => result. Holds a concurrency slot until it settles.
+     * @param {Object} [policy] - The calling scraper's policy, merged into the host's.
+     * @returns {Promise<*>} - Whatever fn returns.
+     */
+    schedule: (url, fn, policy) => {
+      const state = getHost(hostOf(url), policy);
+      return state.limit(async () => {
+        const turn = state.turn.then(() => waitForTurn(state));
+        state.turn = turn.catch(() => {});
+        await turn;
+        return fn();
+      });
+    },
+  };
+};
+
+// Shared by every scraper in the process
+export const rateLimiter = createRateLimiter();
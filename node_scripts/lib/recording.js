@@ -0,0 +1,121 @@
+// lib/recording.js
+//
+// Storage for record/replay runs. A recording holds, per site, the final HTML
+// of every page the scraper visited, the values it captured from interactions
+// (e.g., concert hall modals), the local image paths it got back and the HTTP
+// responses it read. Replay runs feed these back instead of touching the network.
+//
+// Layout: <recordings dir>/<site>/manifest.json plus pages/<hash>.html
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { generateHash } from './utils.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const RECORDINGS_DIR = process.env.SCRAPE_RECORDINGS_DIR || path.resolve(__dirname, '..', 'recordings');
+
+const MANIFEST = 'manifest.json';
+
+// Key under which an HTTP response is stored
+const httpKey = (method, url) => `${method.toUpperCase()} ${url}`;
+
+/**
+ * Starts a new recording for a site, replacing any previous one.
+ * @param {string} site - The scraper's site name.
+ * @param {Object} [options]
+ * @param {string} [options.dir] - The recordings directory.
+ * @param {Date} [options.now] - When the recording was made.
+ * @returns {Object} - The recorder; call finish() to write the manifest.
+ */
+export const createRecorder = (site, { dir = RECORDINGS_DIR, now = new Date() } = {}) => {
+  const siteDir = path.join(dir, site);
+  fs.rmSync(siteDir, { recursive: true, force: true });
+  fs.mkdirSync(path.join(siteDir, 'pages'), { recursive: true });
+
+  const manifest = {
+    site,
+    recordedAt: now.toISOString(),
+    pages: {},
+    captures: {},
+    images: {},
+    http: {},
+  };
+
+  return {
+    siteDir,
+
+    /**
+     * Saves the HTML of a visited page. A page visited twice keeps its last snapshot.
+     * @param {string} url - The URL the scraper navigated to.
+     * @param {string} html - The page's final HTML.
+     * @param {string} [finalUrl] - The URL after redirects.
+     */
+    savePage: (url, html, finalUrl = url) => {
+      const file = `pages/${generateHash(url).slice(0, 16)}.html`;
+      fs.writeFileSync(path.join(siteDir, file), html, 'utf-8');
+      manifest.pages[url] = { file, finalUrl };
+    },
+
+    saveCapture: (key, value) => {
+      manifest.captures[key] = value === undefined ? null : value;
+    },
+
+    saveImage: (imageUrl, result) => {
+      manifest.images[imageUrl] = result;
+    },
+
+    saveHttp: (method, url, { status, headers, data }) => {
+      manifest.http[httpKey(method, url)] = { status, headers, data: data === undefined ? null : data };
+    },
+
+    finish: () => {
+      fs.writeFileSync(path.join(siteDir, MANIFEST), JSON.stringify(manifest, null, 2), 'utf-8');
+      return siteDir;
+    },
+  };
+};
+
+/**
+ * Loads a site's recording.
+ * @param {string} site - The scraper's site name.
+ * @param {Object} [options]
+ * @param {string} [options.dir] - The recordings directory.
+ * @returns {Object} - Lookups for pages, captures, images and HTTP responses.
+ * @throws {Error} - If the site has no recording.
+ */
+export const loadRecording = (site, { dir = RECORDINGS_DIR } = {}) => {
+  const siteDir = path.join(dir, site);
+  const manifestPath = path.join(siteDir, MANIFEST);
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`No recording for ${site} in ${dir}. Run with --record first.`);
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+  const has = (collection, key) => Object.prototype.hasOwnProperty.call(collection, key);
+
+  return {
+    siteDir,
+    recordedAt: new Date(manifest.recordedAt),
+
+    // Returns {html, finalUrl} for a recorded URL, or null
+    page: (url) => {
+      const entry = manifest.pages[url];
+      if (!entry) {
+        return null;
+      }
+      return { html: fs.readFileSync(path.join(siteDir, entry.file), 'utf-8'), finalUrl: entry.finalUrl };
+    },
+
+    hasCapture: (key) => has(manifest.captures, key),
+    capture: (key) => manifest.captures[key],
+
+    hasImage: (imageUrl) => has(manifest.images, imageUrl),
+    image: (imageUrl) => manifest.images[imageUrl],
+
+    // Returns the recorded {status, headers, data}, or null
+    http: (method, url) => manifest.http[httpKey(method, url)] || null,
+  };
+};
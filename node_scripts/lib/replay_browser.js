@@ -0,0 +1,235 @@
+// lib/replay_browser.js
+//
+// A stand-in for a puppeteer browser that serves recorded pages from jsdom.
+// It implements the part of the Page and ElementHandle API the scrapers use,
+// so their extraction code runs unchanged and without network access. Page
+// scripts are not executed: what the scraper sees is the DOM as it was
+// recorded.
+
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+const BLOCK_ELEMENTS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DIV', 'DL', 'DT', 'FIELDSET',
+  'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6',
+  'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION', 'TABLE', 'TR', 'UL',
+]);
+
+// jsdom has no layout, so innerText is approximated: block elements and <br> break lines
+const renderText = (node) => {
+  if (node.nodeType === 3) {
+    return node.textContent.replace(/\s+/g, ' ');
+  }
+  if (node.nodeType !== 1 || ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(node.tagName)) {
+    return '';
+  }
+  if (node.tagName === 'BR') {
+    return '\n';
+  }
+
+  const text = Array.from(node.childNodes).map(renderText).join('');
+  return BLOCK_ELEMENTS.has(node.tagName) ? `\n${text}\n` : text;
+};
+
+const innerText = (element) => renderText(element)
+  .split('\n')
+  .map((line) => line.trim())
+  .filter((line, index, lines) => line !== '' || (index > 0 && lines[index - 1] !== ''))
+  .join('\n')
+  .trim();
+
+// Puppeteer hands results back as JSON; so does the replay browser
+const serialize = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const timeoutError = (message) => {
+  const error = new Error(message);
+  error.name = 'TimeoutError';
+  return error;
+};
+
+/**
+ * Runs a function the way page.evaluate would: inside the page, with the given arguments.
+ * @param {Window} window - The jsdom window.
+ * @param {Function|string} fn - The function (or expression) to run.
+ * @param {Array} args - Arguments; DOM elements are passed as they are.
+ * @returns {Promise<*>} - The serialized result.
+ */
+const runInPage = async (window, fn, args) => {
+  if (typeof fn === 'string') {
+    return serialize(await window.eval(fn));
+  }
+
+  window.__replayArgs = args;
+  try {
+    return serialize(await window.eval(`(${fn.toString()}).apply(null, window.__replayArgs)`));
+  } finally {
+    delete window.__replayArgs;
+  }
+};
+
+const createElementHandle = (element, page) => {
+  const handle = {
+    asElement: () => handle,
+
+    $: async (selector) => {
+      const found = element.querySelector(selector);
+      return found ? createElementHandle(found, page) : null;
+    },
+
+    $$: async (selector) => Array.from(element.querySelectorAll(selector)).map((found) => createElementHandle(found, page)),
+
+    $eval: async (selector, fn, ...args) => {
+      const found = element.querySelector(selector);
+      if (!found) {
+        throw new Error(`Error: failed to find element matching selector "${selector}"`);
+      }
+      return runInPage(page.window(), fn, [found, ...args]);
+    },
+
+    $$eval: async (selector, fn, ...args) => {
+      return runInPage(page.window(), fn, [Array.from(element.querySelectorAll(selector)), ...args]);
+    },
+
+    evaluate: async (fn, ...args) => runInPage(page.window(), fn, [element, ...args]),
+
+    click: async () => {
+      element.click();
+    },
+
+    dispose: async () => {},
+  };
+
+  return handle;
+};
+
+/**
+ * Creates a replay page that serves recorded pages.
+ * @param {Object} recording - A recording from loadRecording.
+ * @returns {Object} - A puppeteer Page stand-in.
+ */
+const createReplayPage = (recording) => {
+  let dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>');
+  let closed = false;
+  const listeners = { console: [] };
+
+  const virtualConsole = new VirtualConsole();
+  for (const type of ['log', 'info', 'warn', 'error', 'debug']) {
+    virtualConsole.on(type, (...args) => {
+      const message = { type: () => type, text: () => args.join(' ') };
+      listeners.console.forEach((listener) => listener(message));
+    });
+  }
+
+  const document = () => dom.window.document;
+
+  const page = {
+    window: () => dom.window,
+
+    goto: async (url) => {
+      const recorded = recording.page(url);
+      if (!recorded) {
+        throw new Error(`No recorded page for ${url}`);
+      }
+
+      dom = new JSDOM(recorded.html, { url: recorded.finalUrl, runScripts: 'outside-only', virtualConsole });
+      Object.defineProperty(dom.window.HTMLElement.prototype, 'innerText', {
+        get() {
+          return innerText(this);
+        },
+        configurable: true,
+      });
+      return { ok: () => true, status: () => 200, url: () => recorded.finalUrl };
+    },
+
+    url: () => dom.window.location.href,
+    content: async () => dom.serialize(),
+
+    $: async (selector) => {
+      const found = document().querySelector(selector);
+      return found ? createElementHandle(found, page) : null;
+    },
+
+    $$: async (selector) => Array.from(document().querySelectorAll(selector)).map((found) => createElementHandle(found, page)),
+
+    $eval: async (selector, fn, ...args) => {
+      const found = document().querySelector(selector);
+      if (!found) {
+        throw new Error(`Error: failed to find element matching selector "${selector}"`);
+      }
+      return runInPage(dom.window, fn, [found, ...args]);
+    },
+
+    $$eval: async (selector, fn, ...args) => {
+      return runInPage(dom.window, fn, [Array.from(document().querySelectorAll(selector)), ...args]);
+    },
+
+    evaluate: async (fn, ...args) => runInPage(dom.window, fn, args),
+
+    // The recorded DOM never changes by itself, so waiting either succeeds at once or fails
+    waitForSelector: async (selector, { hidden = false } = {}) => {
+      const found = document().querySelector(selector);
+      if (hidden) {
+        if (found) {
+          throw timeoutError(`Waiting for selector \`${selector}\` to be hidden failed: it is in the recorded page`);
+        }
+        return null;
+      }
+      if (!found) {
+        throw timeoutError(`Waiting for selector \`${selector}\` failed: it is not in the recorded page`);
+      }
+      return createElementHandle(found, page);
+    },
+
+    waitForFunction: async (fn, options = {}, ...args) => {
+      const result = await runInPage(dom.window, fn, args);
+      if (!result) {
+        throw timeoutError('Waiting failed: the condition is false in the recorded page');
+      }
+      return result;
+    },
+
+    click: async (selector) => {
+      const found = document().querySelector(selector);
+      if (!found) {
+        throw new Error(`No element found for selector: ${selector}`);
+      }
+      found.click();
+    },
+
+    on: (event, listener) => {
+      (listeners[event] = listeners[event] || []).push(listener);
+      return page;
+    },
+
+    // Browser-only settings have nothing to do in a replay
+    addStyleTag: async () => {},
+    setUserAgent: async () => {},
+    setViewport: async () => {},
+
+    isClosed: () => closed,
+    close: async () => {
+      closed = true;
+      dom.window.close();
+    },
+  };
+
+  return page;
+};
+
+/**
+ * Creates a replay browser for a recording.
+ * @param {Object} recording - A recording from loadRecording.
+ * @returns {{newPage: Function, close: Function}}
+ */
+export const createReplayBrowser = (recording) => {
+  const pages = [];
+  return {
+    newPage: async () => {
+      const page = createReplayPage(recording);
+      pages.push(page);
+      return page;
+    },
+    close: async () => {
+      await Promise.all(pages.filter((page) => !page.isClosed()).map((page) => page.close()));
+    },
+  };
+};
@@ -0,0 +1,232 @@
+// lib/robots.js
+//
+// robots.txt support for the navigation layer. The runtime asks the shared
+// checker before every page navigation and HTTP request; disallowed URLs are
+// skipped and recorded so scrape_all.js can report them. Matching follows
+// RFC 9309: the most specific user-agent group applies, the longest matching
+// rule wins and Allow wins a tie.
+
+import axios from 'axios';
+
+// Product token matched against the User-agent lines of robots.txt
+export const ROBOTS_USER_AGENT = process.env.ROBOTS_USER_AGENT || 'KyotureBot';
+
+// How long a host's robots.txt is reused before it is fetched again
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// How long a robots.txt that could not be fetched keeps its host disallowed before another try
+const FAILURE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Parses robots.txt into user-agent groups.
+ * @param {string} text - The robots.txt body.
+ * @returns {Array<{agents: string[], rules: Array<{allow: boolean, path: string}>, crawlDelay: (number|null)}>}
+ */
+export const parseRobotsTxt = (text) => {
+  const groups = [];
+  let group = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of (text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      continue;
+    }
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!lastWasAgent) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!group) {
+      continue; // Rules before the first User-agent line belong to no group
+    }
+
+    if ((field === 'allow' || field === 'disallow') && value) {
+      group.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (!isNaN(seconds) && seconds >= 0) {
+        group.crawlDelay = seconds;
+      }
+    }
+  }
+
+  return groups;
+};
+
+/**
+ * Picks the groups that apply to a user agent: those naming it, or the '*' groups when none do.
+ * @param {Array} groups - Groups from parseRobotsTxt.
+ * @param {string} userAgent - Our product token.
+ * @returns {{rules: Array, crawlDelay: (number|null)}}
+ */
+export const selectGroup = (groups, userAgent) => {
+  const token = userAgent.toLowerCase();
+  let matching = groups.filter((group) => group.agents.includes(token));
+  if (matching.length === 0) {
+    matching = groups.filter((group) => group.agents.includes('*'));
+  }
+
+  const delays = matching.map((group) => group.crawlDelay).filter((seconds) => seconds !== null);
+  return {
+    rules: matching.flatMap((group) => group.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+  };
+};
+
+// Turns a robots.txt path pattern ('*' wildcards, '$' end anchor) into a RegExp
+const patternToRegExp = (pattern) => {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+};
+
+/**
+ * Finds the rule deciding a path.
+ * @param {Array} rules - Rules of the applicable group.
+ * @param {string} pathWithQuery - The URL path plus query string.
+ * @returns {{allow: boolean, path: string}|null} - The deciding rule, or null when no rule matches.
+ */
+export const findRule = (rules, pathWithQuery) => {
+  let decidingRule = null;
+  for (const rule of rules) {
+    if (!patternToRegExp(rule.path).test(pathWithQuery)) {
+      continue;
+    }
+    if (
+      !decidingRule ||
+      rule.path.length > decidingRule.path.length ||
+      (rule.path.length === decidingRule.path.length && rule.allow)
+    ) {
+      decidingRule = rule;
+    }
+  }
+  return decidingRule;
+};
+
+/**
+ * Creates a robots.txt checker with a per-origin cache.
+ *
+ * A robots.txt that is missing (4xx) allows everything. One that cannot be
+ * fetched (5xx or a network error) disallows everything until it is fetched
+ * again, as RFC 9309 requires. That failure is only cached for failureTtlMs, so
+ * a host that was briefly down is not skipped for the rest of the day.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.userAgent] - Product token to match groups against.
+ * @param {Function} [options.fetchText] - async (url) => {status, body}. Defaults to axios.
+ * @param {number} [options.ttlMs] - Cache lifetime per origin.
+ * @param {number} [options.failureTtlMs] - Cache lifetime of a robots.txt that could not be fetched.
+ * @param {Function} [options.now] - Clock, for tests.
+ * @returns {{check: Function, skip: Function, skipped: Array, clear: Function}}
+ */
+export const createRobotsChecker = ({
+  userAgent = ROBOTS_USER_AGENT,
+  fetchText = async (url) => {
+    const response = await axios.get(url, {
+      timeout: 10000,
+      responseType: 'text',
+      validateStatus: () => true,
+    });
+    return { status: response.status, body: typeof response.data === 'string' ? response.data : '' };
+  },
+  ttlMs = CACHE_TTL_MS,
+  failureTtlMs = FAILURE_TTL_MS,
+  now = Date.now,
+} = {}) => {
+  // Origin -> Promise<{group, expiresAt, error}>
+  const cache = new Map();
+  const skipped = [];
+
+  const load = async (origin) => {
+    const robotsUrl = `${origin}/robots.txt`;
+    try {
+      const { status, body } = await fetchText(robotsUrl);
+      if (status >= 200 && status < 300) {
+        return { group: selectGroup(parseRobotsTxt(body), userAgent), expiresAt: now() + ttlMs };
+      }
+      if (status >= 400 && status < 500) {
+        return { group: { rules: [], crawlDelay: null }, expiresAt: now() + ttlMs };
+      }
+      throw new Error(`HTTP ${status}`);
+    } catch (error) {
+      return {
+        group: { rules: [{ allow: false, path: '/' }], crawlDelay: null },
+        expiresAt: now() + failureTtlMs,
+        error: `Could not fetch ${robotsUrl}: ${error.message}`,
+      };
+    }
+  };
+
+  const getGroup = async (origin) => {
+    const cached = cache.get(origin);
+    if (cached && now() < (await cached).expiresAt) {
+      return cached;
+    }
+    const loading = load(origin);
+    cache.set(origin, loading);
+    return loading;
+  };
+
+  return {
+    skipped,
+
+    /**
+     * Checks whether a URL may be requested.
+     * @param {string} url - Absolute http(s) URL.
+     * @returns {Promise<{allowed: boolean, crawlDelayMs: (number|null), rule: (string|null), error: (string|undefined)}>}
+     */
+    check: async (url) => {
+      const parsedUrl = new URL(url);
+      if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+        return { allowed: true, crawlDelayMs: null, rule: null };
+      }
+      if (parsedUrl.pathname === '/robots.txt') {
+        return { allowed: true, crawlDelayMs: null, rule: null };
+      }
+
+      const { group, error } = await getGroup(parsedUrl.origin);
+      const rule = findRule(group.rules, `${parsedUrl.pathname}${parsedUrl.search}`);
+      return {
+        allowed: !rule || rule.allow,
+        crawlDelayMs: group.crawlDelay !== null ? group.crawlDelay * 1000 : null,
+        rule: rule ? `${rule.allow ? 'Allow' : 'Disallow'}: ${rule.path}` : null,
+        error,
+      };
+    },
+
+    /**
+     * Records a URL that was not requested because robots.txt disallows it.
+     * @param {string} site - The scraper's site name.
+     * @param {string} url
+     * @param {string|null} rule - The rule that disallowed it.
+     */
+    skip: (site, url, rule) => {
+      skipped.push({ site, url, rule });
+    },
+
+    // Forgets cached robots.txt files and skipped URLs
+    clear: () => {
+      cache.clear();
+      skipped.length = 0;
+    },
+  };
+};
+
+// Shared by every scraper in the process
+export const robotsChecker = createRobotsChecker();
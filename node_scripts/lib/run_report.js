@@ -0,0 +1,277 @@
+// lib/run_report.js
+//
+// A record of one scrape_all.js run, for triaging the nightly run: per site how
+// long it took, how many pages it visited, the events it found and rejected (with
+// the reasons), the images it failed to download, the pages captured after a
+// failure, what the backend answered and how the events differ from the previous run.
+//
+// Layout: <reports dir>/<run id>/report.json and report.html, with latest.json
+// and latest.html next to them pointing at the newest run
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createRunId } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const REPORTS_DIR = process.env.SCRAPE_REPORTS_DIR || path.resolve(__dirname, '..', 'reports');
+
+/**
+ * Starts the report of a run.
+ * @param {Object} [options]
+ * @param {string} [options.mode] - 'live', 'record' or 'replay'.
+ * @param {Date} [options.now] - When the run started.
+ * @param {Function} [options.clock] - Returns the current time; tests pass a fake one.
+ * @returns {Object} - The report; call site() and finishSite() for each site and finish() at the end.
+ */
+export const createRunReport = ({ mode = 'live', now = new Date(), clock = () => new Date() } = {}) => {
+  const report = {
+    runId: createRunId(now),
+    mode,
+    startedAt: now.toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    sites: [],
+    robotsSkipped: [],
+  };
+
+  return {
+    report,
+
+    /**
+     * Starts the entry of one site. Its fields are filled in as the site runs.
+     * @param {string} name - The scraper's site name.
+     * @returns {Object} - The entry.
+     */
+    site: (name) => {
+      const entry = {
+        site: name,
+        status: 'ok',
+        startedAt: clock().toISOString(),
+        durationMs: null,
+        pagesVisited: 0,
+        eventsFound: 0,
+        eventsValid: 0,
+        rejected: [],
+        imageFailures: [],
+        failureCaptures: [],
+        failedItems: [],
+        listingErrors: [],
+        ambiguousDates: [],
+        backend: null,
+        diff: null,
+        alerts: [],
+        error: null,
+      };
+      report.sites.push(entry);
+      return entry;
+    },
+
+    /**
+     * Closes a site's entry: records its duration and sums it up as 'ok',
+     * 'warning' (something needs a look) or 'failed' (an error or an alert, such
+     * as a run without events).
+     * @param {Object} entry - An entry from site().
+     * @returns {Object} - The entry.
+     */
+    finishSite: (entry) => {
+      entry.durationMs = clock() - new Date(entry.startedAt);
+      if (entry.error || entry.alerts.length > 0) {
+        entry.status = 'failed';
+      } else if (entry.rejected.length > 0 || entry.imageFailures.length > 0
+        || entry.failureCaptures.length > 0 || entry.failedItems.length > 0
+        || entry.listingErrors.length > 0 || entry.diff?.suspect) {
+        entry.status = 'warning';
+      }
+      return entry;
+    },
+
+    /**
+     * Closes the report.
+     * @param {Object} [options]
+     * @param {Array} [options.robotsSkipped] - URLs robots.txt kept the run from visiting.
+     * @returns {Object} - The finished report.
+     */
+    finish: ({ robotsSkipped = [] } = {}) => {
+      const finishedAt = clock();
+      report.finishedAt = finishedAt.toISOString();
+      report.durationMs = finishedAt - now;
+      report.robotsSkipped = robotsSkipped;
+      return report;
+    },
+  };
+};
+
+/**
+ * Reduces a diff from diffEvents to what the report shows.
+ * @param {Object|null} diff
+ * @returns {Object|null}
+ */
+export const summarizeDiff = (diff) => {
+  if (!diff) {
+    return null;
+  }
+
+  const brief = (event) => ({ title: event.title, date_start: event.date_start });
+  return {
+    added: diff.added.map(brief),
+    removed: diff.removed.map(({ event, possibly_cancelled }) => ({ ...brief(event), possibly_cancelled })),
+    changed: diff.changed.map(({ after, fields, flag }) => ({ ...brief(after), fields, flag })),
+    kept: diff.kept.map(brief),
+    suspect: diff.suspect,
+    incomplete: diff.incomplete,
+  };
+};
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+}[char]));
+
+const seconds = (ms) => (ms === null ? '-' : `${(ms / 1000).toFixed(1)}s`);
+
+const list = (items, render) => (items.length === 0
+  ? ''
+  : `<ul>${items.map((item) => `<li>${render(item)}</li>`).join('')}</ul>`);
+
+// The details of a site worth reading: everything that went wrong or changed
+const renderSiteDetails = (entry) => {
+  const sections = [];
+  if (entry.error) {
+    sections.push(`<h3>Error</h3><pre>${escapeHtml(entry.error)}</pre>`);
+  }
+  if (entry.alerts.length > 0) {
+    sections.push(`<h3>Alerts</h3>${list(entry.alerts, escapeHtml)}`);
+  }
+  if (entry.rejected.length > 0) {
+    sections.push(`<h3>Rejected events</h3>${list(entry.rejected, ({ index, title, errors }) =>
+      `#${index} ${escapeHtml(title || '(untitled)')}${list(errors, ({ field, message }) =>
+        `<code>${escapeHtml(field)}</code>: ${escapeHtml(message)}`)}`)}`);
+  }
+  if (entry.imageFailures.length > 0) {
+    sections.push(`<h3>Image failures</h3>${list(entry.imageFailures, ({ url, error }) =>
+      `${escapeHtml(url)}: ${escapeHtml(error)}`)}`);
+  }
+  if (entry.failureCaptures.length > 0) {
+    sections.push(`<h3>Failure captures</h3>${list(entry.failureCaptures, ({ url, error, dir }) =>
+      `${escapeHtml(url)}: ${escapeHtml(error)}<br><code>${escapeHtml(dir)}</code>`)}`);
+  }
+  if (entry.listingErrors.length > 0) {
+    sections.push(`<h3>Listing errors</h3>${list(entry.listingErrors, escapeHtml)}`);
+  }
+  if (entry.failedItems.length > 0) {
+    sections.push(`<h3>Failed detail pages</h3>${list(entry.failedItems, ({ url, error }) =>
+      `${escapeHtml(url || '(no URL)')}: ${escapeHtml(error)}`)}`);
+  }
+  if (entry.ambiguousDates.length > 0) {
+    sections.push(`<h3>Inferred years</h3>${list(entry.ambiguousDates, ({ title, date_start }) =>
+      `${escapeHtml(title || '(untitled)')}: ${escapeHtml(date_start)}`)}`);
+  }
+  if (entry.diff) {
+    const { added, removed, changed, kept, suspect, incomplete } = entry.diff;
+    const brief = ({ title, date_start }) => `${escapeHtml(title)} (${escapeHtml(date_start)})`;
+    sections.push([
+      '<h3>Since the last run</h3>',
+      suspect ? '<p class="warning">Too many upcoming events vanished at once; none were flagged as cancelled.</p>' : '',
+      incomplete ? '<p class="warning">The listing ran into errors; upcoming events missing from it were kept, not flagged.</p>' : '',
+      added.length > 0 ? `<h4>Added</h4>${list(added, brief)}` : '',
+      removed.length > 0 ? `<h4>Removed</h4>${list(removed, (event) =>
+        `${brief(event)}${event.possibly_cancelled ? ' <strong>possibly cancelled</strong>' : ''}`)}` : '',
+      changed.length > 0 ? `<h4>Changed</h4>${list(changed, (event) =>
+        `${brief(event)}: ${escapeHtml(event.fields.join(', '))}${event.flag ? ` <strong>${escapeHtml(event.flag)}</strong>` : ''}`)}` : '',
+      kept.length > 0 ? `<h4>Not read this run (kept from the last)</h4>${list(kept, brief)}` : '',
+    ].join(''));
+  }
+  return sections.join('');
+};
+
+/**
+ * Renders a report as a self-contained HTML page.
+ * @param {Object} report - A finished report.
+ * @returns {string}
+ */
+export const renderRunReportHtml = (report) => {
+  const rows = report.sites.map((entry) => {
+    const backend = entry.backend
+      ? `${escapeHtml(entry.backend.status ?? '-')}${entry.backend.error ? ` ${escapeHtml(entry.backend.error)}` : ''}`
+      : '-';
+    const diff = entry.diff
+      ? `+${entry.diff.added.length} / -${entry.diff.removed.length} / ~${entry.diff.changed.length}`
+      : '-';
+    const details = renderSiteDetails(entry);
+    return `<tr class="${entry.status}">
+      <td>${escapeHtml(entry.site)}</td>
+      <td>${entry.status}</td>
+      <td>${seconds(entry.durationMs)}</td>
+      <td>${entry.pagesVisited}</td>
+      <td>${entry.eventsFound}</td>
+      <td>${entry.eventsValid}</td>
+      <td>${entry.rejected.length}</td>
+      <td>${entry.imageFailures.length}</td>
+      <td>${backend}</td>
+      <td>${diff}</td>
+    </tr>${details ? `\n    <tr class="details"><td colspan="10"><details><summary>Details</summary>${details}</details></td></tr>` : ''}`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Scrape run ${escapeHtml(report.runId)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border-bottom: 1px solid #ddd; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+    tr.ok td:nth-child(2) { color: #1a7f37; }
+    tr.warning td:nth-child(2), .warning { color: #9a6700; }
+    tr.failed td:nth-child(2) { color: #cf222e; font-weight: bold; }
+    tr.details td { background: #f6f8fa; }
+    h3, h4 { margin: 0.8rem 0 0.3rem; }
+    pre { white-space: pre-wrap; }
+  </style>
+</head>
+<body>
+  <h1>Scrape run ${escapeHtml(report.runId)}</h1>
+  <p>Mode: ${escapeHtml(report.mode)}. Started ${escapeHtml(report.startedAt)}, took ${seconds(report.durationMs)}.</p>
+  <table>
+    <thead>
+      <tr><th>Site</th><th>Status</th><th>Duration</th><th>Pages</th><th>Found</th><th>Valid</th><th>Rejected</th><th>Image failures</th><th>Backend</th><th>Diff (+/-/~)</th></tr>
+    </thead>
+    <tbody>
+    ${rows.join('\n    ')}
+    </tbody>
+  </table>
+  <h2>robots.txt</h2>
+  ${report.robotsSkipped.length === 0 ? '<p>No URLs skipped.</p>' : list(report.robotsSkipped, ({ site, url, rule }) =>
+    `[${escapeHtml(site)}] ${escapeHtml(url)}${rule ? ` (${escapeHtml(rule)})` : ''}`)}
+</body>
+</html>
+`;
+};
+
+/**
+ * Writes a finished report as JSON and HTML, and points latest.json and
+ * latest.html at it.
+ * @param {Object} report - A finished report.
+ * @param {Object} [options]
+ * @param {string} [options.dir] - The reports directory.
+ * @returns {{json: string, html: string}} - The paths written.
+ */
+export const writeRunReport = (report, { dir = REPORTS_DIR } = {}) => {
+  const runDir = path.join(dir, report.runId);
+  fs.mkdirSync(runDir, { recursive: true });
+
+  const json = JSON.stringify(report, null, 2);
+  const html = renderRunReportHtml(report);
+  const paths = { json: path.join(runDir, 'report.json'), html: path.join(runDir, 'report.html') };
+  fs.writeFileSync(paths.json, json, 'utf-8');
+  fs.writeFileSync(paths.html, html, 'utf-8');
+  fs.writeFileSync(path.join(dir, 'latest.json'), json, 'utf-8');
+  fs.writeFileSync(path.join(dir, 'latest.html'), html, 'utf-8');
+  return paths;
+};
@@ -0,0 +1,788 @@
+// lib/scraper_runtime.js
+//
+// Shared runtime for the venue scrapers. A venue module only describes where its
+// listing lives and how to extract events; browser lifecycle, logging, image
+// downloads and output writing are handled here.
+
+import puppeteer from 'puppeteer-extra';
+import StealthPlugin from 'puppeteer-extra-plugin-stealth';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import axios from 'axios';
+import { openCheckpoint } from './checkpoints.js';
+import { createLogger } from './logger.js';
+import { createFailureCapture } from './failure_capture.js';
+import { downloadBestImage, downloadImage, placeholderFor } from './images.js';
+import { createImageSelector } from './image_selection.js';
+import { fillPlaceholders } from './placeholders.js';
+import { rateLimiter, resolvePolicy } from './rate_limiter.js';
+import { robotsChecker } from './robots.js';
+import { createRecorder, loadRecording } from './recording.js';
+import { createReplayBrowser } from './replay_browser.js';
+import { delay } from './utils.js';
+
+// Load environment variables from .env file if present
+dotenv.config();
+
+// Use stealth plugin to avoid detection
+puppeteer.use(StealthPlugin());
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// node_scripts/, where standalone runs write their JSON output
+const SCRIPTS_DIR = path.resolve(__dirname, '..');
+
+export const DEFAULT_USER_AGENT =
+  process.env.USER_AGENT ||
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/115.0.0.0 Safari/537.36';
+
+// Nightly at 03:00, used when a scraper does not declare its own schedule
+export const DEFAULT_SCHEDULE = '0 3 * * *';
+
+// 'live' scrapes the sites, 'record' also saves what it saw, 'replay' scrapes the saved pages offline
+export const SCRAPE_MODES = ['live', 'record', 'replay'];
+
+/**
+ * Launches a headless browser with the options every scraper needs.
+ * @param {Object} [options] - Extra puppeteer launch options (e.g., slowMo).
+ * @returns {Promise<puppeteer.Browser>}
+ */
+export const launchBrowser = (options = {}) => {
+  return puppeteer.launch({
+    headless: true,
+    args: ['--no-sandbox', '--disable-setuid-sandbox'],
+    ...options,
+  });
+};
+
+/**
+ * Builds the context object handed to a scraper's listing and detail functions.
+ * @param {Object} scraper - The scraper definition.
+ * @param {puppeteer.Browser|puppeteer.BrowserContext} browser - Where to open pages.
+ * @param {winston.Logger} logger - The scraper's logger for the listing phase.
+ * @param {Object} stats - Counters for the run report (see runScraper).
+ * @param {Object} failures - A failure capture from createFailureCapture.
+ * @returns {Object}
+ */
+const createContext = (scraper, browser, logger, stats, failures) => {
+  // Checks robots.txt, then waits for the host's rate limit before running fn
+  const throttle = async (url, fn) => {
+    const robots = await robotsChecker.check(url);
+    if (!robots.allowed) {
+      robotsChecker.skip(scraper.name, url, robots.rule);
+      context.logger.warn(`Skipping ${url}: disallowed by robots.txt (${robots.error || robots.rule})`);
+      const error = new Error(`${url} is disallowed by robots.txt`);
+      error.code = 'ROBOTS_DISALLOWED';
+      throw error;
+    }
+
+    // A Crawl-delay stricter than the scraper's own gap wins
+    const policy = resolvePolicy(scraper.rateLimit);
+    if (robots.crawlDelayMs !== null && robots.crawlDelayMs > policy.minGapMs) {
+      policy.minGapMs = robots.crawlDelayMs;
+    }
+    return rateLimiter.schedule(url, fn, policy);
+  };
+
+  const imageSelector = createImageSelector();
+
+  const context = {
+    site: scraper.name,
+    baseUrl: scraper.baseUrl,
+    browser,
+    // Replaced by the runtime as the run moves from the listing to each detail page
+    logger,
+    delay,
+    page: null,
+
+    // The current time; replays use the time of the recording so relative dates resolve the same way
+    now: () => new Date(),
+
+    // Opens a new page with the scraper's user agent and viewport applied
+    openPage: async () => {
+      const page = failures.watch(await browser.newPage());
+      await page.setUserAgent(scraper.userAgent || DEFAULT_USER_AGENT);
+      if (scraper.viewport) {
+        await page.setViewport(scraper.viewport);
+      }
+      return page;
+    },
+
+    // Runs fn with a fresh page and always closes the page afterwards; a failure is captured first
+    withPage: async (fn) => {
+      const page = await context.openPage();
+      try {
+        return await fn(page);
+      } catch (error) {
+        await context.captureFailure(page, error);
+        throw error;
+      } finally {
+        await page.close().catch(() => {});
+      }
+    },
+
+    // Navigates once robots.txt and the host's rate limit allow it
+    goto: (page, url, options = {}) => {
+      stats.pagesVisited += 1;
+      return throttle(url, () => page.goto(url, {
+        waitUntil: scraper.waitUntil || 'networkidle0',
+        timeout: 60000,
+        ...options,
+      }));
+    },
+
+    // axios, subject to robots.txt and rate limits like page navigation
+    http: {
+      get: (url, config) => throttle(url, () => axios.get(url, config)),
+      head: (url, config) => throttle(url, () => axios.head(url, config)),
+    },
+
+    downloadImage: (imageUrl, options = {}) => {
+      return downloadImage(imageUrl, {
+        site: scraper.imageFolder || scraper.name,
+        baseUrl: scraper.baseUrl,
+        logger: context.logger,
+        http: context.http,
+        onFailure: (url, error) => stats.imageFailures.push({ url, error }),
+        ...options,
+      });
+    },
+
+    // Like downloadImage, but picks the best of the images a page offers; the run's
+    // selector remembers which images recur on every event's page
+    downloadBestImage: (candidates, options = {}) => {
+      return downloadBestImage(candidates, {
+        site: scraper.imageFolder || scraper.name,
+        baseUrl: scraper.baseUrl,
+        logger: context.logger,
+        http: context.http,
+        selector: imageSelector,
+        onFailure: (url, error) => stats.imageFailures.push({ url, error }),
+        ...options,
+      });
+    },
+
+    // Runs an interaction (e.g., opening a modal) whose result replay runs read from the recording
+    capture: (key, fn) => fn(),
+
+    // Runs a listing step (e.g., one month of a schedule) whose result a resumed run reads from the checkpoint
+    checkpoint: (key, fn) => fn(),
+
+    // Saves a screenshot, the HTML and the console log of a page something went wrong on
+    captureFailure: async (page, error, details = {}) => {
+      const captureDir = await failures.capture(page, error, details);
+      if (captureDir) {
+        stats.failureCaptures.push({ url: page.url(), error: error.message, dir: captureDir });
+        context.logger.info(`Failure captured to ${captureDir}`);
+      }
+      return captureDir;
+    },
+
+    // Waits for a selector like page.waitForSelector, but a timeout is logged and
+    // captured instead of thrown; returns null then
+    waitForSelector: async (page, selector, options = {}) => {
+      try {
+        return await page.waitForSelector(selector, options);
+      } catch (error) {
+        context.logger.warn(`Timeout waiting for ${selector} on ${page.url()}`);
+        await context.captureFailure(page, error, { selector });
+        return null;
+      }
+    },
+  };
+
+  return context;
+};
+
+// The URLs of downloadBestImage's candidates, which may come with their alt text
+const bestImageKeys = (candidates) => candidates
+  .map((candidate) => (typeof candidate === 'string' ? candidate : candidate?.url))
+  .filter(Boolean);
+
+/**
+ * Makes a live context save what the scraper sees. A page is saved when the
+ * scraper leaves it (navigates elsewhere or closes it), so the snapshot holds
+ * whatever the page rendered while the scraper was reading it.
+ *
+ * @param {Object} context - A context from createContext.
+ * @param {Object} recorder - A recorder from createRecorder.
+ * @returns {Function} - async () => void; saves the pages still open.
+ */
+const recordContext = (context, recorder) => {
+  const { goto, withPage, http, downloadImage: download, downloadBestImage: downloadBest, capture } = context;
+  const visited = new Map(); // Page -> the URL it was sent to
+
+  const snapshot = async (page) => {
+    const url = visited.get(page);
+    if (!url) {
+      return;
+    }
+    visited.delete(page);
+    const html = await page.content().catch(() => null);
+    if (html !== null) {
+      recorder.savePage(url, html, page.url());
+    }
+  };
+
+  const recordHttp = (method, request) => async (url, config = {}) => {
+    const response = await request(url, config);
+    // Streamed bodies (image downloads) are represented by the recorded image paths instead
+    if (config.responseType !== 'stream') {
+      recorder.saveHttp(method, url, {
+        status: response.status,
+        headers: JSON.parse(JSON.stringify(response.headers)),
+        data: response.data,
+      });
+    }
+    return response;
+  };
+
+  Object.assign(context, {
+    goto: async (page, url, options) => {
+      await snapshot(page);
+      const response = await goto(page, url, options);
+      visited.set(page, url);
+      return response;
+    },
+    withPage: (fn) => withPage(async (page) => {
+      try {
+        return await fn(page);
+      } finally {
+        await snapshot(page);
+      }
+    }),
+    http: {
+      get: recordHttp('GET', http.get),
+      head: recordHttp('HEAD', http.head),
+    },
+    downloadImage: async (imageUrl, options) => {
+      const result = await download(imageUrl, options);
+      if (imageUrl) {
+        recorder.saveImage(imageUrl, result);
+      }
+      return result;
+    },
+    // Saved under the first candidate, the one a replay looks up
+    downloadBestImage: async (candidates, options) => {
+      const result = await downloadBest(candidates, options);
+      const [first] = bestImageKeys(candidates);
+      if (first) {
+        recorder.saveImage(first, result);
+      }
+      return result;
+    },
+    capture: async (key, fn) => {
+      const value = await capture(key, fn);
+      recorder.saveCapture(key, value);
+      return value;
+    },
+  });
+
+  return async () => {
+    await Promise.all([...visited.keys()].map(snapshot));
+  };
+};
+
+/**
+ * Points a context at a recording: pages come from the replay browser and
+ * images, captures and HTTP responses from the manifest. Nothing touches the network.
+ *
+ * @param {Object} context - A context from createContext, opened on a replay browser.
+ * @param {Object} scraper - The scraper definition.
+ * @param {Object} recording - A recording from loadRecording.
+ * @param {Object} stats - Counters for the run report (see runScraper).
+ */
+const replayContext = (context, scraper, recording, stats) => {
+  const replayHttp = (method) => async (url) => {
+    const response = recording.http(method, url);
+    if (!response) {
+      throw new Error(`No recorded ${method} response for ${url}`);
+    }
+    if (response.status >= 400) {
+      const error = new Error(`Request failed with status code ${response.status}`);
+      error.response = response;
+      throw error;
+    }
+    return response;
+  };
+
+  Object.assign(context, {
+    now: () => new Date(recording.recordedAt),
+    goto: (page, url) => {
+      stats.pagesVisited += 1;
+      return page.goto(url);
+    },
+    http: {
+      get: replayHttp('GET'),
+      head: replayHttp('HEAD'),
+    },
+    downloadImage: async (imageUrl, options = {}) => {
+      if (imageUrl && recording.hasImage(imageUrl)) {
+        return recording.image(imageUrl);
+      }
+      return options.placeholder || placeholderFor(scraper.imageFolder || scraper.name);
+    },
+    downloadBestImage: async (candidates, options = {}) => {
+      const [first] = bestImageKeys(candidates);
+      if (first && recording.hasImage(first)) {
+        return recording.image(first);
+      }
+      return options.placeholder || placeholderFor(scraper.imageFolder || scraper.name);
+    },
+    capture: async (key) => {
+      if (!recording.hasCapture(key)) {
+        throw new Error(`No recorded capture for ${key}`);
+      }
+      return recording.capture(key);
+    },
+  });
+};
+
+/**
+ * Makes a live context save its listing steps to a checkpoint, and read back
+ * those a resumed run has done already.
+ * @param {Object} context - A context from createContext.
+ * @param {Object} checkpoint - A checkpoint from openCheckpoint.
+ */
+const checkpointContext = (context, checkpoint) => {
+  context.checkpoint = async (key, fn) => {
+    if (checkpoint.hasStep(key)) {
+      context.logger.info(`Resumed ${key} from the checkpoint.`);
+      return checkpoint.step(key);
+    }
+    const value = await fn();
+    checkpoint.saveStep(key, value);
+    return value;
+  };
+};
+
+/**
+ * Notes the page-level errors of the listing while it runs: navigation that
+ * failed or robots.txt refused, pages captured after a failure and errors the
+ * scraper logged, even those it carried on after. A listing that lost a page
+ * looks like one whose events vanished, so scrape_all.js does not take the
+ * events missing from it as cancelled.
+ * @param {Object} context - The run's context, in its listing phase.
+ * @param {Function} onError - Called with a description of each error.
+ * @returns {Function} - Stops watching.
+ */
+const watchListing = (context, onError) => {
+  const { logger, goto, http, captureFailure } = context;
+  const { error: logError } = logger;
+  const reported = (url, request) => request().catch((error) => {
+    onError(`${url}: ${error.message}`);
+    throw error;
+  });
+
+  logger.error = function (message, ...meta) {
+    onError(String(message));
+    return logError.call(this, message, ...meta);
+  };
+  Object.assign(context, {
+    goto: (page, url, options) => reported(url, () => goto(page, url, options)),
+    http: {
+      get: (url, config) => reported(url, () => http.get(url, config)),
+      head: (url, config) => reported(url, () => http.head(url, config)),
+    },
+    captureFailure: (page, error, details) => {
+      onError(`${page.url()}: ${error.message}`);
+      return captureFailure(page, error, details);
+    },
+  });
+
+  return () => {
+    logger.error = logError;
+    Object.assign(context, { goto, http, captureFailure });
+  };
+};
+
+// The page a listing item leads to, for the eventUrl of its log entries. Items are
+// whatever the scraper's listing returns: a URL, or an object with a link under one of these names.
+const itemUrl = (item) => {
+  if (typeof item === 'string') {
+    return item;
+  }
+  return item?.event_link || item?.eventLink || item?.detailUrl || item?.detailLink || null;
+};
+
+/**
+ * Records where each schedule entry's end time came from. Scrapers only set
+ * time_end when the page states it; otherwise the venue's typical duration,
+ * if it declares one, is attached as an estimate.
+ * @param {Array} events
+ * @param {number|null} estimatedDuration - Minutes, from the scraper definition.
+ * @returns {Array}
+ */
+const annotateEndTimes = (events, estimatedDuration) => events.map((event) => {
+  if (!event || !Array.isArray(event.schedule)) {
+    return event;
+  }
+
+  return {
+    ...event,
+    schedule: event.schedule.map((entry) => ({
+      ...entry,
+      time_end_source: entry.time_end ? 'stated' : null,
+      estimated_duration_minutes: !entry.time_end && estimatedDuration ? estimatedDuration : null,
+    })),
+  };
+});
+
+/**
+ * Opens what a run reads pages from: a context of the shared pool, a browser of
+ * its own, or, when replaying, the scraper's recording.
+ * @param {Object} scraper - The scraper definition.
+ * @param {Object} options
+ * @param {Object} [options.pool] - A pool from createBrowserPool.
+ * @param {string} options.mode - One of SCRAPE_MODES.
+ * @param {string} [options.recordingsDir] - Where recordings are read.
+ * @param {winston.Logger} options.logger
+ * @returns {Promise<{browser: Object, recording: (Object|null)}>}
+ */
+const openBrowser = async (scraper, { pool, mode, recordingsDir, logger }) => {
+  if (!SCRAPE_MODES.includes(mode)) {
+    throw new Error(`Unknown scrape mode '${mode}'. Expected one of: ${SCRAPE_MODES.join(', ')}.`);
+  }
+
+  if (mode === 'replay') {
+    const recording = loadRecording(scraper.name, { dir: recordingsDir });
+    logger.info(`Replaying recording from ${recording.recordedAt.toISOString()}.`);
+    return { browser: createReplayBrowser(recording), recording };
+  }
+
+  const browser = pool
+    ? await pool.acquire(scraper.launchOptions)
+    : await launchBrowser(scraper.launchOptions);
+  logger.info(pool ? 'Browser context opened.' : 'Browser launched.');
+  return { browser, recording: null };
+};
+
+// A replay already holds the pages it fails on, so only live runs capture failures
+const failuresFor = (scraper, recording) => (recording
+  ? { watch: (page) => page, capture: async () => null }
+  : createFailureCapture(scraper.name));
+
+/**
+ * Runs a scraper: launches the browser, extracts the listing, visits detail
+ * pages and closes the browser again, whatever happens.
+ *
+ * When a browser pool is given the scraper runs in its own context of a shared
+ * browser instead, and only that context is closed. Detail pages are always
+ * visited one at a time, so a site sees the same request pace either way.
+ *
+ * In 'record' mode the run also saves every page it visits under the
+ * recordings directory; in 'replay' mode it reads those pages back instead of
+ * launching a browser.
+ *
+ * A live run that times out waiting for a selector or fails to extract a page
+ * saves what the page showed under the failures directory (see failure_capture.js).
+ *
+ * A live run also saves its progress under the checkpoints directory as it goes
+ * (see checkpoints.js); with `resume` it skips the listing steps and detail pages
+ * a previous run that did not complete got through.
+ *
+ * The listing's page-level errors (see watchListing) go into stats.listingErrors,
+ * those of a resumed listing included.
+ *
+ * @param {Object} scraper - The scraper definition created by defineScraper.
+ * @param {Object} [options]
+ * @param {Object} [options.pool] - A pool from createBrowserPool. Not used when replaying.
+ * @param {string} [options.mode] - One of SCRAPE_MODES. Defaults to SCRAPE_MODE or 'live'.
+ * @param {string} [options.recordingsDir] - Where recordings are written and read.
+ * @param {boolean} [options.resume=false] - Carry on from the last checkpoint. Live runs only.
+ * @param {string} [options.checkpointsDir] - Where checkpoints are written and read.
+ * @param {Object} [options.stats] - Filled in for the run report: pagesVisited (a count),
+ *   imageFailures ({url, error} for each image that fell back to a placeholder),
+ *   failureCaptures ({url, error, dir} for each page captured after a failure) and
+ *   failedItems ({url, error} for each detail page that failed or robots.txt disallowed;
+ *   their events are missing from the result) and listingErrors (a message for each
+ *   page-level error of the listing; events of a page it lost are missing too).
+ * @returns {Promise<Array>} - The extracted events. Empty if the listing could not be scraped.
+ */
+export const runScraper = async (scraper, {
+  pool,
+  mode = process.env.SCRAPE_MODE || 'live',
+  recordingsDir,
+  resume = false,
+  checkpointsDir,
+  stats = { pagesVisited: 0, imageFailures: [], failureCaptures: [], failedItems: [], listingErrors: [] },
+} = {}) => {
+  const setupLogger = scraper.logger.child({ phase: 'setup' });
+  const { browser, recording } = await openBrowser(scraper, {
+    pool,
+    mode,
+    recordingsDir,
+    logger: setupLogger,
+  });
+
+  const recorder = mode === 'record' ? createRecorder(scraper.name, { dir: recordingsDir }) : null;
+  // A recording has to hold every page, and a replay is quick, so only live runs keep checkpoints
+  const checkpoint = mode === 'live'
+    ? openCheckpoint(scraper.name, { dir: checkpointsDir, resume, logger: setupLogger })
+    : null;
+  if (checkpoint?.resumedFrom) {
+    setupLogger.info(`Resuming the run started at ${checkpoint.resumedFrom}.`);
+  }
+  let flushRecording = async () => {};
+  const context = createContext(scraper, browser, scraper.logger.child({ phase: 'listing' }), stats, failuresFor(scraper, recording));
+
+  try {
+    if (recording) {
+      replayContext(context, scraper, recording, stats);
+    } else if (recorder) {
+      flushRecording = recordContext(context, recorder);
+    } else if (checkpoint) {
+      checkpointContext(context, checkpoint);
+    }
+    context.page = await context.openPage();
+
+    // Events without an image get a placeholder of their own; replays keep the sites' fallbacks
+    // so they leave the image store alone. The checkpoint goes once every item is done; while
+    // a detail page failed it stays, so --resume can try that page again.
+    const finish = async (events, { failed = 0 } = {}) => {
+      const annotated = annotateEndTimes(events, scraper.estimatedDuration);
+      const finished = recording ? annotated : await fillPlaceholders(annotated, {
+        site: scraper.imageFolder || scraper.name,
+        logger: scraper.logger.child({ phase: 'placeholders' }),
+      });
+      if (checkpoint && failed > 0) {
+        context.logger.warn(`${failed} detail page(s) failed; progress is saved in ${checkpoint.file}. Run again with --resume to retry them.`);
+      } else {
+        checkpoint?.clear();
+      }
+      return finished;
+    };
+
+    // A resumed run still knows the errors its listing ran into before
+    stats.listingErrors.push(...(checkpoint?.listingErrors() || []));
+    let items = checkpoint?.items();
+    if (items) {
+      context.logger.info(`Resumed the listing of ${items.length} items from the checkpoint; ${checkpoint.detailsDone()} detail page(s) already done.`);
+    } else {
+      const stopWatching = watchListing(context, (message) => {
+        stats.listingErrors.push(message);
+        checkpoint?.saveListingError(message);
+      });
+      try {
+        items = await scraper.scrapeListing(context);
+      } finally {
+        stopWatching();
+      }
+      checkpoint?.saveItems(items);
+      context.logger.info(`Found ${items.length} items on the listing for site: ${scraper.name}`);
+    }
+
+    if (!scraper.scrapeDetail) {
+      return await finish(items);
+    }
+
+    const events = [];
+    let failed = 0;
+    for (const [index, item] of items.entries()) {
+      if (checkpoint?.hasDetail(index)) {
+        const event = checkpoint.detail(index);
+        if (event) {
+          events.push(event);
+        }
+        continue;
+      }
+
+      // Detail pages run one at a time, so the context's logger can follow the current one
+      context.logger = scraper.logger.child({ phase: 'detail', eventUrl: itemUrl(item) });
+      try {
+        context.logger.info(`Processing event ${index + 1} of ${items.length}...`);
+        const event = await scraper.scrapeDetail(context, item, index);
+        // A page that failed is not saved, so a resumed run tries it again
+        checkpoint?.saveDetail(index, event);
+        if (event) {
+          events.push(event);
+        }
+      } catch (error) {
+        failed += 1;
+        stats.failedItems.push({ url: itemUrl(item), error: error.message });
+        context.logger.error(`Error processing event ${index + 1}: ${error.message}`);
+      }
+    }
+
+    context.logger = scraper.logger.child({ phase: 'listing' });
+    context.logger.info('Final event data extraction complete.');
+    return await finish(events, { failed });
+  } catch (error) {
+    context.logger.error(`Error during scraping: ${error.message}`);
+    await context.captureFailure(context.page, error);
+    if (checkpoint) {
+      context.logger.info(`Progress is saved in ${checkpoint.file}; run again with --resume to carry on from there.`);
+    }
+    return [];
+  } finally {
+    const teardownLogger = scraper.logger.child({ phase: 'teardown' });
+    const skipped = robotsChecker.skipped.filter((entry) => entry.site === scraper.name);
+    if (skipped.length > 0) {
+      teardownLogger.warn(`Skipped ${skipped.length} URL(s) disallowed by robots.txt.`);
+    }
+    if (recorder) {
+      await flushRecording();
+      teardownLogger.info(`Recording saved to ${recorder.finish()}`);
+    }
+    await browser.close().catch(() => {});
+    teardownLogger.info(recording || !pool ? 'Browser closed.' : 'Browser context closed.');
+  }
+};
+
+// How long a health check waits for a selector to appear before counting it
+const HEALTH_WAIT_MS = 15000;
+
+/**
+ * Checks the selectors a scraper depends on against the live site (or its
+ * recording): each must match at least its minimum number of elements, or the
+ * site's layout has drifted away from the scraper. A failing page is captured
+ * like a failed scrape.
+ *
+ * @param {Object} scraper - The scraper definition created by defineScraper.
+ * @param {Object} [options]
+ * @param {Object} [options.pool] - A pool from createBrowserPool. Not used when replaying.
+ * @param {string} [options.mode] - 'replay' checks the recording; anything else the live site.
+ * @param {string} [options.recordingsDir] - Where recordings are read.
+ * @returns {Promise<Array<{url: string, selector: string, min: number, count: number, ok: boolean, error: (string|null)}>>}
+ */
+export const checkHealth = async (scraper, { pool, mode = process.env.SCRAPE_MODE || 'live', recordingsDir } = {}) => {
+  const logger = scraper.logger.child({ phase: 'health' });
+  const { browser, recording } = await openBrowser(scraper, {
+    pool,
+    mode: mode === 'replay' ? 'replay' : 'live',
+    recordingsDir,
+    logger,
+  });
+  const stats = { pagesVisited: 0, imageFailures: [], failureCaptures: [], failedItems: [], listingErrors: [] };
+  const context = createContext(scraper, browser, logger, stats, failuresFor(scraper, recording));
+  if (recording) {
+    replayContext(context, scraper, recording, stats);
+  }
+
+  const results = [];
+  try {
+    for (const check of scraper.health) {
+      const url = typeof check.url === 'function' ? check.url(context.now()) : check.url;
+      const selectors = check.selectors.map(({ selector, min = 1 }) => ({ url, selector, min }));
+      try {
+        await context.withPage(async (page) => {
+          await context.goto(page, url);
+          for (const entry of selectors) {
+            await page.waitForSelector(entry.selector, { timeout: HEALTH_WAIT_MS }).catch(() => null);
+            const count = (await page.$$(entry.selector)).length;
+            const ok = count >= entry.min;
+            results.push({ ...entry, count, ok, error: null });
+            if (!ok) {
+              logger.error(`Layout drift: ${entry.selector} matched ${count} element(s) on ${url}, expected at least ${entry.min}`);
+              await context.captureFailure(page, new Error(`${entry.selector} matched ${count} element(s), expected at least ${entry.min}`), { selector: entry.selector });
+            }
+          }
+        });
+      } catch (error) {
+        logger.error(`Health check of ${url} failed: ${error.message}`);
+        const checked = new Set(results.filter((result) => result.url === url).map((result) => result.selector));
+        results.push(...selectors
+          .filter(({ selector }) => !checked.has(selector))
+          .map((entry) => ({ ...entry, count: 0, ok: false, error: error.message })));
+      }
+    }
+  } finally {
+    await browser.close().catch(() => {});
+  }
+
+  return results;
+};
+
+/**
+ * Declares a venue scraper.
+ *
+ * @param {Object} definition
+ * @param {string} definition.name - Site identifier sent to /api/scrape (e.g., 'growly').
+ * @param {Function} definition.scrapeListing - async (context) => Array of listing items or events.
+ * @param {Function} [definition.scrapeDetail] - async (context, item, index) => event or null to skip.
+ * @param {string} [definition.displayName] - Human-readable name shown by `scrape_all.js --list`. Defaults to name.
+ * @param {string} [definition.venue] - The venue (or promoter) the site lists events for.
+ * @param {string} [definition.schedule] - Default cron expression for how often the site should be scraped.
+ * @param {string} [definition.baseUrl] - Base URL used to resolve relative image URLs.
+ * @param {string} [definition.imageFolder] - Folder under public/images/events. Defaults to name.
+ * @param {string} [definition.logFile] - Log file name. Defaults to '<name>_scraper.log'.
+ * @param {string} [definition.outputFile] - JSON file written by standalone runs. Defaults to '<name>_events.json'.
+ * @param {string} [definition.waitUntil] - Default puppeteer waitUntil for navigation.
+ * @param {Object} [definition.viewport] - Viewport applied to every page.
+ * @param {string} [definition.userAgent] - User agent applied to every page.
+ * @param {Object} [definition.launchOptions] - Extra puppeteer launch options.
+ * @param {Object} [definition.rateLimit] - Politeness policy for the hosts the scraper requests,
+ *   merged over DEFAULT_RATE_LIMIT (requestsPerMinute, minGapMs, jitterMs, maxConcurrent).
+ * @param {number} [definition.estimatedDuration] - Typical length of a performance in minutes,
+ *   sent as estimated_duration_minutes with schedule entries whose page states no end time.
+ * @param {Array} definition.health - The selectors the scraper cannot work without, per page:
+ *   [{ url, selectors: [{ selector, min }] }]. url may be a function of the current time; min
+ *   (default 1) is the fewest elements the selector should match. See checkHealth.
+ * @returns {Object} - The scraper, with a run([options]) method returning the extracted events (see runScraper)
+ *   and a checkHealth([options]) method.
+ */
+export const defineScraper = (definition) => {
+  if (!definition.name || typeof definition.scrapeListing !== 'function') {
+    throw new Error('A scraper needs a name and a scrapeListing function.');
+  }
+  if (!Array.isArray(definition.health) || definition.health.length === 0) {
+    throw new Error(`The ${definition.name} scraper needs health checks for the selectors it depends on.`);
+  }
+
+  const scraper = {
+    displayName: definition.name,
+    venue: null,
+    schedule: DEFAULT_SCHEDULE,
+    ...definition,
+    logger: createLogger(definition.name, { filename: definition.logFile }),
+  };
+  scraper.run = (options) => runScraper(scraper, options);
+  scraper.checkHealth = (options) => checkHealth(scraper, options);
+  return scraper;
+};
+
+/**
+ * Writes scraped events to a JSON file in node_scripts for manual inspection.
+ * @param {string} filename - The output file name.
+ * @param {Array} events - The events to write.
+ * @returns {string} - The absolute path written to.
+ */
+export const writeOutput = (filename, events) => {
+  const outputPath = path.resolve(SCRIPTS_DIR, filename);
+  fs.writeFileSync(outputPath, JSON.stringify(events, null, 2), 'utf-8');
+  return outputPath;
+};
+
+/**
+ * Runs the scraper and saves its output when the module is executed directly
+ * (e.g., `node growly.js`, or `node growly.js --resume` to carry on from the
+ * checkpoint of a run that did not complete).
+ *
+ * @param {string} moduleUrl - The scraper module's import.meta.url.
+ * @param {Object} scraper - The scraper definition.
+ */
+export const runIfMain = (moduleUrl, scraper) => {
+  if (process.argv[1] !== fileURLToPath(moduleUrl)) {
+    return;
+  }
+
+  (async () => {
+    const { logger } = scraper;
+    try {
+      logger.info(`Running ${scraper.name} scraper...`);
+      const data = await scraper.run({ resume: process.argv.slice(2).includes('--resume') });
+      if (data.length > 0) {
+        const outputPath = writeOutput(scraper.outputFile || `${scraper.name}_events.json`, data);
+        logger.info(`Data saved to ${outputPath}`);
+      } else {
+        logger.warn(`No data scraped for site: ${scraper.name}`);
+      }
+      logger.info('All scraping tasks completed.');
+    } catch (error) {
+      logger.error(`Error during scraping execution: ${error.message}`);
+    }
+  })();
+};
@@ -0,0 +1,171 @@
+// lib/snapshots.js
+//
+// What each site returned on its last run, so the next run can tell which events
+// were added, removed or changed. Venues rarely announce a cancellation in a way
+// the scrapers can read; more often the event just disappears, or its title gains
+// 中止 or 延期. Events that vanish before they have ended are flagged as possibly
+// cancelled for moderation and for the labels on the site. An event whose detail
+// page this run could not read has not vanished; it is kept as it was, and so is
+// every upcoming event of a listing that ran into errors.
+//
+// Layout: <snapshots dir>/<site>/events.json (the last run's valid events) and
+// diff.json (how that run differed from the one before)
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { toHalfWidth } from './dates.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const SNAPSHOTS_DIR = process.env.SCRAPE_SNAPSHOTS_DIR || path.resolve(__dirname, '..', 'snapshots');
+
+// The fields compared between runs; descriptions and images change too often to be worth reporting
+const TRACKED_FIELDS = [
+  'title',
+  'date_start',
+  'date_end',
+  'venue',
+  'event_link',
+  'ticket_status',
+  'ticket_release_date',
+  'schedule',
+  'prices',
+];
+
+// Markers a venue adds to the title of a called-off or sold-out show: "【公演中止】", "[延期]", "SOLD OUT"
+const TITLE_MARKER_RE = /[【[(]\s*(?:公演)?(?:中止|延期|完売)\s*[】\])]|(?:公演)?(?:中止|延期)(?:のお知らせ)?|sold\s*out|cancell?ed|postponed/gi;
+
+// When more than this share of a site's upcoming events vanish at once, the scraper
+// has more likely broken than the venue cancelled them all
+const MAX_VANISHED_SHARE = 0.5;
+
+// A title without status markers, spacing or case, so "【公演中止】Live" still matches "Live"
+const matchTitle = (title) => toHalfWidth(title || '')
+  .replace(TITLE_MARKER_RE, '')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .toLowerCase();
+
+const eventKey = (event) => `${event.date_start}|${matchTitle(event.title)}`;
+
+const isoDay = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Compares a site's events with those of its previous run.
+ *
+ * Events match on their date and title, ignoring status markers; an event whose
+ * date moved still matches when its title is the only one of its kind on both
+ * sides. A removed event that has not ended yet is possibly_cancelled, unless so
+ * many vanished that the scraper is the likelier culprit; the diff is then marked
+ * suspect. A changed event whose ticket status became 'cancelled' or 'postponed'
+ * carries that status as its flag. A missing event whose link is among the
+ * unreachable pages is kept, not removed: the run failed to read it (a timeout,
+ * robots.txt), which says nothing about the show. When the listing itself is
+ * incomplete (a page of it failed to load), no upcoming event is taken as removed:
+ * any of them may have been on the missing page. They are kept instead.
+ *
+ * @param {Array} previous - The events of the previous run.
+ * @param {Array} current - The events of this run.
+ * @param {Object} [options]
+ * @param {Date} [options.now] - The current time, for telling past from upcoming events.
+ * @param {Array<string>} [options.unreachable] - The detail pages this run failed to read.
+ * @param {boolean} [options.incomplete=false] - Whether the listing reported page-level errors.
+ * @returns {{added: Array, removed: Array<{event: Object, possibly_cancelled: boolean}>, changed: Array<{before: Object, after: Object, fields: string[], flag: (string|null)}>, kept: Array, suspect: boolean, incomplete: boolean}}
+ */
+export const diffEvents = (previous, current, { now = new Date(), unreachable = [], incomplete = false } = {}) => {
+  const today = isoDay(now);
+  const groupBy = (events, key) => events.reduce((groups, event) => {
+    groups.set(key(event), [...(groups.get(key(event)) || []), event]);
+    return groups;
+  }, new Map());
+
+  // Two shows of the same title on the same day pair up in order
+  const previousByKey = groupBy(previous, eventKey);
+  const added = [];
+  const pairs = [];
+  for (const event of current) {
+    const before = previousByKey.get(eventKey(event))?.shift();
+    if (before) {
+      pairs.push([before, event]);
+    } else {
+      added.push(event);
+    }
+  }
+  let vanished = [...previousByKey.values()].flat();
+
+  // A rescheduled event: the same title, once on each side, on another date
+  const addedByTitle = groupBy(added, (event) => matchTitle(event.title));
+  for (const [title, [before, ...others]] of groupBy(vanished, (event) => matchTitle(event.title))) {
+    const after = addedByTitle.get(title);
+    if (others.length === 0 && after?.length === 1) {
+      pairs.push([before, after[0]]);
+      vanished = vanished.filter((event) => event !== before);
+      added.splice(added.indexOf(after[0]), 1);
+    }
+  }
+
+  const changed = pairs
+    .map(([before, after]) => {
+      const fields = TRACKED_FIELDS.filter((field) =>
+        JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null));
+      const flag = ['cancelled', 'postponed'].includes(after.ticket_status) && after.ticket_status !== before.ticket_status
+        ? after.ticket_status
+        : null;
+      return { before, after, fields, flag };
+    })
+    .filter(({ fields }) => fields.length > 0);
+
+  const isUpcoming = (event) => (event.date_end || event.date_start) >= today;
+  const unreachableLinks = new Set(unreachable);
+  const kept = vanished.filter((event) => unreachableLinks.has(event.event_link) || (incomplete && isUpcoming(event)));
+  vanished = vanished.filter((event) => !kept.includes(event));
+
+  const vanishedUpcoming = vanished.filter(isUpcoming).length;
+  const suspect = vanishedUpcoming > 1 && vanishedUpcoming > previous.filter(isUpcoming).length * MAX_VANISHED_SHARE;
+  const removed = vanished.map((event) => ({
+    event,
+    possibly_cancelled: !suspect && isUpcoming(event),
+  }));
+
+  return { added, removed, changed, kept, suspect, incomplete };
+};
+
+/**
+ * Reads the events a site returned on its last run.
+ * @param {string} site - The scraper's site name.
+ * @param {Object} [options]
+ * @param {string} [options.dir] - The snapshots directory.
+ * @returns {Array|null} - The events, or null if the site has no snapshot yet.
+ */
+export const loadSnapshot = (site, { dir = SNAPSHOTS_DIR } = {}) => {
+  const snapshotPath = path.join(dir, site, 'events.json');
+  if (!fs.existsSync(snapshotPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(snapshotPath, 'utf-8')).events;
+};
+
+/**
+ * Replaces a site's snapshot with this run's events and the diff against the last one.
+ * @param {string} site - The scraper's site name.
+ * @param {Array} events - This run's valid events.
+ * @param {Object|null} diff - The result of diffEvents, or null on the first run.
+ * @param {Object} [options]
+ * @param {string} [options.dir] - The snapshots directory.
+ * @param {Date} [options.now] - When the run happened.
+ */
+export const saveSnapshot = (site, events, diff, { dir = SNAPSHOTS_DIR, now = new Date() } = {}) => {
+  const siteDir = path.join(dir, site);
+  fs.mkdirSync(siteDir, { recursive: true });
+
+  const takenAt = now.toISOString();
+  fs.writeFileSync(path.join(siteDir, 'events.json'), JSON.stringify({ site, takenAt, events }, null, 2), 'utf-8');
+  if (diff) {
+    fs.writeFileSync(path.join(siteDir, 'diff.json'), JSON.stringify({ site, takenAt, ...diff }, null, 2), 'utf-8');
+  }
+};
@@ -0,0 +1,99 @@
+// lib/ticket_status.js
+//
+// Ticket availability as the venues print it ("SOLD OUT", "残りわずか", "公演中止",
+// "Release date：2024.09.14", "チケット発売日 12月1日(日)"), normalized to one
+// ticket_status per event so the site can badge sold-out and cancelled shows.
+
+import { parseDateTime } from './dates.js';
+
+export const TICKET_STATUSES = ['on_sale', 'few_left', 'sold_out', 'cancelled', 'postponed', 'not_on_sale'];
+
+// Words for a show that is off or moved. "雨天中止" (called off if it rains) is a condition, not a cancellation.
+const CANCELLED = '(?<!雨天)中止|\\bcancell?ed\\b';
+const POSTPONED = '延期|\\bpostponed\\b|\\brescheduled\\b';
+
+// Descriptions and notes are full of conditions ("台風等の場合は中止", "延期の場合は払い戻し"),
+// so outside the title only an explicit label counts: a bracketed "【公演中止】", a line of
+// its own ("公演中止", "Cancelled") or an all-caps "CANCELLED"
+const labelPatterns = (words, marker) => [
+  new RegExp(`[【［\\[(（〈][^】］\\])）〉\\n]{0,6}(?:${words})(?:のお知らせ)?\\s*[】］\\])）〉]`, 'i'),
+  new RegExp(`^\\s*(?:公演|開催)?(?:${words})\\s*[.!！]*\\s*$`, 'im'),
+  marker,
+];
+
+// Checked first, against the title and the labels, so a cancelled show that had sold out reads as cancelled
+const CHANGE_PATTERNS = [
+  ['cancelled', new RegExp(CANCELLED, 'i'), labelPatterns(CANCELLED, /\bCANCELL?ED\b/)],
+  ['postponed', new RegExp(POSTPONED, 'i'), labelPatterns(POSTPONED, /\bPOSTPONED\b/)],
+];
+
+// Checked in order, against the title and the text
+const STATUS_PATTERNS = [
+  ['sold_out', /sold[\s-]*out|完売|売り?切れ|予定枚数終了|満席|満員御礼|キャンセル待ち/i],
+  ['few_left', /残りわずか|残り僅か|残席わずか|残席僅少|残少|\bfew (?:tickets |seats )?(?:left|remaining)\b|selling fast/i],
+  ['not_on_sale', /発売前|未発売|not (?:yet )?on sale/i],
+  ['on_sale', /発売中|販売中|受付中|on sale now|tickets? (?:are )?(?:now )?available/i],
+];
+
+// The date after a release label: "Release date：2024.09.14", "一般発売：10月5日(土)10:00〜"
+const RELEASE_RE = /(?:release date|on sale (?:from|on)|tickets? go on sale(?: on)?|(?:チケット|一般|前売)?(?:発売|販売|予約受付)(?:開始)?日?)\s*[:：]?\s*([^\n]*)/gi;
+
+// The first release label followed by a date, as an ISO date
+const readReleaseDate = (text, now, eventDate) => {
+  for (const match of text.matchAll(RELEASE_RE)) {
+    const { date_start, ambiguous } = parseDateTime(match[1], { now });
+    if (date_start) {
+      // Tickets never go on sale after the show; a guessed year that says so is a year late
+      return ambiguous && eventDate && date_start > eventDate
+        ? `${Number(date_start.slice(0, 4)) - 1}${date_start.slice(4)}`
+        : date_start;
+    }
+  }
+  return null;
+};
+
+const isoDay = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Reads the ticket status of an event from its title, status labels or ticket text.
+ *
+ * A cancellation or postponement anywhere in the title counts; in the other text
+ * only an explicit label does (see labelPatterns), not a notice of what happens
+ * if the show is called off. A release date still to come makes the event
+ * 'not_on_sale'; one that has passed makes it 'on_sale' unless the text says
+ * otherwise. With parsed prices, the event is sold out when every tier is, and a
+ * "SOLD OUT" that only some tiers carry is left to those tiers.
+ *
+ * @param {string|Array<string>} text - The status labels, ticket text or notes to read, or several pieces of them.
+ * @param {Object} [options]
+ * @param {string} [options.title] - The event's title.
+ * @param {Array} [options.prices] - The event's prices from parsePrices.
+ * @param {string} [options.eventDate] - The first day of the event, as an ISO date.
+ * @param {Date} [options.now] - The current time, for release dates.
+ * @returns {{ticket_status: (string|null), ticket_release_date: (string|null)}}
+ */
+export const parseTicketStatus = (text, { title = null, prices = [], eventDate = null, now = new Date() } = {}) => {
+  const labels = [].concat(text).filter(Boolean).join('\n');
+  const source = [title, labels].filter(Boolean).join('\n');
+  const ticket_release_date = source ? readReleaseDate(source, now, eventDate) : null;
+
+  const soldOutTiers = (prices || []).filter((price) => price.sold_out).length;
+  const someTiersSoldOut = soldOutTiers > 0 && soldOutTiers < prices.length;
+  const found = CHANGE_PATTERNS.find(([, inTitle, inLabels]) =>
+    (title && inTitle.test(title)) || inLabels.some((pattern) => pattern.test(labels)))
+    || STATUS_PATTERNS.find(([status, pattern]) =>
+      pattern.test(source) && !(status === 'sold_out' && someTiersSoldOut));
+
+  let ticket_status = found ? found[0] : null;
+  if (soldOutTiers > 0 && soldOutTiers === prices.length && !['cancelled', 'postponed'].includes(ticket_status)) {
+    ticket_status = 'sold_out';
+  }
+  if (ticket_release_date && (ticket_status === null || ticket_status === 'not_on_sale' || ticket_status === 'on_sale')) {
+    ticket_status = ticket_release_date > isoDay(now) ? 'not_on_sale' : 'on_sale';
+  }
+
+  return { ticket_status, ticket_release_date };
+};
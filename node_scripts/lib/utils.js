@@ -0,0 +1,60 @@
+// lib/utils.js
+
+import crypto from 'crypto';
+
+// Helper function for delays
+export const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Utility function to generate a SHA256 hash of a given string.
+ * @param {string} str - The input string to hash.
+ * @returns {string} - The resulting SHA256 hash in hexadecimal format.
+ */
+export const generateHash = (str) => {
+  return crypto.createHash('sha256').update(str).digest('hex');
+};
+
+// Function to validate time format (HH:mm, optionally with seconds)
+export const isValidTime = (timeStr) => {
+  return /^([01]\d|2[0-3]):([0-5]\d)(:[0-5]\d)?$/.test(timeStr);
+};
+
+/**
+ * Make an absolute URL from a relative URL and a base URL.
+ * @param {string} url - The (possibly relative) URL.
+ * @param {string} base - The base URL to resolve against.
+ * @returns {string|null} - The absolute URL, or null if it cannot be resolved.
+ */
+export const makeAbsoluteUrl = (url, base) => {
+  try {
+    return new URL(url, base).href;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Runs an async function, retrying it with a fixed delay when it throws.
+ *
+ * @param {Function} fn - The function to run. Receives the zero-based attempt number.
+ * @param {Object} [options]
+ * @param {number} [options.retries=3] - Number of retries after the first attempt.
+ * @param {number} [options.delayMs=1000] - Delay between attempts in milliseconds.
+ * @param {Function} [options.onRetry] - Called with (error, attemptsLeft) before each retry.
+ * @returns {Promise<*>} - The value returned by fn.
+ */
+export const withRetries = async (fn, { retries = 3, delayMs = 1000, onRetry } = {}) => {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries) {
+        throw error;
+      }
+      if (onRetry) {
+        onRetry(error, retries - attempt);
+      }
+      await delay(delayMs);
+    }
+  }
+};
@@ -0,0 +1,56 @@
+// registry.js
+//
+// Every venue scraper, in the order scrape_all.js runs them. Adding a venue
+// means defining it with defineScraper and listing it here.
+
+import scrapeKyotoConcertHall from './kyoto_concert_hall.js';
+import scrapeRohmTheatre from './rohm_theatre.js';
+import scrapeKyotoKanze from './kyoto_kanze.js';
+import scrapeWaondo from './waondo.js';
+import scrapeKyotoGattaca from './kyoto_gattaca.js';
+import scrapeKakubarhythm from './kakubarhythm.js';
+import scrapeGrowly from './growly.js';
+import scrapeKyotoFanj from './kyoto_fanj.js';
+import scrapeFabCafe from './fabcafe.js';
+import scrapeKyotoArtCenter from './kyotoartcenter.js';
+import scrapeKyotoNationalMuseum from './kyoto_national_museum.js';
+
+export const scrapers = [
+  scrapeKyotoConcertHall,
+  scrapeRohmTheatre,
+  scrapeKyotoKanze,
+  scrapeWaondo,
+  scrapeKyotoGattaca,
+  scrapeKakubarhythm,
+  scrapeGrowly,
+  scrapeKyotoFanj,
+  scrapeFabCafe,
+  scrapeKyotoArtCenter,
+  scrapeKyotoNationalMuseum,
+];
+
+/**
+ * Looks up a scraper by its site name.
+ * @param {string} name - The site name (e.g., 'growly').
+ * @returns {Object|undefined}
+ */
+export const getScraper = (name) => scrapers.find((scraper) => scraper.name === name);
+
+/**
+ * Selects the scrapers to run.
+ * @param {Object} [options]
+ * @param {string[]} [options.only] - Run only these sites. All sites when empty.
+ * @param {string[]} [options.exclude] - Skip these sites.
+ * @returns {Object[]} - The selected scrapers, in registry order.
+ * @throws {Error} - If a name does not match any registered scraper.
+ */
+export const selectScrapers = ({ only = [], exclude = [] } = {}) => {
+  const unknown = [...only, ...exclude].filter((name) => !getScraper(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown scraper(s): ${unknown.join(', ')}. Use --list to see the available scrapers.`);
+  }
+
+  return scrapers.filter((scraper) =>
+    (only.length === 0 || only.includes(scraper.name)) && !exclude.includes(scraper.name)
+  );
+};
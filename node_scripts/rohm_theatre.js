@@ -1,264 +1,151 @@
 // rohm_theatre.js
 
-import puppeteer from 'puppeteer-extra';
-import StealthPlugin from 'puppeteer-extra-plugin-stealth';
-import { fileURLToPath } from 'url';
-import path from 'path';
-import axios from 'axios';
-import fs from 'fs';
-import { v4 as uuidv4 } from 'uuid';
+import { defineScraper, runIfMain } from './lib/scraper_runtime.js';
+import { parseDateTime } from './lib/dates.js';
+import { parsePrices } from './lib/prices.js';
+import { parseTicketStatus } from './lib/ticket_status.js';
 
-// Define __dirname for ES Modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const LISTING_URL = 'https://rohmtheatrekyoto.jp/en/program/season2024/';
 
-// Use the stealth plugin
-puppeteer.use(StealthPlugin());
-
-// Environment Variables (Optional)
-const BASE_URL = process.env.BASE_URL || 'http://localhost:8000';
-
-// Helper function for delay
-const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-
-// Helper function to parse dates in the "YYYY.MM.DD – MM.DD" format
-const parseDateRange = (dateText) => {
-  const match = dateText.match(/^(\d{4}\.\d{1,2}\.\d{1,2}) \([A-Z]+\)(?: – (\d{1,2}\.\d{1,2}) \([A-Z]+\))?$/);
-  if (match) {
-    const startDate = match[1].replace(/\./g, '-');
-    const endDate = match[2] ? `${match[1].slice(0, 5)}${match[2].replace(/\./g, '-')}` : startDate;
-    return [startDate, endDate];
-  }
-  return [null, null];
-};
+// Rohm Theatre images fall back to the shared placeholder rather than a per-site one
+const PLACEHOLDER_IMAGE = '/images/events/placeholder.jpg';
 
 /**
- * Downloads an image from the given URL and saves it locally.
- * @param {string} imageUrl - The URL of the image to download.
- * @param {string} site - The site identifier (e.g., 'rohm_theatre').
- * @param {number} retries - Number of retry attempts for downloading.
- * @returns {Promise<string>} - The relative URL of the saved image.
+ * Collects the upcoming programmes from the season page.
+ * @param {Object} context - The scraper runtime context.
+ * @returns {Promise<Array>} - Listing items with title, dates, image, detail link and status label.
  */
-const downloadImage = async (imageUrl, site, retries = 3) => {
-  try {
-    if (!imageUrl) {
-      console.warn('No image URL provided.');
-      return '/images/events/placeholder.jpg'; // Ensure this placeholder exists
-    }
-
-    // Ensure the image URL is absolute
-    const absoluteImageUrl = imageUrl.startsWith('http')
-      ? imageUrl
-      : `https://rohmtheatrekyoto.jp${imageUrl.startsWith('/') ? '' : '/'}${imageUrl.replace('../', '')}`;
+const scrapeListing = async ({ page, goto, logger, now }) => {
+  logger.info('Navigating to Rohm Theatre website...');
+  await goto(page, LISTING_URL);
+  logger.info('Page loaded.');
 
-    console.log(`Downloading image: ${absoluteImageUrl}`);
+  const eventElements = await page.$$('li.projects-item');
+  logger.info(`Found ${eventElements.length} event items.`);
 
-    const response = await axios.get(absoluteImageUrl, { responseType: 'stream' });
+  const items = [];
 
-    // Determine the file extension
-    let extension = path.extname(new URL(absoluteImageUrl).pathname);
-    if (!extension || extension === '.php') {
-      // Attempt to get extension from Content-Type header
-      const contentType = response.headers['content-type'];
-      if (contentType) {
-        const matches = /image\/(jpeg|png|gif|bmp)/.exec(contentType);
-        if (matches && matches[1]) {
-          extension = `.${matches[1]}`;
-        } else {
-          extension = '.jpg'; // Default extension
-        }
-      } else {
-        extension = '.jpg'; // Default extension
-      }
+  for (const eventElement of eventElements) {
+    const status = await eventElement.$eval('.status-box .status span', (el) => el.innerText.trim()).catch(() => null);
+    if (status && (status.toLowerCase() === 'ended' || status.toLowerCase() === 'on now')) {
+      logger.info(`Event status is "${status}", skipping...`);
+      continue;
     }
 
-    const filename = `${uuidv4()}${extension}`;
-    const filepath = path.join(__dirname, '..', 'public', 'images', 'events', site, filename); // Updated path
-
-    // Ensure the directory exists
-    fs.mkdirSync(path.dirname(filepath), { recursive: true });
-
-    const writer = fs.createWriteStream(filepath);
-    response.data.pipe(writer);
-
-    // Wait for the download to finish
-    await new Promise((resolve, reject) => {
-      writer.on('finish', resolve);
-      writer.on('error', reject);
-    });
-
-    // Return the relative URL to the image
-    const localImageUrl = `/images/events/${site}/${filename}`;
-    return localImageUrl;
-  } catch (error) {
-    if (retries > 0) {
-      console.warn(`Retrying download for image: ${imageUrl}. Attempts left: ${retries}`);
-      await delay(1000); // Wait before retrying
-      return downloadImage(imageUrl, site, retries - 1);
+    const eventDate = await eventElement.$eval('.date', (el) => el.innerText.trim()).catch(() => null);
+    if (!eventDate) {
+      logger.info('Event date is missing, skipping...');
+      continue;
     }
-    console.error(`Failed to download image after retries: ${imageUrl}. Error: ${error.message}`);
-    // Return path to a placeholder image
-    return '/images/events/placeholder.jpg'; // Ensure this placeholder exists
-  }
-};
-
-// Main scraping function for Rohm Theatre
-const scrapeRohmTheatre = async () => {
-  const browser = await puppeteer.launch({
-    headless: true,
-    slowMo: 250,
-    args: ['--no-sandbox', '--disable-setuid-sandbox'],
-  });
-
-  console.log('Browser launched.');
-  const page = await browser.newPage();
-  console.log('New page opened.');
-
-  try {
-    console.log('Navigating to Rohm Theatre website...');
-    await page.setUserAgent(
-      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko)'
-    );
-    await page.goto('https://rohmtheatrekyoto.jp/en/program/season2024/', {
-      waitUntil: 'networkidle0',
-      timeout: 60000,
-    });
-    console.log('Page loaded.');
-
-    const eventElements = await page.$$('li.projects-item');
-    console.log(`Found ${eventElements.length} event items.`);
-    const eventData = [];
 
-    for (const eventElement of eventElements) {
-      const status = await eventElement.$eval('.status-box .status span', el => el.innerText.trim()).catch(() => null);
-      if (status && (status.toLowerCase() === 'ended' || status.toLowerCase() === 'on now')) {
-        console.log(`Event status is "${status}", skipping...`);
-        continue;
-      }
-
-      const eventDate = await eventElement.$eval('.date', el => el.innerText.trim()).catch(() => null);
-      if (!eventDate || eventDate.toLowerCase().includes("details tba") || eventDate.toLowerCase().includes("year-round")) {
-        console.log(`Event date is "${eventDate}", invalid or missing, skipping...`);
-        continue;
-      }
-
-      const [date_start, date_end] = parseDateRange(eventDate);
-      if (!date_start) {
-        console.log(`Event date "${eventDate}" does not match the expected format, skipping...`);
-        continue;
-      }
-
-      const today = new Date();
-      if (new Date(date_end) < today) {
-        console.log(`Event date range "${dateDate}" has already ended, skipping...`);
-        continue;
-      }
-
-      const linkElement = await eventElement.$('a');
-      if (linkElement) {
-        try {
-          const eventLink = await linkElement.evaluate(el => el.href);
-          console.log(`Navigating to event detail page: ${eventLink}`);
-
-          const detailPage = await browser.newPage();
-          await detailPage.goto(eventLink, { waitUntil: 'domcontentloaded', timeout: 60000 });
-          console.log(`Navigated to event detail page: ${eventLink}`);
+    // "2024.12.07 (SAT) – 12.08 (SUN)"; "Details TBA" and "Year-round" have no date
+    const { date_start, date_end, tba } = parseDateTime(eventDate, { now: now() });
+    if (!date_start) {
+      logger.info(`Event date "${eventDate}" is ${tba ? 'still to be announced' : 'not a date'}, skipping...`);
+      continue;
+    }
 
-          await delay(3000); // Wait for dynamic content to load
+    if (new Date(date_end) < now()) {
+      logger.info(`Event date range "${eventDate}" has already ended, skipping...`);
+      continue;
+    }
 
-          const rawPriceText = await detailPage.evaluate(() => {
-            const priceHeader = [...document.querySelectorAll('h3')].find(
-              el => el.textContent.includes('Ticket Prices')
-            );
-            return priceHeader ? priceHeader.parentElement.innerText.trim() : 'No Ticket Prices found';
-          });
+    const eventLink = await eventElement.$eval('a', (el) => el.href).catch(() => null);
+    if (!eventLink) {
+      logger.info('No <a> element found for this event, skipping...');
+      continue;
+    }
 
-          console.log('Raw price text:', rawPriceText);
+    const title = await eventElement.$eval('.txt h3', (el) => el.innerText.trim()).catch(() => null);
+    const imageUrl = await eventElement.$eval('.pic img', (el) => el.src).catch(() => null);
 
-          const description = await detailPage.$eval('.txt', el => el.innerText.trim()).catch(() => null);
-          const title = await eventElement.$eval('.txt h3', el => el.innerText.trim()).catch(() => null);
-          const imageUrl = await eventElement.$eval('.pic img', el => el.src).catch(() => null);
-          const scheduleText = await detailPage.$eval('.post-detail-box2 p:nth-of-type(2)', el => el.innerHTML.trim()).catch(() => null);
-          const venue = await detailPage.$eval('.post-detail-box2 p:nth-of-type(3)', el => el.innerText.trim()).catch(() => 'Rohm Theatre');
+    items.push({ title, imageUrl, date_start, date_end, eventLink, status });
+  }
 
-          // Parse prices into structured format
-          const prices = [];
-          if (rawPriceText && rawPriceText !== 'No Ticket Prices found') {
-            const priceMatches = rawPriceText.match(/￥?([\d,]+)/g);
-            if (priceMatches) {
-              priceMatches.forEach((price, index) => {
-                prices.push({
-                  price_tier: `Tier ${index + 1}`,
-                  amount: parseInt(price.replace(/￥|,/g, ''), 10),
-                  currency: 'JPY'
-                });
-              });
-            }
-          }
+  return items;
+};
 
-          // Download the image and get the local URL
-          const localImageUrl = imageUrl && imageUrl !== 'No image available'
-            ? await downloadImage(imageUrl, 'rohm_theatre')
-            : '/images/events/placeholder.jpg'; // Ensure this placeholder exists
+/**
+ * Visits a programme page for the description, schedule, venue and ticket prices.
+ * @param {Object} context - The scraper runtime context.
+ * @param {Object} item - The listing item.
+ * @returns {Promise<Object>} - The event.
+ */
+const scrapeDetail = ({ withPage, goto, waitForSelector, downloadImage, logger, now }, item) => withPage(async (detailPage) => {
+  const { title, imageUrl, date_start, date_end, eventLink, status } = item;
 
-          const eventInfo = {
-            title: title || 'No title available',
-            date_start,
-            date_end,
-            venue,
-            organization: 'Rohm Theatre',
-            image_url: localImageUrl,
-            schedule: [
-              {
-                date: date_start,
-                time_start: null,
-                time_end: null,
-                special_notes: scheduleText
-              }
-            ],
-            prices,
-            description: description || 'No description available',
-            event_link: eventLink,
-            raw_price_text: rawPriceText,
-            categories: [], // Add logic for category assignment if needed
-            tags: [], // Add logic for tag assignment if needed
-            ended: false,
-            free: prices.length === 0, // Mark as free if no price data is found
-            site: 'rohm_theatre'
-          };
+  logger.info(`Navigating to event detail page: ${eventLink}`);
+  await goto(detailPage, eventLink, { waitUntil: 'domcontentloaded' });
 
-          eventData.push(eventInfo);
-          console.log('Extracted structured event data:', eventInfo);
+  await waitForSelector(detailPage, '.post-detail-box2', { timeout: 10000 });
 
-          await detailPage.close();
-          console.log('Detail page closed.');
-        } catch (detailError) {
-          console.error('Error navigating to event detail page:', detailError);
-        }
-      } else {
-        console.log('No <a> element found for this event, skipping...');
-      }
-    }
+  const rawPriceText = await detailPage.evaluate(() => {
+    const priceHeader = [...document.querySelectorAll('h3')].find(
+      (el) => el.textContent.includes('Ticket Prices')
+    );
+    return priceHeader ? priceHeader.parentElement.innerText.trim() : 'No Ticket Prices found';
+  });
 
-    console.log('Final cleaned event data:', eventData);
-    await browser.close();
-    console.log('Browser closed.');
-    return eventData.map(event => ({ ...event, site: 'rohm_theatre' }));
-  } catch (error) {
-    console.error('Error during scraping:', error);
-    await browser.close();
-    console.log('Browser closed due to error.');
-    return [];
-  }
-};
+  const description = await detailPage.$eval('.txt', (el) => el.innerText.trim()).catch(() => null);
+  const scheduleText = await detailPage.$eval('.post-detail-box2 p:nth-of-type(2)', (el) => el.innerHTML.trim()).catch(() => null);
+  const venue = await detailPage.$eval('.post-detail-box2 p:nth-of-type(3)', (el) => el.innerText.trim()).catch(() => 'Rohm Theatre');
+
+  // "S seats ￥9,000", "Students ￥3,000", one tier per line under the header
+  const prices = parsePrices(rawPriceText);
+
+  const eventInfo = {
+    title: title || 'No title available',
+    date_start,
+    date_end,
+    venue,
+    organization: 'Rohm Theatre',
+    image_url: await downloadImage(imageUrl, { placeholder: PLACEHOLDER_IMAGE }),
+    schedule: [
+      {
+        date: date_start,
+        time_start: null,
+        time_end: null,
+        special_notes: scheduleText,
+      },
+    ],
+    prices,
+    description: description || 'No description available',
+    event_link: eventLink,
+    raw_price_text: rawPriceText,
+    // The listing's status label ("Upcoming", "Sold out") and the ticket section
+    ...parseTicketStatus([status, rawPriceText], { title, prices, eventDate: date_start, now: now() }),
+    categories: [],
+    tags: [],
+    ended: false,
+    free: prices.length === 0, // Mark as free if no price data is found
+    site: 'rohm_theatre',
+  };
+
+  logger.info(`Extracted structured event data: ${JSON.stringify(eventInfo)}`);
+  return eventInfo;
+});
+
+const scrapeRohmTheatre = defineScraper({
+  name: 'rohm_theatre',
+  displayName: 'ROHM Theatre Kyoto',
+  venue: 'ROHM Theatre Kyoto',
+  schedule: '0 4 * * 1', // Weekly; the season programme rarely changes
+  baseUrl: 'https://rohmtheatrekyoto.jp',
+  userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko)',
+  launchOptions: { slowMo: 250 },
+  rateLimit: { minGapMs: 3000, maxConcurrent: 1 },
+  health: [
+    {
+      url: LISTING_URL,
+      selectors: [
+        { selector: 'li.projects-item', min: 1 },
+      ],
+    },
+  ],
+  scrapeListing,
+  scrapeDetail,
+});
+
+runIfMain(import.meta.url, scrapeRohmTheatre);
 
-// Export the scraping function
 export default scrapeRohmTheatre;
-
-// Use this block only if you need to run the script directly
-if (process.argv[1] === fileURLToPath(import.meta.url)) {
-  (async () => {
-    const data = await scrapeRohmTheatre();
-    console.log(JSON.stringify(data, null, 2));
-  })();
-}
@@ -3,17 +3,16 @@ import axios from 'axios';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
-import scrapeKyotoConcertHall from './kyoto_concert_hall.js';
-import scrapeRohmTheatre from './rohm_theatre.js'; // Import the Rohm Theatre scraper
-import scrapeKyotoKanze from './kyoto_kanze.js';
-import scrapeWaondo from './waondo.js';
-import scrapeKyotoGattaca from './kyoto_gattaca.js';
-import scrapeKakubarhythm from './kakubarhythm.js';
-import scrapeGrowly from './growly.js';
-import scrapeKyotoFanj from './kyoto_fanj.js';
-import scrapeFabCafe from './fabcafe.js';
-import scrapeKyotoArtCenter from './kyotoartcenter.js';
-import scrapeKyotoNationalMuseum from './kyoto_national_museum.js';
+import { parseArgs } from 'util';
+import pLimit from 'p-limit';
+import { createBrowserPool } from './lib/browser_pool.js';
+import { robotsChecker } from './lib/robots.js';
+import { validateEvents } from './lib/event_schema.js';
+import { RECORDINGS_DIR } from './lib/recording.js';
+import { SNAPSHOTS_DIR, diffEvents, loadSnapshot, saveSnapshot } from './lib/snapshots.js';
+import { createLogger, setRunId } from './lib/logger.js';
+import { REPORTS_DIR, createRunReport, summarizeDiff, writeRunReport } from './lib/run_report.js';
+import { scrapers as registeredScrapers, selectScrapers } from './registry.js';
 
 // Handle __dirname for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -22,95 +21,429 @@ const __dirname = path.dirname(__filename);
 dotenv.config({ path: path.resolve(__dirname, '../.env') });
 
 
-// Log the value of process.env.APP_URL
-console.log('Current Working Directory:', process.cwd());
-console.log('process.env.APP_URL:', process.env.APP_URL);
-
 // Define the backend URL using APP_URL from .env
 const backendUrl = process.env.APP_URL;
 
+// How many sites are scraped at the same time unless --concurrency is given
+const DEFAULT_CONCURRENCY = parseInt(process.env.SCRAPE_CONCURRENCY, 10) || 3;
+
+const USAGE = `Usage: node scrape_all.js [--only a,b] [--exclude c] [--concurrency n] [--record | --replay | --resume] [--snapshots dir] [--reports dir] [--health] [--list]
+
+  --only <names>      Run only these scrapers (comma-separated)
+  --exclude <names>   Skip these scrapers (comma-separated)
+  --concurrency <n>   Sites scraped at the same time (default: SCRAPE_CONCURRENCY or 3)
+  --record            Save every visited page so the run can be replayed
+  --replay            Scrape the recorded pages offline; nothing is sent to the backend
+  --resume            Carry on from where each site's last incomplete run stopped, skipping the listing
+                      and detail pages it got through (checkpoints are kept in SCRAPE_CHECKPOINTS_DIR or
+                      node_scripts/checkpoints)
+  --recordings <dir>  Where recordings are kept (default: SCRAPE_RECORDINGS_DIR or node_scripts/recordings)
+  --snapshots <dir>   Where each site's last events are kept for diffing (default: SCRAPE_SNAPSHOTS_DIR or node_scripts/snapshots)
+  --reports <dir>     Where the run report is written (default: SCRAPE_REPORTS_DIR or node_scripts/reports)
+  --health            Only check each scraper's critical selectors (live, or the recordings with --replay);
+                      exits with 1 when the layout of a site has drifted
+  --list              List the registered scrapers and exit
+  --help              Show this message`;
 
+// Splits a comma-separated option value into trimmed, non-empty names
+const splitNames = (value) => (value || '').split(',').map((name) => name.trim()).filter(Boolean);
 
-const useMockData = false; // Set to true for mock data testing
-
-// Array of scraper functions and their identifiers
-const scrapers = [
-      // { name: 'kyoto_concert_hall', func: scrapeKyotoConcertHall },
-      // { name: 'rohm_theatre', func: scrapeRohmTheatre },
-      // { name: 'kyoto_kanze', func: scrapeKyotoKanze },
-      // { name: 'waondo', func: scrapeWaondo },
-      // { name: 'kyoto_gattaca', func: scrapeKyotoGattaca },
-      // { name: 'kakubarhythm', func: scrapeKakubarhythm},
-      // { name: 'growly', func: scrapeGrowly},
-      // { name: 'kyoto_fanj', func: scrapeKyotoFanj},
-       { name: 'fabcafe', func: scrapeFabCafe},
-      // {name: 'kyotoartcenter', func: scrapeKyotoArtCenter},
-      // {name: 'kyoto_national_museum', func: scrapeKyotoNationalMuseum},
-
-];
-
-const scrapeAll = async () => {
-  if (useMockData) {
-    console.log('Using mock data...');
-    try {
-      const mockDataPath = path.join(__dirname, 'mockData.json');
-      const rawData = fs.readFileSync(mockDataPath, 'utf-8');
-      const combinedData = JSON.parse(rawData);
+/**
+ * Parses the scrape_all.js command line.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {{only: string[], exclude: string[], concurrency: number, mode: string, resume: boolean, recordingsDir: string, snapshotsDir: string, reportsDir: string, health: boolean, list: boolean, help: boolean}}
+ * @throws {Error} - On unknown options, a concurrency that is not a positive integer, --record with --replay, or --resume with either.
+ */
+export const parseCliArgs = (argv) => {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      only: { type: 'string', multiple: true },
+      exclude: { type: 'string', multiple: true },
+      concurrency: { type: 'string' },
+      record: { type: 'boolean', default: false },
+      replay: { type: 'boolean', default: false },
+      resume: { type: 'boolean', default: false },
+      recordings: { type: 'string' },
+      snapshots: { type: 'string' },
+      reports: { type: 'string' },
+      health: { type: 'boolean', default: false },
+      list: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  const concurrency = values.concurrency === undefined ? DEFAULT_CONCURRENCY : Number(values.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`--concurrency must be a positive integer, got '${values.concurrency}'.`);
+  }
+  if (values.record && values.replay) {
+    throw new Error('--record and --replay cannot be used together.');
+  }
+  if (values.resume && (values.record || values.replay)) {
+    throw new Error('--resume only applies to live runs; it cannot be used with --record or --replay.');
+  }
+
+  return {
+    only: (values.only || []).flatMap(splitNames),
+    exclude: (values.exclude || []).flatMap(splitNames),
+    concurrency,
+    mode: values.record ? 'record' : values.replay ? 'replay' : 'live',
+    resume: values.resume,
+    recordingsDir: path.resolve(values.recordings || RECORDINGS_DIR),
+    snapshotsDir: path.resolve(values.snapshots || SNAPSHOTS_DIR),
+    reportsDir: path.resolve(values.reports || REPORTS_DIR),
+    health: values.health,
+    list: values.list,
+    help: values.help,
+  };
+};
+
+/**
+ * Prints the registered scrapers with their venue and default schedule.
+ * @param {Object[]} scrapers
+ */
+const printScrapers = (scrapers) => {
+  const rows = scrapers.map((scraper) => [scraper.name, scraper.displayName, scraper.venue || '-', scraper.schedule]);
+  const header = ['NAME', 'DISPLAY NAME', 'VENUE', 'SCHEDULE'];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map((row) => row[column].length)));
+  for (const row of [header, ...rows]) {
+    console.log(row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd());
+  }
+};
+
+/**
+ * Logs the URLs that were not visited because robots.txt disallows them.
+ * @param {winston.Logger} logger
+ * @param {Array<{site: string, url: string, rule: (string|null)}>} skipped
+ */
+const logRobotsReport = (logger, skipped) => {
+  if (skipped.length === 0) {
+    logger.info('robots.txt: no URLs skipped.');
+    return;
+  }
+
+  logger.warn(`robots.txt: skipped ${skipped.length} URL(s).`);
+  for (const { site, url, rule } of skipped) {
+    logger.warn(`Skipped ${url}${rule ? ` (${rule})` : ''}`, { site, eventUrl: url, rule });
+  }
+};
+
+/**
+ * Logs the events that failed schema validation, one entry per event with its failing fields.
+ * @param {winston.Logger} logger - The site's logger.
+ * @param {Array} invalid - The invalid entries from validateEvents.
+ */
+const logInvalidEvents = (logger, invalid) => {
+  logger.warn(`${invalid.length} invalid event(s) were not sent.`);
+  for (const { index, title, errors } of invalid) {
+    const reasons = errors.map(({ field, message }) => `${field}: ${message}`).join('; ');
+    logger.warn(`Invalid event #${index} ${title || '(untitled)'}: ${reasons}`, { index, title, errors });
+  }
+};
+
+/**
+ * Logs the events whose year was not on the page and had to be inferred, when
+ * the inferred date is far enough ahead that it may really be a past event.
+ * @param {winston.Logger} logger - The site's logger.
+ * @param {Array} events - Scraped events flagged with date_ambiguous.
+ */
+const logAmbiguousDates = (logger, events) => {
+  logger.warn(`${events.length} event(s) have an inferred year that may be wrong.`);
+  for (const { title, date_start, event_link } of events) {
+    logger.warn(`Inferred year: ${title || '(untitled)'} on ${date_start}`, { eventUrl: event_link, date_start });
+  }
+};
+
+/**
+ * Logs how a site's events differ from its previous run, naming the events
+ * that may have been cancelled.
+ * @param {winston.Logger} logger - The site's logger.
+ * @param {Object} diff - The result of diffEvents.
+ */
+const logDiff = (logger, { added, removed, changed, kept, suspect, incomplete }) => {
+  logger.info(`${added.length} added, ${removed.length} removed, ${changed.length} changed since the last run.`);
+  if (incomplete) {
+    logger.warn('The listing ran into errors; upcoming events missing from it are not flagged as cancelled.');
+  }
+  if (kept.length > 0) {
+    logger.warn(`${kept.length} event(s) this run could not read are kept from the last run, not flagged.`);
+  }
+  if (suspect) {
+    logger.warn('Too many upcoming events vanished at once; not flagging them as cancelled. Check the scraper.');
+  }
+  for (const { event } of removed.filter(({ possibly_cancelled }) => possibly_cancelled)) {
+    logger.warn(`Possibly cancelled (no longer listed): ${event.title} on ${event.date_start}`, { eventUrl: event.event_link });
+  }
+  for (const { after, fields, flag } of changed) {
+    const label = flag ? `Now ${flag}` : 'Changed';
+    logger.info(`${label}: ${after.title} on ${after.date_start} (${fields.join(', ')})`, { eventUrl: after.event_link, fields, flag });
+  }
+};
+
+/**
+ * Runs one scraper and posts its valid events to the backend, along with the
+ * upcoming events that vanished since the site's last snapshot. A replay writes
+ * them next to the recording instead and leaves the snapshot alone. Errors are
+ * logged, not thrown, so one failing site never stops the others; either way the
+ * outcome goes into the site's entry of the run report.
+ * @param {Object} scraper
+ * @param {Object} options
+ * @param {Object} options.pool - The shared browser pool.
+ * @param {string} options.mode - 'live', 'record' or 'replay'.
+ * @param {boolean} options.resume - Carry on from the site's last checkpoint.
+ * @param {string} options.recordingsDir - Where recordings are kept.
+ * @param {string} options.snapshotsDir - Where the sites' last events are kept.
+ * @param {Object} options.runReport - The run report from createRunReport.
+ * @param {winston.Logger} options.logger - The run's logger.
+ */
+const scrapeSite = async (scraper, { pool, mode, resume, recordingsDir, snapshotsDir, runReport, logger }) => {
+  const siteLogger = (phase) => logger.child({ site: scraper.name, phase });
+  siteLogger('scrape').info(`Scraping site: ${scraper.name}`);
+  const entry = runReport.site(scraper.name);
+  try {
+    const scraped = await scraper.run({ pool, mode, resume, recordingsDir, stats: entry });
+    const { valid: siteData, invalid } = validateEvents(scraped);
+    entry.eventsFound = scraped.length;
+    entry.eventsValid = siteData.length;
+    entry.rejected = invalid;
+    if (invalid.length > 0) {
+      logInvalidEvents(siteLogger('validate'), invalid);
+    }
+    // Every venue always lists something, so an empty run means the scraper is broken
+    if (siteData.length === 0) {
+      const alert = scraped.length > 0
+        ? `None of the ${scraped.length} scraped event(s) passed validation`
+        : 'No events scraped';
+      entry.alerts.push(alert);
+      siteLogger('validate').error(`ALERT: ${alert} for ${scraper.name}`, { alert: true });
+    }
+    const ambiguous = scraped.filter((event) => event.date_ambiguous);
+    entry.ambiguousDates = ambiguous.map(({ title, date_start }) => ({ title, date_start }));
+    if (ambiguous.length > 0) {
+      logAmbiguousDates(siteLogger('validate'), ambiguous);
+    }
+
+    // An empty run says more about the scraper than the venue, so it is not diffed. Nor is
+    // one that lost a detail page it cannot name: any missing event might be that one.
+    const unreachable = entry.failedItems.map(({ url }) => url);
+    const unnamedFailures = unreachable.includes(null);
+    if (unnamedFailures) {
+      siteLogger('diff').warn('A detail page without a URL failed; not comparing this run with the last.');
+    }
+    const previous = mode !== 'replay' && siteData.length > 0 && !unnamedFailures
+      ? loadSnapshot(scraper.name, { dir: snapshotsDir })
+      : null;
+    const incomplete = entry.listingErrors.length > 0;
+    const diff = previous ? diffEvents(previous, siteData, { unreachable, incomplete }) : null;
+    entry.diff = summarizeDiff(diff);
+    if (diff) {
+      logDiff(siteLogger('diff'), diff);
+    }
+
+    if (mode === 'replay') {
+      const outputPath = path.join(recordingsDir, scraper.name, 'replayed_events.json');
+      fs.writeFileSync(outputPath, JSON.stringify(siteData, null, 2), 'utf-8');
+      siteLogger('replay').info(`Replayed ${siteData.length} valid event(s) for ${scraper.name}, written to ${outputPath}`);
+    } else if (siteData.length > 0) {
       const payload = {
-        site: 'mock_site',
-        events: combinedData,
+        site: scraper.name,
+        events: siteData,
+        possibly_cancelled: (diff?.removed || [])
+          .filter(({ possibly_cancelled }) => possibly_cancelled)
+          .map(({ event }) => ({ title: event.title, date_start: event.date_start, event_link: event.event_link })),
       };
-      console.log('Payload:', JSON.stringify(payload, null, 2));
+      const postLogger = siteLogger('post');
+      postLogger.debug(`Payload for ${scraper.name}`, { payload });
 
-      // Send mock data to the backend
+      // Send the site's data to the backend
       const response = await axios.post(`${backendUrl}/api/scrape`, payload, {
         headers: { 'Content-Type': 'application/json' },
       });
-      console.log('Mock data successfully sent to backend:', response.data);
-    } catch (error) {
-      console.error('Failed to load or send mock data:', error);
+      entry.backend = { status: response.status, error: null };
+      postLogger.info(`Data for ${scraper.name} successfully sent to backend.`, { status: response.status, response: response.data });
+
+      // Only a run the backend has seen becomes the baseline for the next diff. Events it could
+      // not read stay in, so the next run still compares them; a run that cannot tell leaves the baseline be
+      if (!unnamedFailures) {
+        saveSnapshot(scraper.name, [...siteData, ...(diff?.kept || [])], diff, { dir: snapshotsDir });
+      }
+    }
+  } catch (error) {
+    entry.error = error.message;
+    if (error.response) {
+      entry.backend = { status: error.response.status, error: JSON.stringify(error.response.data) };
+      siteLogger('post').error(`Error sending data for ${scraper.name}: ${error.message}`, {
+        status: error.response.status,
+        response: error.response.data,
+      });
+    } else {
+      siteLogger('scrape').error(`Failed to scrape or send data for ${scraper.name}: ${error.message}`);
     }
-    return;
+  } finally {
+    runReport.finishSite(entry);
   }
+};
 
-  console.log('Running real scraping...');
-
-  for (const scraper of scrapers) {
-    console.log(`Scraping site: ${scraper.name}`);
-    try {
-      const siteData = await scraper.func();
-      if (siteData.length > 0) {
-        const payload = {
-          site: scraper.name,
-          events: siteData,
-        };
-        console.log(`Payload for ${scraper.name}:`, JSON.stringify(payload, null, 2));
-
-        // Send the site's data to the backend
-        const response = await axios.post(`${backendUrl}/api/scrape`, payload, {
-          headers: { 'Content-Type': 'application/json' },
-        });
-        console.log(`Data for ${scraper.name} successfully sent to backend:`, response.data);
-      } else {
-        console.log(`No data scraped for site: ${scraper.name}`);
-      }
-    } catch (error) {
-      if (error.response) {
-        console.error(`Error sending data for ${scraper.name}:`, {
-          status: error.response.status,
-          data: error.response.data,
-        });
-      } else {
-        console.error(`Failed to scrape or send data for ${scraper.name}:`, error.message);
+/**
+ * Runs the given scrapers, up to `concurrency` sites at a time, and posts each
+ * site's events to the backend as soon as that site finishes. The scrapers share
+ * one browser pool; each site still visits its own pages one at a time. The run
+ * ends by writing its report.
+ * @param {Object[]} [scrapers] - Scrapers to run. Defaults to every registered scraper.
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Maximum number of sites scraped at once.
+ * @param {string} [options.mode] - 'live' (default), 'record' or 'replay'.
+ * @param {boolean} [options.resume] - Carry on from each site's last checkpoint.
+ * @param {string} [options.recordingsDir] - Where recordings are kept.
+ * @param {string} [options.snapshotsDir] - Where the sites' last events are kept.
+ * @param {string} [options.reportsDir] - Where the run report is written.
+ * @returns {Promise<Object>} - The run report.
+ */
+const scrapeAll = async (scrapers = registeredScrapers, {
+  concurrency = DEFAULT_CONCURRENCY,
+  mode = 'live',
+  resume = false,
+  recordingsDir = RECORDINGS_DIR,
+  snapshotsDir = SNAPSHOTS_DIR,
+  reportsDir = REPORTS_DIR,
+} = {}) => {
+  // Every entry of this run, scrape_all's and the scrapers', carries the id of its report
+  const runReport = createRunReport({ mode });
+  setRunId(runReport.report.runId);
+  const logger = createLogger('scrape_all', { filename: 'scrape_all.log' });
+  const startLogger = logger.child({ phase: 'start' });
+
+  startLogger.info(mode === 'replay' ? 'Replaying recorded pages...' : 'Running real scraping...');
+  startLogger.info(`process.env.APP_URL: ${backendUrl}`);
+  startLogger.info(`Scrapers: ${scrapers.map((scraper) => scraper.name).join(', ')} (concurrency ${concurrency})`);
+  if (mode === 'record') {
+    startLogger.info(`Recording visited pages to ${recordingsDir}`);
+  }
+  if (resume) {
+    startLogger.info('Resuming from the checkpoints of incomplete runs.');
+  }
+
+  const pool = createBrowserPool();
+  const limit = pLimit(concurrency);
+  try {
+    await Promise.all(scrapers.map((scraper) => limit(() => scrapeSite(scraper, {
+      pool,
+      mode,
+      resume,
+      recordingsDir,
+      snapshotsDir,
+      runReport,
+      logger,
+    }))));
+  } finally {
+    await pool.close();
+  }
+
+  const reportLogger = logger.child({ phase: 'report' });
+  logRobotsReport(reportLogger, robotsChecker.skipped);
+
+  const report = runReport.finish({ robotsSkipped: robotsChecker.skipped });
+  const { html } = writeRunReport(report, { dir: reportsDir });
+  reportLogger.info(`Run report written to ${html}`);
+
+  reportLogger.info('All scraping tasks completed.');
+  return report;
+};
+
+/**
+ * Prints the result of every health check, one line per selector.
+ * @param {Array<{site: string, url: string, selector: string, min: number, count: number, ok: boolean, error: (string|null)}>} results
+ */
+const printHealth = (results) => {
+  const rows = results.map(({ site, url, selector, min, count, ok, error }) =>
+    [ok ? 'OK' : 'DRIFT', site, selector, `${count}/${min}`, error ? `${url} (${error})` : url]);
+  const header = ['STATUS', 'SITE', 'SELECTOR', 'FOUND/MIN', 'URL'];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map((row) => row[column].length)));
+  for (const row of [header, ...rows]) {
+    console.log(row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd());
+  }
+};
+
+/**
+ * Checks the critical selectors of the given scrapers, up to `concurrency`
+ * sites at a time, without scraping or sending anything.
+ * @param {Object[]} [scrapers] - Scrapers to check. Defaults to every registered scraper.
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Maximum number of sites checked at once.
+ * @param {string} [options.mode] - 'replay' checks the recordings; anything else the live sites.
+ * @param {string} [options.recordingsDir] - Where recordings are kept.
+ * @returns {Promise<{healthy: boolean, results: Array}>} - healthy is false when any selector drifted.
+ */
+export const checkAll = async (scrapers = registeredScrapers, {
+  concurrency = DEFAULT_CONCURRENCY,
+  mode = 'live',
+  recordingsDir = RECORDINGS_DIR,
+} = {}) => {
+  const logger = createLogger('scrape_all', { filename: 'scrape_all.log' }).child({ phase: 'health' });
+  const pool = mode === 'replay' ? null : createBrowserPool();
+  const limit = pLimit(concurrency);
+  let results;
+  try {
+    results = (await Promise.all(scrapers.map((scraper) => limit(async () => {
+      try {
+        const siteResults = await scraper.checkHealth({ pool, mode, recordingsDir });
+        return siteResults.map((result) => ({ site: scraper.name, ...result }));
+      } catch (error) {
+        logger.error(`Health check of ${scraper.name} failed: ${error.message}`, { site: scraper.name });
+        return [{ site: scraper.name, url: '-', selector: '-', min: 1, count: 0, ok: false, error: error.message }];
       }
-      continue; // Continue to the next scraper
-    }
+    })))).flat();
+  } finally {
+    await pool?.close();
   }
 
-  console.log('All scraping tasks completed.');
+  const drifted = results.filter(({ ok }) => !ok);
+  for (const { site, url, selector, min, count } of drifted) {
+    logger.error(`ALERT: ${selector} matched ${count} element(s) on ${url}, expected at least ${min}`, { site, eventUrl: url, alert: true });
+  }
+  return { healthy: drifted.length === 0, results };
 };
 
 // Run the script directly
 if (process.argv[1] === __filename) {
-  scrapeAll();
-}
\ No newline at end of file
+  let options;
+  let selected;
+  try {
+    options = parseCliArgs(process.argv.slice(2));
+    selected = selectScrapers(options);
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+  } else if (options.list) {
+    printScrapers(selected);
+  } else if (options.health) {
+    checkAll(selected, {
+      concurrency: options.concurrency,
+      mode: options.mode,
+      recordingsDir: options.recordingsDir,
+    }).then(({ healthy, results }) => {
+      printHealth(results);
+      process.exitCode = healthy ? 0 : 1;
+    });
+  } else {
+    scrapeAll(selected, {
+      concurrency: options.concurrency,
+      mode: options.mode,
+      resume: options.resume,
+      recordingsDir: options.recordingsDir,
+      snapshotsDir: options.snapshotsDir,
+      reportsDir: options.reportsDir,
+    }).then((report) => {
+      // A site that failed or raised an alert fails the run, so cron and CI notice
+      process.exitCode = report.sites.some(({ status }) => status === 'failed') ? 1 : 0;
+    });
+  }
+}
+
+export default scrapeAll;
@@ -0,0 +1,80 @@
+// tests/browser_pool.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowserPool } from '../lib/browser_pool.js';
+
+// Launches fake browsers that count their contexts and whether they were closed
+const fakeLaunch = () => {
+  const launched = [];
+  const launch = async (launchOptions) => {
+    const browser = {
+      launchOptions,
+      contexts: 0,
+      closed: false,
+      createBrowserContext: async () => {
+        browser.contexts += 1;
+        return { browser, close: async () => {} };
+      },
+      close: async () => {
+        browser.closed = true;
+      },
+    };
+    launched.push(browser);
+    return browser;
+  };
+  return { launch, launched };
+};
+
+test('scrapers with the same launch options share a browser, each in its own context', async () => {
+  const { launch, launched } = fakeLaunch();
+  const pool = createBrowserPool({ launch });
+
+  const [first, second] = await Promise.all([pool.acquire(), pool.acquire({})]);
+  const third = await pool.acquire();
+
+  assert.equal(launched.length, 1);
+  assert.notEqual(first, second);
+  assert.equal(first.browser, third.browser);
+  assert.equal(launched[0].contexts, 3);
+});
+
+test('distinct launch options get distinct browsers, and close() closes all of them', async () => {
+  const { launch, launched } = fakeLaunch();
+  const pool = createBrowserPool({ launch });
+
+  const plain = await pool.acquire();
+  const slow = await pool.acquire({ slowMo: 50 });
+  await pool.acquire({ slowMo: 50 });
+
+  assert.equal(launched.length, 2);
+  assert.notEqual(plain.browser, slow.browser);
+  assert.deepEqual(slow.browser.launchOptions, { slowMo: 50 });
+
+  await pool.close();
+  assert.deepEqual(launched.map(({ closed }) => closed), [true, true]);
+
+  // A pool used after closing launches afresh
+  await pool.acquire();
+  assert.equal(launched.length, 3);
+});
+
+test('a failed launch is not kept, so the next scraper tries again', async () => {
+  let attempts = 0;
+  const { launch, launched } = fakeLaunch();
+  const pool = createBrowserPool({
+    launch: async (options) => {
+      attempts += 1;
+      if (attempts === 1) {
+        throw new Error('Failed to launch the browser process');
+      }
+      return launch(options);
+    },
+  });
+
+  await assert.rejects(pool.acquire(), /Failed to launch/);
+  await pool.acquire();
+  assert.equal(launched.length, 1);
+  await pool.close();
+  assert.equal(launched[0].closed, true);
+});
@@ -0,0 +1,197 @@
+// tests/checkpoints.test.js
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { openCheckpoint } from '../lib/checkpoints.js';
+import { defineScraper } from '../lib/scraper_runtime.js';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoints-'));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {} };
+
+// A browser pool whose pages are never navigated: the scrapers below only read the checkpoint
+const fakePool = {
+  acquire: async () => ({
+    newPage: async () => ({
+      on: () => {},
+      setUserAgent: async () => {},
+      close: async () => {},
+      url: () => 'about:blank',
+    }),
+    close: async () => {},
+  }),
+};
+
+const event = (title) => ({ title, image_url: '/images/store/ab/ab12.jpg' });
+
+const venueScraper = (definition) => {
+  const scraper = defineScraper({
+    name: 'venue',
+    health: [{ url: 'https://venue.example/schedule/', selectors: [{ selector: 'li.event' }] }],
+    ...definition,
+  });
+  scraper.logger.silent = true;
+  return scraper;
+};
+
+test('a resumed checkpoint holds the steps, listing and detail pages saved before', () => {
+  const dir = path.join(root, 'lib');
+  const first = openCheckpoint('venue', { dir });
+  const items = [{ detailUrl: 'https://venue.example/1' }, { detailUrl: 'https://venue.example/2' }];
+  first.saveStep('month:2024-11', [{ title: 'First' }]);
+  first.saveItems(items);
+  first.saveDetail(0, event('First'));
+  first.saveDetail(1, null);
+  items[0].detailUrl = 'changed by the scraper';
+
+  const resumed = openCheckpoint('venue', { dir, resume: true, logger: silentLogger });
+  assert.notEqual(resumed.resumedFrom, null);
+  assert.deepEqual(resumed.step('month:2024-11'), [{ title: 'First' }]);
+  assert.equal(resumed.items()[0].detailUrl, 'https://venue.example/1');
+  assert.deepEqual([resumed.hasDetail(0), resumed.hasDetail(1), resumed.hasDetail(2)], [true, true, false]);
+  assert.equal(resumed.detail(1), null);
+  assert.equal(resumed.detailsDone(), 2);
+
+  resumed.clear();
+  assert.equal(fs.existsSync(resumed.file), false);
+});
+
+test('a run that does not resume, or a stale checkpoint, starts from the beginning', () => {
+  const dir = path.join(root, 'fresh');
+  openCheckpoint('venue', { dir }).saveItems([{ title: 'First' }]);
+
+  const stale = openCheckpoint('venue', {
+    dir,
+    resume: true,
+    now: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000),
+    logger: silentLogger,
+  });
+  assert.equal(stale.resumedFrom, null);
+  assert.equal(stale.items(), null);
+
+  const fresh = openCheckpoint('venue', { dir });
+  assert.equal(fresh.items(), null);
+  assert.equal(fs.existsSync(fresh.file), false);
+});
+
+test('runScraper saves its progress and removes the checkpoint once it completes', async () => {
+  const dir = path.join(root, 'run');
+  let saved = null;
+  const scraper = venueScraper({
+    scrapeListing: async () => ['https://venue.example/1', 'https://venue.example/2'],
+    scrapeDetail: async (context, url, index) => {
+      saved = JSON.parse(fs.readFileSync(path.join(dir, 'venue.json'), 'utf-8'));
+      return event(`Event ${index + 1}`);
+    },
+  });
+
+  const events = await scraper.run({ pool: fakePool, mode: 'live', checkpointsDir: dir });
+
+  assert.deepEqual(events.map(({ title }) => title), ['Event 1', 'Event 2']);
+  assert.deepEqual(saved.items, ['https://venue.example/1', 'https://venue.example/2']);
+  assert.deepEqual(Object.keys(saved.details), ['0']);
+  assert.equal(fs.existsSync(path.join(dir, 'venue.json')), false);
+});
+
+test('a resumed run skips the listing and the detail pages done before', async () => {
+  const dir = path.join(root, 'resume');
+  const crashed = openCheckpoint('venue', { dir });
+  crashed.saveItems(['https://venue.example/1', 'https://venue.example/2', 'https://venue.example/3']);
+  crashed.saveDetail(0, event('Event 1'));
+  crashed.saveDetail(1, null);
+
+  const visited = [];
+  const scraper = venueScraper({
+    scrapeListing: async () => assert.fail('the listing should come from the checkpoint'),
+    scrapeDetail: async (context, url, index) => {
+      visited.push(url);
+      return event(`Event ${index + 1}`);
+    },
+  });
+
+  const events = await scraper.run({ pool: fakePool, mode: 'live', checkpointsDir: dir, resume: true });
+
+  assert.deepEqual(visited, ['https://venue.example/3']);
+  assert.deepEqual(events.map(({ title }) => title), ['Event 1', 'Event 3']);
+});
+
+test('a resumed listing skips the steps it got through', async () => {
+  const dir = path.join(root, 'steps');
+  openCheckpoint('venue', { dir }).saveStep('month:2024-11', [event('November')]);
+
+  const months = [];
+  const scraper = venueScraper({
+    scrapeListing: async ({ checkpoint }) => {
+      const items = [];
+      for (const month of ['2024-11', '2024-12']) {
+        items.push(...await checkpoint(`month:${month}`, async () => {
+          months.push(month);
+          return [event(month)];
+        }));
+      }
+      return items;
+    },
+  });
+
+  const events = await scraper.run({ pool: fakePool, mode: 'live', checkpointsDir: dir, resume: true });
+
+  assert.deepEqual(months, ['2024-12']);
+  assert.deepEqual(events.map(({ title }) => title), ['November', '2024-12']);
+});
+
+test('the listing\'s errors are reported, and a resumed run still knows them', async () => {
+  const dir = path.join(root, 'listing-errors');
+  const stats = () => ({ pagesVisited: 0, imageFailures: [], failureCaptures: [], failedItems: [], listingErrors: [] });
+  const venue = (failing) => venueScraper({
+    scrapeListing: async ({ logger }) => {
+      logger.error('Page 2 of the schedule did not load: Navigation timeout');
+      return ['https://venue.example/1', 'https://venue.example/2'];
+    },
+    scrapeDetail: async (context, url, index) => {
+      if (url === failing) {
+        throw new Error('Target closed');
+      }
+      return event(`Event ${index + 1}`);
+    },
+  });
+
+  const first = stats();
+  await venue('https://venue.example/2').run({ pool: fakePool, mode: 'live', checkpointsDir: dir, stats: first });
+  assert.deepEqual(first.listingErrors, ['Page 2 of the schedule did not load: Navigation timeout']);
+
+  const resumed = stats();
+  await venue(null).run({ pool: fakePool, mode: 'live', checkpointsDir: dir, resume: true, stats: resumed });
+  assert.deepEqual(resumed.listingErrors, first.listingErrors);
+});
+
+test('a detail page that fails keeps the checkpoint, and a resumed run retries only that page', async () => {
+  const dir = path.join(root, 'failed');
+  const urls = ['https://venue.example/1', 'https://venue.example/2', 'https://venue.example/3'];
+  const visited = [];
+  const venue = (failing) => venueScraper({
+    scrapeListing: async () => urls,
+    scrapeDetail: async (context, url, index) => {
+      visited.push(url);
+      if (url === failing) {
+        throw new Error('Target closed');
+      }
+      return event(`Event ${index + 1}`);
+    },
+  });
+
+  const stats = { pagesVisited: 0, imageFailures: [], failureCaptures: [], failedItems: [], listingErrors: [] };
+  const first = await venue('https://venue.example/2').run({ pool: fakePool, mode: 'live', checkpointsDir: dir, stats });
+  assert.deepEqual(first.map(({ title }) => title), ['Event 1', 'Event 3']);
+  assert.deepEqual(stats.failedItems, [{ url: 'https://venue.example/2', error: 'Target closed' }]);
+  assert.equal(fs.existsSync(path.join(dir, 'venue.json')), true);
+
+  visited.length = 0;
+  const resumed = await venue(null).run({ pool: fakePool, mode: 'live', checkpointsDir: dir, resume: true });
+  assert.deepEqual(visited, ['https://venue.example/2']);
+  assert.deepEqual(resumed.map(({ title }) => title), ['Event 1', 'Event 2', 'Event 3']);
+  assert.equal(fs.existsSync(path.join(dir, 'venue.json')), false);
+});
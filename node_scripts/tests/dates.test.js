@@ -0,0 +1,142 @@
+// tests/dates.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDateTime, parseTimes, toHalfWidth } from '../lib/dates.js';
+
+const now = new Date('2024-11-15T00:00:00Z');
+
+// The date part of a parseDateTime result
+const datesOf = (text, options = {}) => {
+  const { date_start, date_end, confidence } = parseDateTime(text, { now, ...options });
+  return { date_start, date_end, confidence };
+};
+
+test('toHalfWidth converts full-width digits, letters and spaces', () => {
+  assert.equal(toHalfWidth('２０２４年１１月２３日（土）　ＯＰＥＮ１８：００'), '2024年11月23日(土) OPEN18:00');
+});
+
+test('parseDateTime reads Japanese dates with weekday annotations', () => {
+  assert.deepEqual(datesOf('2024年11月23日(土)'), { date_start: '2024-11-23', date_end: '2024-11-23', confidence: 'high' });
+  assert.deepEqual(datesOf('２０２４年１２月８日（日・祝）'), { date_start: '2024-12-08', date_end: '2024-12-08', confidence: 'high' });
+});
+
+test('parseDateTime reads era years', () => {
+  assert.equal(parseDateTime('令和6年11月23日').date_start, '2024-11-23');
+  assert.equal(parseDateTime('令和元年5月1日').date_start, '2019-05-01');
+  assert.equal(parseDateTime('平成31年4月30日').date_start, '2019-04-30');
+});
+
+test('parseDateTime reads numeric and English dates', () => {
+  assert.equal(parseDateTime('2024.12.07 (SAT)').date_start, '2024-12-07');
+  assert.equal(parseDateTime('2024/1/5').date_start, '2024-01-05');
+  assert.equal(parseDateTime('Saturday, December 14 2024 14:30').date_start, '2024-12-14');
+  assert.equal(parseDateTime('Sat, Dec 14, 2024, 7:00 PM').date_start, '2024-12-14');
+  assert.equal(parseDateTime('14 Dec 2024').date_start, '2024-12-14');
+});
+
+test('parseDateTime reads ranges, including ones spanning months and years', () => {
+  assert.deepEqual(datesOf('2024.12.07 (SAT) – 12.08 (SUN)'), { date_start: '2024-12-07', date_end: '2024-12-08', confidence: 'high' });
+  assert.deepEqual(datesOf('2024年11月29日(金)～2024年12月1日(日)'), { date_start: '2024-11-29', date_end: '2024-12-01', confidence: 'high' });
+  assert.deepEqual(datesOf('October 12–December 8, 2024'), { date_start: '2024-10-12', date_end: '2024-12-08', confidence: 'high' });
+  assert.deepEqual(datesOf('November 2–22, 2024'), { date_start: '2024-11-02', date_end: '2024-11-22', confidence: 'high' });
+  assert.deepEqual(datesOf('December 17, 2024–February 2, 2025'), { date_start: '2024-12-17', date_end: '2025-02-02', confidence: 'high' });
+  assert.deepEqual(datesOf('2024.12.28 (SAT) – 01.05 (SUN)'), { date_start: '2024-12-28', date_end: '2025-01-05', confidence: 'high' });
+  assert.deepEqual(datesOf('11月30日～2日', { year: 2024 }), { date_start: '2024-11-30', date_end: '2024-12-02', confidence: 'medium' });
+  assert.deepEqual(datesOf('2024年12月20日 19:00 - 2024年12月21日 1:00'), { date_start: '2024-12-20', date_end: '2024-12-21', confidence: 'high' });
+});
+
+test('parseDateTime says where the year came from', () => {
+  assert.deepEqual(datesOf('11月1日(金)', { year: 2025 }), { date_start: '2025-11-01', date_end: '2025-11-01', confidence: 'medium' });
+  assert.deepEqual(datesOf('Nov. 23'), { date_start: '2024-11-23', date_end: '2024-11-23', confidence: 'low' });
+});
+
+test('parseDateTime infers a missing year as the nearest date that has not passed', () => {
+  const december = { now: new Date('2024-12-20T12:00:00') };
+  assert.equal(parseDateTime('1月10日(金)', december).date_start, '2025-01-10');
+  assert.equal(parseDateTime('12月5日(木)', december).date_start, '2024-12-05');
+
+  const january = { now: new Date('2025-01-05T12:00:00') };
+  assert.equal(parseDateTime('12月28日(土)', january).date_start, '2024-12-28');
+  assert.deepEqual(datesOf('12月28日～1月12日', january), { date_start: '2024-12-28', date_end: '2025-01-12', confidence: 'low' });
+
+  // An exhibition that opened over a month ago but is still running
+  assert.deepEqual(datesOf('October 1–December 8'), { date_start: '2024-10-01', date_end: '2024-12-08', confidence: 'low' });
+});
+
+test('parseDateTime infers the year of month/day dates', () => {
+  assert.deepEqual(datesOf('11/23(土)'), { date_start: '2024-11-23', date_end: '2024-11-23', confidence: 'low' });
+  assert.deepEqual(datesOf('12/25 19:00'), { date_start: '2024-12-25', date_end: '2024-12-25', confidence: 'low' });
+  assert.deepEqual(datesOf('1/10(金)〜1/12(日)'), { date_start: '2025-01-10', date_end: '2025-01-12', confidence: 'low' });
+  assert.deepEqual(datesOf('12/31', { year: 2025 }), { date_start: '2025-12-31', date_end: '2025-12-31', confidence: 'medium' });
+  assert.equal(parseDateTime('12/25 19:00', { now }).time_start, '19:00');
+  assert.equal(parseDateTime('13/45', { now }).date_start, null);
+});
+
+test('parseDateTime flags inferred dates far ahead as ambiguous', () => {
+  assert.equal(parseDateTime('12月1日', { now }).ambiguous, false);
+  assert.equal(parseDateTime('9月1日', { now }).date_start, '2025-09-01');
+  assert.equal(parseDateTime('9月1日', { now }).ambiguous, true);
+  assert.equal(parseDateTime('2025年9月1日', { now }).ambiguous, false);
+});
+
+test('parseDateTime moves dates across the year boundary of their month section', () => {
+  assert.equal(parseDateTime('1月5日(日)', { year: 2024, month: 12 }).date_start, '2025-01-05');
+  assert.equal(parseDateTime('12月28日(土)', { year: 2025, month: 1 }).date_start, '2024-12-28');
+  assert.equal(parseDateTime('12月28日(土)', { year: 2024, month: 12 }).date_start, '2024-12-28');
+});
+
+test('parseDateTime reports TBA and unrecognized dates without guessing', () => {
+  assert.deepEqual(parseDateTime('Details TBA', { now }), {
+    date_start: null,
+    date_end: null,
+    doors_open: null,
+    time_start: null,
+    time_end: null,
+    tba: true,
+    confidence: 'none',
+    ambiguous: false,
+    raw: 'Details TBA',
+  });
+  assert.equal(parseDateTime('2月30日', { now }).date_start, null);
+  assert.equal(parseDateTime('year-round', { now }).confidence, 'none');
+
+  const undecided = parseDateTime('12月1日(日) 開演時間未定', { now });
+  assert.equal(undecided.date_start, '2024-12-01');
+  assert.equal(undecided.time_start, null);
+  assert.equal(undecided.tba, true);
+});
+
+test('parseTimes pairs 開場/開演 and OPEN/START labels with their times', () => {
+  const expected = { doors_open: '18:00', time_start: '18:30', time_end: null, tba: false };
+  assert.deepEqual(parseTimes('開場 18:00 開演 18:30'), expected);
+  assert.deepEqual(parseTimes('18:00開場／18:30開演'), expected);
+  assert.deepEqual(parseTimes('OPEN / START 18:00 / 18:30'), expected);
+  assert.deepEqual(parseTimes('開場/開演 １８：００/１８：３０'), expected);
+  assert.deepEqual(parseTimes('13:00開演'), { doors_open: null, time_start: '13:00', time_end: null, tba: false });
+  assert.deepEqual(parseTimes('OPEN 15:00'), { doors_open: '15:00', time_start: null, time_end: null, tba: false });
+  assert.deepEqual(parseTimes('OPEN18:00 START18:30'), expected);
+});
+
+test('parseTimes only reads OPEN and START as words of their own', () => {
+  assert.deepEqual(parseTimes('Reopening soon 19:00'), { doors_open: null, time_start: '19:00', time_end: null, tba: false });
+  assert.deepEqual(parseTimes('Restart 20:00'), { doors_open: null, time_start: '20:00', time_end: null, tba: false });
+});
+
+test('parseTimes reads stated end times and never guesses one', () => {
+  assert.deepEqual(parseTimes('開場 18:00 開演 18:30 終演予定 20:45'), { doors_open: '18:00', time_start: '18:30', time_end: '20:45', tba: false });
+  assert.deepEqual(parseTimes('13:00開演／15:30終演予定'), { doors_open: null, time_start: '13:00', time_end: '15:30', tba: false });
+  assert.deepEqual(parseTimes('Starts 19:00, until 21:00'), { doors_open: null, time_start: '19:00', time_end: '21:00', tba: false });
+  assert.equal(parseTimes('9:00–17:30 (admission until 17:00)').time_end, '17:30');
+  assert.equal(parseTimes('開演 19:00').time_end, null);
+});
+
+test('parseTimes reads ranges, 12-hour clocks and Japanese hours', () => {
+  assert.deepEqual(parseTimes('13:00-17:00'), { doors_open: null, time_start: '13:00', time_end: '17:00', tba: false });
+  assert.deepEqual(parseTimes('11:00 – 19:00 水曜日・土曜日開催'), { doors_open: null, time_start: '11:00', time_end: '19:00', tba: false });
+  assert.equal(parseTimes('9:00 a.m.–5:30 p.m.').time_end, '17:30');
+  assert.equal(parseTimes('12:00 AM').time_start, '00:00');
+  assert.equal(parseTimes('午後7時半開演').time_start, '19:30');
+  assert.equal(parseTimes('上演時間は約1時間').time_start, null);
+  assert.equal(parseTimes('25:00').time_start, '01:00');
+});
@@ -0,0 +1,78 @@
+// tests/event_schema.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeEvent, validateEvents } from '../lib/event_schema.js';
+
+const baseEvent = () => ({
+  site: 'waondo',
+  title: 'Autumn Live',
+  date_start: '2024-11-02',
+  date_end: '2024-11-02',
+  venue: 'Waondo',
+  image_url: '/images/events/waondo/abc.jpg',
+  event_link: 'https://www.waondo.net/event-details/autumn-live',
+  schedule: [{ date: '2024-11-02', time_start: '19:00', time_end: null, special_notes: null }],
+  prices: [{ price_tier: 'Tier 1', amount: 3000, currency: 'JPY' }],
+  categories: [],
+  tags: [],
+});
+
+test('normalizeEvent turns sentinels into missing values', () => {
+  const normalized = normalizeEvent({
+    ...baseEvent(),
+    event_link: 'No link',
+    image_url: 'No image available',
+    description: 'No description',
+  });
+  assert.equal('event_link' in normalized, false);
+  assert.equal('image_url' in normalized, false);
+  assert.equal('description' in normalized, false);
+});
+
+test('normalizeEvent pads times and converts numeric price strings', () => {
+  const normalized = normalizeEvent({
+    ...baseEvent(),
+    schedule: [{ date: '2024-11-02', doors_open: '9:00', time_start: '9:30', time_end: '21:00:00' }],
+    prices: [{ price_tier: '一般', amount: '3,500' }],
+  });
+  assert.equal(normalized.schedule[0].doors_open, '09:00');
+  assert.equal(normalized.schedule[0].time_start, '09:30');
+  assert.equal(normalized.schedule[0].time_end, '21:00');
+  assert.equal(normalized.prices[0].amount, 3500);
+});
+
+test('validateEvents fills defaults and drops unknown fields', () => {
+  const { valid, invalid } = validateEvents([{ ...baseEvent(), venue_id: 12, is_featured: true, prices: null }]);
+  assert.equal(invalid.length, 0);
+  assert.deepEqual(valid[0].prices, []);
+  assert.equal(valid[0].description, null);
+  assert.equal('venue_id' in valid[0], false);
+  assert.equal('is_featured' in valid[0], false);
+});
+
+test('validateEvents reports every failing field and excludes the event', () => {
+  const { valid, invalid } = validateEvents([
+    baseEvent(),
+    {
+      ...baseEvent(),
+      title: 'No title',
+      date_start: 'Dec 5',
+      prices: [{ price_tier: 'S', amount: 'TBA' }],
+      event_link: 'javascript:void(0)',
+    },
+  ]);
+
+  assert.equal(valid.length, 1);
+  assert.equal(invalid.length, 1);
+  assert.equal(invalid[0].index, 1);
+  assert.deepEqual(
+    invalid[0].errors.map((error) => error.field),
+    ['title', 'date_start', 'prices[0].amount', 'event_link']
+  );
+});
+
+test('validateEvents rejects an end date before the start date', () => {
+  const { invalid } = validateEvents([{ ...baseEvent(), date_end: '2024-11-01' }]);
+  assert.equal(invalid[0].errors[0].field, 'date_end');
+});
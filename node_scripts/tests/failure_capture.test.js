@@ -0,0 +1,72 @@
+// tests/failure_capture.test.js
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFailureCapture, pruneFailures } from '../lib/failure_capture.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'failures-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// A puppeteer Page stand-in that can emit console messages
+const fakePage = (url, { screenshot = true } = {}) => {
+  const listeners = {};
+  return {
+    url: () => url,
+    content: async () => `<html><body>${url}</body></html>`,
+    screenshot: screenshot
+      ? async ({ path: filepath }) => fs.writeFileSync(filepath, 'png')
+      : async () => { throw new Error('Target closed'); },
+    isClosed: () => false,
+    on: (event, listener) => {
+      (listeners[event] = listeners[event] || []).push(listener);
+    },
+    emit: (event, value) => (listeners[event] || []).forEach((listener) => listener(value)),
+  };
+};
+
+test('capture saves the screenshot, HTML and console log of a page', async () => {
+  const failures = createFailureCapture('venue', { dir, runId: '20241115-030000', now: () => new Date('2024-11-15T03:00:00Z') });
+  const page = failures.watch(fakePage('https://venue.example/events/1'));
+  page.emit('console', { type: () => 'error', text: () => 'Uncaught TypeError' });
+
+  const error = new Error('Waiting for selector `.event` failed');
+  error.name = 'TimeoutError';
+  const captureDir = await failures.capture(page, error, { selector: '.event' });
+
+  assert.equal(path.relative(dir, path.dirname(captureDir)), path.join('20241115-030000', 'venue'));
+  assert.match(path.basename(captureDir), /^venue.example-events-1-[0-9a-f]{8}$/);
+  assert.equal(fs.readFileSync(path.join(captureDir, 'page.html'), 'utf-8'), '<html><body>https://venue.example/events/1</body></html>');
+  assert.equal(fs.readFileSync(path.join(captureDir, 'console.log'), 'utf-8'), '2024-11-15T03:00:00.000Z [error] Uncaught TypeError');
+
+  const failure = JSON.parse(fs.readFileSync(path.join(captureDir, 'failure.json'), 'utf-8'));
+  assert.equal(failure.url, 'https://venue.example/events/1');
+  assert.equal(failure.error.name, 'TimeoutError');
+  assert.equal(failure.selector, '.event');
+  assert.deepEqual(failure.artifacts, ['screenshot.png', 'page.html', 'console.log']);
+});
+
+test('capture keeps the HTML when the screenshot fails, and captures a URL once per run', async () => {
+  const failures = createFailureCapture('venue', { dir, runId: '20241116-030000', maxPerSite: 2 });
+  const page = fakePage('https://venue.example/events/2', { screenshot: false });
+
+  const captureDir = await failures.capture(page, new Error('Cannot read properties of null'));
+  assert.deepEqual(fs.readdirSync(captureDir).sort(), ['console.log', 'failure.json', 'page.html']);
+  assert.equal(await failures.capture(page, new Error('Again')), null);
+
+  assert.notEqual(await failures.capture(fakePage('https://venue.example/events/3'), new Error('Third')), null);
+  assert.equal(await failures.capture(fakePage('https://venue.example/events/4'), new Error('Over the limit')), null);
+});
+
+test('pruneFailures keeps the newest runs', () => {
+  const pruneDir = path.join(dir, 'prune');
+  for (const runId of ['20241101-030000', '20241102-030000', '20241103-030000', '20241104-030000']) {
+    fs.mkdirSync(path.join(pruneDir, runId), { recursive: true });
+  }
+
+  assert.deepEqual(pruneFailures({ dir: pruneDir, keepRuns: 2, keep: '20241101-030000' }), ['20241102-030000', '20241103-030000']);
+  assert.deepEqual(fs.readdirSync(pruneDir).sort(), ['20241101-030000', '20241104-030000']);
+  assert.deepEqual(pruneFailures({ dir: path.join(dir, 'missing') }), []);
+});
@@ -0,0 +1,71 @@
+// tests/health.test.js
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRecorder } from '../lib/recording.js';
+import { defineScraper } from '../lib/scraper_runtime.js';
+
+const LISTING_URL = 'https://venue.example/schedule/';
+
+let dir;
+
+const venueScraper = (selectors) => {
+  const scraper = defineScraper({
+    name: 'venue',
+    health: [{ url: LISTING_URL, selectors }],
+    scrapeListing: async () => [],
+  });
+  scraper.logger.silent = true;
+  return scraper;
+};
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'health-'));
+  const recorder = createRecorder('venue', { dir, now: new Date('2024-11-01T00:00:00Z') });
+  recorder.savePage(LISTING_URL, `<!DOCTYPE html><html><body>
+    <ul class="events-2024"><li class="event">First</li><li class="event">Second</li></ul>
+  </body></html>`);
+  recorder.finish();
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('checkHealth passes when every selector matches its minimum', async () => {
+  const results = await venueScraper([{ selector: 'li.event', min: 2 }, { selector: 'ul' }])
+    .checkHealth({ mode: 'replay', recordingsDir: dir });
+
+  assert.deepEqual(results, [
+    { url: LISTING_URL, selector: 'li.event', min: 2, count: 2, ok: true, error: null },
+    { url: LISTING_URL, selector: 'ul', min: 1, count: 1, ok: true, error: null },
+  ]);
+});
+
+test('checkHealth reports drift when a selector matches too few elements', async () => {
+  const results = await venueScraper([{ selector: 'li.event', min: 3 }, { selector: 'ul.events' }])
+    .checkHealth({ mode: 'replay', recordingsDir: dir });
+
+  assert.deepEqual(results.map(({ selector, count, ok }) => ({ selector, count, ok })), [
+    { selector: 'li.event', count: 2, ok: false },
+    { selector: 'ul.events', count: 0, ok: false },
+  ]);
+});
+
+test('checkHealth fails every selector of a page that cannot be loaded', async () => {
+  const scraper = defineScraper({
+    name: 'venue',
+    health: [{ url: 'https://venue.example/moved/', selectors: [{ selector: 'li.event' }] }],
+    scrapeListing: async () => [],
+  });
+  scraper.logger.silent = true;
+
+  const [result] = await scraper.checkHealth({ mode: 'replay', recordingsDir: dir });
+  assert.equal(result.ok, false);
+  assert.match(result.error, /No recorded page/);
+});
+
+test('defineScraper requires health checks', () => {
+  assert.throws(() => defineScraper({ name: 'venue', scrapeListing: async () => [] }), /needs health checks/);
+});
@@ -0,0 +1,143 @@
+// tests/image_selection.test.js
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import sharp from 'sharp';
+import {
+  createImageSelector,
+  DUPLICATE_DISTANCE,
+  fingerprintDistance,
+  inspectImage,
+  scoreImage,
+  REJECT_SCORE,
+} from '../lib/image_selection.js';
+import { createImageStore } from '../lib/image_store.js';
+import { downloadBestImage } from '../lib/images.js';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'image-selection-'));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+// A flyer-like picture: smooth shapes that survive resizing, with grain for detail
+const picture = (width, height, { waves = 3 } = {}) => {
+  const data = Buffer.alloc(width * height * 3);
+  let seed = 42;
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      const shape = 100 * Math.sin((x / width) * Math.PI * waves) * Math.cos((y / height) * Math.PI * 2);
+      const value = Math.max(0, Math.min(255, Math.round(128 + shape + (seed % 60) - 30)));
+      data.set([value, (value >> 1) + 64, 255 - value], (y * width + x) * 3);
+    }
+  }
+  return sharp(data, { raw: { width, height, channels: 3 } }).jpeg().toBuffer();
+};
+
+// A logo: two flat colours on a transparent background
+const logo = (width, height) => sharp({
+  create: { width, height, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } },
+}).composite([{
+  input: { create: { width: Math.round(width / 2), height: Math.round(height / 2), channels: 4, background: '#d00000' } },
+  gravity: 'centre',
+}]).png().toBuffer();
+
+const inspected = async (url, buffer, alt = '') => ({ url, alt, info: await inspectImage(buffer) });
+
+test('inspectImage measures an image and fingerprints it', async () => {
+  const info = await inspectImage(await picture(600, 848));
+
+  assert.deepEqual([info.width, info.height, info.format, info.opaque], [600, 848, 'jpeg', true]);
+  assert.ok(info.entropy > 5, `entropy ${info.entropy}`);
+  assert.match(info.fingerprint, /^[0-9a-f]{16}$/);
+});
+
+test('a resized copy has a near-identical fingerprint; a different picture does not', async () => {
+  const flyer = await inspectImage(await picture(600, 848));
+  const thumbnail = await inspectImage(await sharp(await picture(600, 848)).resize(150).toBuffer());
+  const other = await inspectImage(await picture(600, 848, { waves: 7 }));
+
+  assert.ok(fingerprintDistance(flyer.fingerprint, thumbnail.fingerprint) <= DUPLICATE_DISTANCE);
+  assert.ok(fingerprintDistance(flyer.fingerprint, other.fingerprint) > DUPLICATE_DISTANCE);
+});
+
+test('scoreImage prefers a large flyer and rejects logos, banners and icons', async () => {
+  const flyer = scoreImage(await inspectImage(await picture(800, 1131)), { url: 'https://venue.example/img/reikai_omote_l.jpg' });
+  const small = scoreImage(await inspectImage(await picture(240, 340)), { url: 'https://venue.example/img/reikai_omote.jpg' });
+  const headerLogo = scoreImage(await inspectImage(await logo(400, 120)), { url: 'http://kyoto-kanze.jp/images/headerlogo2.png' });
+  const banner = scoreImage(await inspectImage(await picture(1200, 200)), { url: 'https://venue.example/img/top.jpg' });
+  const icon = scoreImage(await inspectImage(await picture(64, 64)), { url: 'https://venue.example/img/x.jpg' });
+
+  assert.deepEqual(flyer.reasons, []);
+  assert.ok(flyer.score > small.score);
+  assert.ok(small.score > REJECT_SCORE);
+  for (const rejected of [headerLogo, banner, icon]) {
+    assert.ok(rejected.score <= REJECT_SCORE, `${rejected.score} ${rejected.reasons}`);
+  }
+  assert.ok(headerLogo.reasons.some((reason) => reason.includes('"header"')));
+  assert.ok(banner.reasons.some((reason) => reason.startsWith('banner-shaped')));
+  assert.ok(icon.reasons.some((reason) => reason.startsWith('too small')));
+});
+
+test('rank keeps the largest of near-duplicates and puts the flyer ahead of the logo', async () => {
+  const selector = createImageSelector();
+  const flyer = await picture(600, 848);
+  const ranked = selector.rank([
+    await inspected('https://venue.example/logo.png', await logo(300, 300)),
+    await inspected('https://venue.example/thumb01.jpg', await sharp(flyer).resize(150).toBuffer()),
+    await inspected('https://venue.example/omote_l.jpg', flyer),
+  ]);
+
+  assert.deepEqual(ranked.map(({ url }) => url), ['https://venue.example/omote_l.jpg', 'https://venue.example/logo.png']);
+  assert.equal(ranked[0].rejected, false);
+  assert.equal(ranked[1].rejected, true);
+});
+
+test('rank marks down an image that recurs on the pages of several events', async () => {
+  const selector = createImageSelector();
+  const chrome = await inspected('https://venue.example/top002.jpg', await picture(500, 400, { waves: 5 }));
+
+  const first = selector.rank([chrome]);
+  selector.rank([chrome]);
+  const third = selector.rank([chrome, await inspected('https://venue.example/flyer.jpg', await picture(300, 420))]);
+
+  assert.deepEqual(first[0].reasons, []);
+  assert.equal(third[0].url, 'https://venue.example/flyer.jpg');
+  assert.ok(third[1].reasons.includes("on 3 events' pages"));
+});
+
+test('downloadBestImage stores the best candidate and falls back to the placeholder when all are chrome', async () => {
+  const store = createImageStore({ dir: path.join(root, 'store'), manifestPath: path.join(root, 'store', 'manifest.json') });
+  const images = {
+    'https://venue.example/images/headerlogo2.png': await logo(400, 120),
+    'https://venue.example/show/omote_l.jpg': await picture(600, 848),
+    'https://venue.example/show/thumb01.jpg': await picture(90, 127),
+  };
+  const requests = [];
+  const http = {
+    get: async (url) => {
+      requests.push(url);
+      return { data: Readable.from([images[url]]) };
+    },
+  };
+  const options = { site: 'venue', logger: { info: () => {}, warn: () => {}, error: () => {} }, http, store, retries: 0 };
+
+  const stored = await downloadBestImage([
+    'https://venue.example/images/headerlogo2.png',
+    { url: '/show/thumb01.jpg', alt: 'Flyer' },
+    'https://venue.example/show/omote_l.jpg',
+    null,
+  ], { ...options, baseUrl: 'https://venue.example/' });
+  assert.equal(stored, store.lookup('https://venue.example/show/omote_l.jpg'));
+  assert.equal(store.lookup('https://venue.example/images/headerlogo2.png'), null);
+
+  // Candidates already in the store are read from it
+  requests.length = 0;
+  await downloadBestImage(['https://venue.example/show/omote_l.jpg'], options);
+  assert.deepEqual(requests, []);
+
+  const placeholder = await downloadBestImage(['https://venue.example/images/headerlogo2.png'], options);
+  assert.equal(placeholder, '/images/events/venue/placeholder.jpg');
+});
@@ -0,0 +1,163 @@
+// tests/image_store.test.js
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import sharp from 'sharp';
+import { DERIVATIVE_WIDTHS, derivativeNames, lqipName } from '../lib/image_derivatives.js';
+import { createImageStore } from '../lib/image_store.js';
+import { downloadImage } from '../lib/images.js';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'image-store-'));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+let stores = 0;
+const newStore = (options = {}) => {
+  const dir = path.join(root, `store-${stores += 1}`);
+  return {
+    dir,
+    store: createImageStore({ dir, manifestPath: path.join(dir, 'manifest.json'), ...options }),
+  };
+};
+
+const png = (color) => sharp({ create: { width: 4, height: 4, channels: 3, background: color } }).png().toBuffer();
+
+// "/images/store/ab/ab12.png?w=4" -> "/images/store/ab/ab12.png", the file's path
+const bare = (stored) => stored.split('?')[0];
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {} };
+
+// An http stand-in that serves image bytes by URL and counts the requests
+const fakeHttp = (images) => {
+  const requests = [];
+  return {
+    requests,
+    get: async (url) => {
+      requests.push(url);
+      if (!images[url]) {
+        throw new Error('Request failed with status code 404');
+      }
+      return { data: Readable.from([images[url]]) };
+    },
+  };
+};
+
+test('put stores an image under its content hash and maps the source URL to it', async () => {
+  const { dir, store } = newStore();
+  const stored = await store.put(await png('#ff0000'), { sourceUrl: 'https://a.example/flyer.png', site: 'a' });
+
+  assert.match(stored, /^\/images\/store\/([0-9a-f]{2})\/\1[0-9a-f]{62}\.png\?w=4$/);
+  assert.ok(fs.existsSync(path.join(dir, bare(stored).replace('/images/store/', ''))));
+  assert.equal(store.lookup('https://a.example/flyer.png'), stored);
+  assert.equal(store.lookup('https://a.example/other.png'), null);
+});
+
+test('put writes AVIF and WebP derivatives at every width and a blurred placeholder', async () => {
+  const { dir, store } = newStore();
+  const flyer = await sharp({ create: { width: 800, height: 1200, channels: 3, background: '#884422' } }).jpeg().toBuffer();
+  const stored = await store.put(flyer, { sourceUrl: 'https://a.example/flyer.jpg', site: 'a' });
+
+  const shard = path.dirname(path.join(dir, bare(stored).replace('/images/store/', '')));
+  const hash = path.basename(bare(stored), '.jpg');
+  assert.match(stored, /\.jpg\?w=800$/);
+  for (const name of derivativeNames(hash)) {
+    assert.ok(fs.existsSync(path.join(shard, name)), `${name} exists`);
+  }
+  assert.equal(DERIVATIVE_WIDTHS.length * 2 + 1, derivativeNames(hash).length);
+
+  const small = await sharp(path.join(shard, `${hash}-320.webp`)).metadata();
+  assert.deepEqual([small.format, small.width, small.height], ['webp', 320, 480]);
+  // Never enlarged past the original
+  assert.equal((await sharp(path.join(shard, `${hash}-1280.avif`)).metadata()).width, 800);
+  assert.ok(fs.statSync(path.join(shard, lqipName(hash))).size < 1024);
+});
+
+test('the same image from two sites or two URLs is stored once', async () => {
+  const { store } = newStore();
+  const flyer = await png('#00ff00');
+  const first = await store.put(flyer, { sourceUrl: 'https://a.example/flyer.png', site: 'a' });
+  const second = await store.put(flyer, { sourceUrl: 'https://b.example/uploads/2024/flyer-1.png', site: 'b' });
+
+  assert.equal(second, first);
+  assert.deepEqual(store.stats(), { files: 1, sources: 2, bytes: flyer.length });
+});
+
+test('the manifest survives the process', async () => {
+  const { dir, store } = newStore();
+  const stored = await store.put(await png('#0000ff'), { sourceUrl: 'https://a.example/x.png', site: 'a' });
+
+  const reopened = createImageStore({ dir, manifestPath: path.join(dir, 'manifest.json') });
+  assert.equal(reopened.lookup('https://a.example/x.png'), stored);
+});
+
+test('put rejects bytes that are not an image', async () => {
+  const { store } = newStore();
+  await assert.rejects(
+    store.put(Buffer.from('<html>Not found</html>'), { sourceUrl: 'https://a.example/x.png', site: 'a' }),
+    /Not a valid image/
+  );
+  assert.equal(store.stats().files, 0);
+});
+
+test('collectGarbage deletes old unreferenced images and keeps referenced or recent ones', async () => {
+  let now = new Date('2024-11-01T00:00:00Z');
+  const { dir, store } = newStore({ now: () => now });
+  const kept = await store.put(await png('#111111'), { sourceUrl: 'https://a.example/kept.png', site: 'a' });
+  const dropped = await store.put(await png('#222222'), { sourceUrl: 'https://a.example/dropped.png', site: 'a' });
+  now = new Date('2024-11-10T00:00:00Z');
+  const recent = await store.put(await png('#333333'), { sourceUrl: 'https://a.example/recent.png', site: 'a' });
+
+  const references = [`https://events.example${kept}`, '/images/events/a/placeholder.jpg'];
+  const dryRun = store.collectGarbage(references, { dryRun: true });
+  assert.deepEqual(dryRun.removed, [bare(dropped)]);
+  assert.ok(fs.existsSync(path.join(dir, bare(dropped).replace('/images/store/', ''))));
+
+  const { removed } = store.collectGarbage(references);
+  assert.deepEqual(removed, [bare(dropped)]);
+  assert.ok(!fs.existsSync(path.join(dir, bare(dropped).replace('/images/store/', ''))));
+  assert.ok(!fs.existsSync(path.join(dir, bare(dropped).replace('/images/store/', '').replace('.png', '-lqip.webp'))));
+  assert.ok(fs.existsSync(path.join(dir, bare(kept).replace('/images/store/', '').replace('.png', '-lqip.webp'))));
+  assert.equal(store.lookup('https://a.example/dropped.png'), null);
+  assert.equal(store.lookup('https://a.example/kept.png'), kept);
+  assert.equal(store.lookup('https://a.example/recent.png'), recent);
+});
+
+test('downloadImage stores each source URL once and shares identical images', async () => {
+  const { store } = newStore();
+  const flyer = await png('#abcdef');
+  const http = fakeHttp({
+    'https://a.example/flyer.jpg?v=2': flyer,
+    'https://a.example/flyer.jpg?v=3': flyer,
+    'https://b.example/flyer-copy.jpg': flyer,
+  });
+  const options = { logger: silentLogger, http, store, retries: 0 };
+
+  const first = await downloadImage('https://a.example/flyer.jpg?v=2', { ...options, site: 'a' });
+  const again = await downloadImage('https://a.example/flyer.jpg?v=3', { ...options, site: 'a' });
+  const copy = await downloadImage('https://b.example/flyer-copy.jpg', { ...options, site: 'b' });
+
+  assert.equal(again, first);
+  assert.equal(copy, first);
+  assert.match(first, /\.png\?w=4$/);
+  assert.deepEqual(http.requests, ['https://a.example/flyer.jpg?v=2', 'https://b.example/flyer-copy.jpg']);
+});
+
+test('downloadImage falls back to the placeholder when the download fails', async () => {
+  const { store } = newStore();
+  const failures = [];
+  const result = await downloadImage('/missing.jpg', {
+    site: 'a',
+    baseUrl: 'https://a.example/',
+    logger: silentLogger,
+    http: fakeHttp({}),
+    store,
+    retries: 0,
+    onFailure: (url, message) => failures.push({ url, message }),
+  });
+
+  assert.equal(result, '/images/events/a/placeholder.jpg');
+  assert.deepEqual(failures, [{ url: 'https://a.example/missing.jpg', message: 'Request failed with status code 404' }]);
+});
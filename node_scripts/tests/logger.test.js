@@ -0,0 +1,66 @@
+// tests/logger.test.js
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { setTimeout as delay } from 'timers/promises';
+import winston from 'winston';
+import { createLogger, createRunId, getRunId, setRunId } from '../lib/logger.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logs-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// The entries of a log file, once the file transport has written `count` of them
+// (winston reports a write as done before it reaches the disk)
+const readEntries = async (filename, count) => {
+  const filepath = path.join(dir, filename);
+  for (let attempt = 0; attempt < 100; attempt += 1) {
+    const lines = fs.existsSync(filepath) ? fs.readFileSync(filepath, 'utf-8').split('\n').filter(Boolean) : [];
+    if (lines.length >= count) {
+      return lines.map((line) => JSON.parse(line));
+    }
+    await delay(20);
+  }
+  throw new Error(`${filename} never got ${count} entries`);
+};
+
+test('createRunId names a run after its start time', () => {
+  assert.equal(createRunId(new Date('2024-11-15T03:00:00.123Z')), '20241115-030000');
+});
+
+test('createLogger writes JSON lines with the run, site, phase and event URL', async () => {
+  const previousRunId = getRunId();
+  setRunId('20241115-030000');
+  after(() => setRunId(previousRunId));
+
+  const logger = createLogger('venue', { dir });
+  logger.transports.find((transport) => transport instanceof winston.transports.Console).silent = true;
+  const detailLogger = logger.child({ phase: 'detail', eventUrl: 'https://venue.example/events/1' });
+  detailLogger.warn('Price information not found', { title: 'Live' });
+
+  const [entry] = await readEntries('venue_scraper.log', 1);
+  assert.deepEqual({ ...entry, timestamp: undefined }, {
+    level: 'warn',
+    message: 'Price information not found',
+    runId: '20241115-030000',
+    site: 'venue',
+    phase: 'detail',
+    eventUrl: 'https://venue.example/events/1',
+    title: 'Live',
+    timestamp: undefined,
+  });
+});
+
+test('createLogger lets a child name another site and honours the level', async () => {
+  const logger = createLogger('scrape_all', { dir, filename: 'scrape_all.log', level: 'warn' });
+  logger.transports.find((transport) => transport instanceof winston.transports.Console).silent = true;
+  const siteLogger = logger.child({ site: 'growly', phase: 'post' });
+  siteLogger.info('Not written');
+  siteLogger.error('Error sending data');
+
+  assert.deepEqual((await readEntries('scrape_all.log', 1)).map(({ site, phase, message }) => ({ site, phase, message })), [
+    { site: 'growly', phase: 'post', message: 'Error sending data' },
+  ]);
+});
@@ -0,0 +1,90 @@
+// tests/placeholders.test.js
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { createImageStore } from '../lib/image_store.js';
+import {
+  createPlaceholder,
+  fillPlaceholders,
+  isPlaceholderImage,
+  placeholderColor,
+  renderPlaceholder,
+  renderPlaceholderSvg,
+  wrapText,
+  PLACEHOLDER_SIZE,
+} from '../lib/placeholders.js';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'placeholders-'));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const newStore = (name) => createImageStore({ dir: path.join(root, name), manifestPath: path.join(root, name, 'manifest.json') });
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {} };
+
+const event = {
+  title: '十一月例会',
+  venue: 'Kyoto Kanze',
+  date_start: '2024-11-23',
+  date_end: '2024-11-23',
+  categories: ['Theatre'],
+  image_url: '/images/events/kyoto_kanze/placeholder.jpg',
+};
+
+test('isPlaceholderImage recognises the fallbacks scrapers use', () => {
+  for (const fallback of [null, '', 'No image available', '/images/events/kyoto_kanze/placeholder.jpg',
+    '/images/events/placeholder_kch.jpg', '/images/events/rohm_theatre/placeholder_rohm.png']) {
+    assert.equal(isPlaceholderImage(fallback), true, fallback);
+  }
+  assert.equal(isPlaceholderImage('/images/store/ab/ab12.jpg'), false);
+  assert.equal(isPlaceholderImage('https://growly.net/images/default_event.jpg'), false);
+});
+
+test('wrapText breaks Latin text between words and Japanese anywhere', () => {
+  assert.deepEqual(wrapText('An Evening of Contemporary Jazz', 6, 5), ['An Evening', 'of', 'Contemporary', 'Jazz']);
+  assert.deepEqual(wrapText('京都観世会十一月例会', 4, 5), ['京都観世', '会十一月', '例会']);
+  assert.deepEqual(wrapText('京都観世会十一月例会', 4, 2), ['京都観世', '会十一…']);
+});
+
+test('placeholderColor follows the category, or stays the same for a venue', () => {
+  assert.equal(placeholderColor({ categories: ['Paid Event', 'Music'] }), placeholderColor({ categories: ['Music'] }));
+  assert.notEqual(placeholderColor({ categories: ['Music'] }), placeholderColor({ categories: ['Theatre'] }));
+  assert.equal(placeholderColor({ venue: 'GROWLY', categories: [] }), placeholderColor({ venue: { name: 'GROWLY' } }));
+});
+
+test('renderPlaceholder draws the title, venue, dates and category as a JPEG', async () => {
+  const svg = renderPlaceholderSvg({ ...event, title: 'A & B <Live>' });
+  assert.match(svg, /A &amp; B &lt;Live&gt;/);
+  assert.match(svg, /Kyoto Kanze/);
+  assert.match(svg, /23 Nov 2024/);
+  assert.match(svg, /THEATRE/);
+  assert.match(renderPlaceholderSvg({ ...event, date_end: '2025-01-02' }), /23 Nov 2024 – 2 Jan 2025/);
+
+  const { format, width, height } = await sharp(await renderPlaceholder(event)).metadata();
+  assert.deepEqual({ format, width, height }, { format: 'jpeg', ...PLACEHOLDER_SIZE });
+});
+
+test('createPlaceholder stores a placeholder once per title, venue and dates', async () => {
+  const store = newStore('create');
+  const first = await createPlaceholder(event, { site: 'kyoto_kanze', store });
+  const again = await createPlaceholder({ ...event, description: 'changed' }, { site: 'kyoto_kanze', store });
+  const other = await createPlaceholder({ ...event, date_start: '2024-12-08', date_end: '2024-12-08' }, { site: 'kyoto_kanze', store });
+
+  assert.match(first, /^\/images\/store\/[0-9a-f]{2}\/[0-9a-f]{64}\.jpg\?w=800$/);
+  assert.equal(again, first);
+  assert.notEqual(other, first);
+  assert.equal(store.stats().files, 2);
+});
+
+test('fillPlaceholders replaces only fallback images', async () => {
+  const store = newStore('fill');
+  const withFlyer = { ...event, title: 'With a flyer', image_url: '/images/store/ab/ab12.jpg' };
+  const [filled, kept] = await fillPlaceholders([event, withFlyer], { site: 'kyoto_kanze', logger: silentLogger, store });
+
+  assert.ok(!isPlaceholderImage(filled.image_url));
+  assert.equal(filled.title, event.title);
+  assert.equal(kept, withFlyer);
+});
@@ -0,0 +1,128 @@
+// tests/prices.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeTier, parsePrices } from '../lib/prices.js';
+
+// The fields of each price a test cares about
+const summary = (text, fields = ['price_tier', 'original_label', 'amount']) => parsePrices(text).map((price) =>
+  Object.fromEntries(fields.map((field) => [field, price[field]])));
+
+test('normalizeTier maps Japanese and English labels to English tiers', () => {
+  assert.equal(normalizeTier('前売'), 'Advance');
+  assert.equal(normalizeTier('当日券'), 'Door');
+  assert.equal(normalizeTier('DOOR'), 'Door');
+  assert.equal(normalizeTier('一般前売'), 'Advance');
+  assert.equal(normalizeTier('学生前売'), 'Advance Student');
+  assert.equal(normalizeTier('小学生以下'), 'Child');
+  assert.equal(normalizeTier('シニア(65歳以上)'), 'Senior');
+  assert.equal(normalizeTier('Ｓ席'), 'S Seat');
+  assert.equal(normalizeTier('All seats reserved'), 'Reserved Seat');
+  assert.equal(normalizeTier('Under 22'), 'Under 22');
+});
+
+test('normalizeTier falls back to General, Free or the label itself', () => {
+  assert.equal(normalizeTier(null), 'General');
+  assert.equal(normalizeTier('料金'), 'General');
+  assert.equal(normalizeTier('入場料', 0), 'Free');
+  assert.equal(normalizeTier('次世代応援シート'), '次世代応援シート');
+});
+
+test('parsePrices reads advance and door prices on one line or several', () => {
+  const expected = [
+    { price_tier: 'Advance', original_label: '前売', amount: 2500 },
+    { price_tier: 'Door', original_label: '当日', amount: 3000 },
+  ];
+  assert.deepEqual(summary('前売¥2500/当日¥3000'), expected);
+  assert.deepEqual(summary('前売￥2,500<br>当日￥3,000'), expected);
+  assert.deepEqual(summary('前売 2,500円　当日 3,000円'), expected);
+});
+
+test('parsePrices pairs slash-separated labels with their amounts', () => {
+  assert.deepEqual(summary('ADV/DOOR ¥2,000/¥2,500'), [
+    { price_tier: 'Advance', original_label: 'ADV', amount: 2000 },
+    { price_tier: 'Door', original_label: 'DOOR', amount: 2500 },
+  ]);
+});
+
+test('parsePrices reads drink charges', () => {
+  const fields = ['price_tier', 'drinks', 'drink_charge'];
+  assert.deepEqual(summary('ADV/DOOR ¥2,000/¥2,500 +1D', fields), [
+    { price_tier: 'Advance', drinks: 1, drink_charge: null },
+    { price_tier: 'Door', drinks: 1, drink_charge: null },
+  ]);
+  assert.deepEqual(summary('¥2000+2ドリンク', fields), [{ price_tier: 'General', drinks: 2, drink_charge: null }]);
+  assert.deepEqual(summary('前売￥3,000<br>当日￥3,500(1ドリンク別)', fields), [
+    { price_tier: 'Advance', drinks: null, drink_charge: null },
+    { price_tier: 'Door', drinks: 1, drink_charge: null },
+  ]);
+  assert.deepEqual(summary('一般 3,000円\n※別途1ドリンク代600円', fields), [{ price_tier: 'General', drinks: 1, drink_charge: 600 }]);
+  assert.equal(parsePrices('3Dプリンター講座 ¥3,000')[0].drinks, null);
+});
+
+test('parsePrices reads tax notes, ranges and other notes', () => {
+  const [taxed] = parsePrices('一般￥3,000(税込)');
+  assert.equal(taxed.tax, 'included');
+  assert.equal(taxed.discount_info, null);
+  assert.equal(parsePrices('¥3,000 +tax')[0].tax, 'excluded');
+
+  const [range] = parsePrices('一般 1,000〜3,000円（全席自由）');
+  assert.deepEqual(
+    { amount: range.amount, amount_max: range.amount_max, discount_info: range.discount_info },
+    { amount: 1000, amount_max: 3000, discount_info: '全席自由' }
+  );
+});
+
+test('parsePrices reads free admission, alone or for one tier', () => {
+  assert.deepEqual(summary('入場無料'), [{ price_tier: 'Free', original_label: '入場', amount: 0 }]);
+  assert.deepEqual(summary('Admission free'), [{ price_tier: 'Free', original_label: 'Admission', amount: 0 }]);
+  assert.deepEqual(summary('一般 ¥1,000 / 小学生以下無料'), [
+    { price_tier: 'General', original_label: '一般', amount: 1000 },
+    { price_tier: 'Child', original_label: '小学生以下', amount: 0 },
+  ]);
+});
+
+test('parsePrices ignores numbers that are not prices', () => {
+  assert.deepEqual(parsePrices('開演 19:00'), []);
+  assert.deepEqual(parsePrices(null), []);
+  assert.deepEqual(summary('4,000円 / 1名'), [{ price_tier: 'General', original_label: null, amount: 4000 }]);
+});
+
+test('parsePrices types the prices that are not a number', () => {
+  const fields = ['price_tier', 'price_type', 'amount'];
+  assert.deepEqual(summary('投げ銭', fields), [{ price_tier: 'Donation', price_type: 'donation', amount: null }]);
+  assert.deepEqual(summary('投げ銭 (¥1,000〜)', fields), [{ price_tier: 'Donation', price_type: 'donation', amount: 1000 }]);
+  assert.deepEqual(summary('Pay what you want', fields), [{ price_tier: 'Pay What You Want', price_type: 'pay_what_you_want', amount: null }]);
+  assert.deepEqual(summary('料金未定', fields), [{ price_tier: 'General', price_type: 'tba', amount: null }]);
+  assert.deepEqual(summary('詳細は後日発表', fields), [{ price_tier: 'General', price_type: 'tba', amount: null }]);
+  assert.equal(parsePrices('入場無料')[0].price_type, 'free');
+});
+
+test('parsePrices keeps sold-out tiers and their prices', () => {
+  const fields = ['price_tier', 'price_type', 'amount', 'sold_out'];
+  assert.deepEqual(summary('ADV ¥2,500 (完売) / DOOR ¥3,000', fields), [
+    { price_tier: 'Advance', price_type: 'fixed', amount: 2500, sold_out: true },
+    { price_tier: 'Door', price_type: 'fixed', amount: 3000, sold_out: false },
+  ]);
+  assert.deepEqual(summary('前売 SOLD OUT<br>当日￥3,000', fields), [
+    { price_tier: 'Advance', price_type: 'tba', amount: null, sold_out: true },
+    { price_tier: 'Door', price_type: 'fixed', amount: 3000, sold_out: false },
+  ]);
+  assert.deepEqual(summary('ADV SOLD OUT / DOOR ¥3,000', fields), [
+    { price_tier: 'Advance', price_type: 'tba', amount: null, sold_out: true },
+    { price_tier: 'Door', price_type: 'fixed', amount: 3000, sold_out: false },
+  ]);
+  assert.deepEqual(summary('前売¥2500\nSOLD OUT', fields), [{ price_tier: 'Advance', price_type: 'fixed', amount: 2500, sold_out: true }]);
+  assert.deepEqual(summary('SOLD OUT', fields), [{ price_tier: 'General', price_type: 'tba', amount: null, sold_out: true }]);
+});
+
+test('parsePrices reads foreign currencies', () => {
+  const fields = ['price_tier', 'amount', 'currency'];
+  assert.deepEqual(summary('General $20 / Students $10.50', fields), [
+    { price_tier: 'General', amount: 20, currency: 'USD' },
+    { price_tier: 'Student', amount: 10.5, currency: 'USD' },
+  ]);
+  assert.deepEqual(summary('15 EUR', fields), [{ price_tier: 'General', amount: 15, currency: 'EUR' }]);
+  assert.deepEqual(summary('NT$500', fields), [{ price_tier: 'General', amount: 500, currency: 'TWD' }]);
+  assert.equal(parsePrices('一般 ¥3,000')[0].currency, 'JPY');
+});
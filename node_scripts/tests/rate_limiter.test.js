@@ -0,0 +1,94 @@
+// tests/rate_limiter.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter } from '../lib/rate_limiter.js';
+
+// A limiter on a fake clock that only moves when the limiter sleeps
+const fakeLimiter = ({ random = () => 0 } = {}) => {
+  let clock = 0;
+  const starts = [];
+  const limiter = createRateLimiter({
+    now: () => clock,
+    sleep: async (ms) => {
+      clock += ms;
+    },
+    random,
+  });
+  const request = (url, policy, fn = async () => {}) => limiter.schedule(url, async () => {
+    starts.push(clock);
+    return fn();
+  }, policy);
+  return { request, starts };
+};
+
+const POLICY = { requestsPerMinute: 100, minGapMs: 1000, jitterMs: 0, maxConcurrent: 1 };
+
+test('requests to a host are spaced by the minimum gap', async () => {
+  const { request, starts } = fakeLimiter();
+  await Promise.all([1, 2, 3].map((n) => request(`https://venue.example/${n}`, POLICY)));
+  assert.deepEqual(starts, [0, 1000, 2000]);
+});
+
+test('jitter adds a random part of jitterMs to the gap', async () => {
+  const { request, starts } = fakeLimiter({ random: () => 0.5 });
+  await Promise.all([1, 2].map((n) => request(`https://venue.example/${n}`, { ...POLICY, jitterMs: 400 })));
+  assert.deepEqual(starts, [0, 1200]);
+});
+
+test('no more than requestsPerMinute requests start within a minute', async () => {
+  const { request, starts } = fakeLimiter();
+  const policy = { ...POLICY, requestsPerMinute: 3, minGapMs: 0, maxConcurrent: 4 };
+  await Promise.all([1, 2, 3, 4].map((n) => request(`https://venue.example/${n}`, policy)));
+  assert.deepEqual(starts, [0, 0, 0, 60000]);
+});
+
+test('a host has no more than maxConcurrent requests in flight; other hosts are not held up', async () => {
+  const { request } = fakeLimiter();
+  const policy = { ...POLICY, minGapMs: 0, maxConcurrent: 2 };
+  let inFlight = 0;
+  let most = 0;
+  const load = async () => {
+    inFlight += 1;
+    most = Math.max(most, inFlight);
+    await new Promise((resolve) => setImmediate(resolve));
+    inFlight -= 1;
+  };
+
+  await Promise.all([1, 2, 3, 4, 5].map((n) => request(`https://venue.example/${n}`, policy, load)));
+  assert.equal(most, 2);
+
+  most = 0;
+  await Promise.all([
+    request('https://venue.example/6', { ...policy, maxConcurrent: 1 }, load),
+    request('https://other.example/1', { ...policy, maxConcurrent: 1 }, load),
+  ]);
+  assert.equal(most, 2);
+});
+
+test('a host follows the strictest policy requested for it, not just the first', async () => {
+  const { request, starts } = fakeLimiter();
+  await request('https://venue.example/1', POLICY);
+  // A robots.txt Crawl-delay merged in by a later request
+  await request('https://venue.example/robots-delayed', { ...POLICY, minGapMs: 5000 });
+  // A looser policy afterwards does not relax it
+  await request('https://venue.example/2', { ...POLICY, minGapMs: 100 });
+  assert.deepEqual(starts, [0, 5000, 10000]);
+
+  let inFlight = 0;
+  let most = 0;
+  const load = async () => {
+    inFlight += 1;
+    most = Math.max(most, inFlight);
+    await new Promise((resolve) => setImmediate(resolve));
+    inFlight -= 1;
+  };
+  const loose = { ...POLICY, minGapMs: 0, maxConcurrent: 3 };
+  await request('https://strict.example/1', loose, load);
+  await Promise.all([
+    request('https://strict.example/2', { ...loose, maxConcurrent: 1 }, load),
+    request('https://strict.example/3', loose, load),
+    request('https://strict.example/4', loose, load),
+  ]);
+  assert.equal(most, 1);
+});
@@ -0,0 +1,66 @@
+// tests/registry.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getScraper, scrapers, selectScrapers } from '../registry.js';
+import { parseCliArgs } from '../scrape_all.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SCRAPE_ALL = path.resolve(__dirname, '..', 'scrape_all.js');
+
+const names = (selected) => selected.map((scraper) => scraper.name);
+
+// Runs scrape_all.js with arguments that never start a scrape
+const scrapeAll = (...args) => spawnSync(process.execPath, [SCRAPE_ALL, ...args], { encoding: 'utf-8', timeout: 60000 });
+
+test('selectScrapers keeps registry order and applies --only and --exclude', () => {
+  assert.deepEqual(names(selectScrapers()), names(scrapers));
+  assert.deepEqual(names(selectScrapers({ only: ['growly', 'kyoto_kanze'] })), ['kyoto_kanze', 'growly']);
+  assert.deepEqual(names(selectScrapers({ only: ['growly', 'kyoto_kanze'], exclude: ['growly'] })), ['kyoto_kanze']);
+  assert.equal(selectScrapers({ exclude: ['growly'] }).length, scrapers.length - 1);
+  assert.equal(getScraper('growly').name, 'growly');
+});
+
+test('selectScrapers rejects names that are not registered', () => {
+  assert.throws(() => selectScrapers({ only: ['growly', 'nowhere'], exclude: ['elsewhere'] }),
+    /Unknown scraper\(s\): nowhere, elsewhere/);
+});
+
+test('parseCliArgs reads comma-separated and repeated names', () => {
+  const options = parseCliArgs(['--only', 'growly, kyoto_kanze', '--only', 'waondo', '--exclude', 'fabcafe,']);
+  assert.deepEqual(options.only, ['growly', 'kyoto_kanze', 'waondo']);
+  assert.deepEqual(options.exclude, ['fabcafe']);
+  assert.equal(options.mode, 'live');
+  assert.deepEqual([options.list, options.help, options.health, options.resume], [false, false, false, false]);
+  assert.deepEqual([parseCliArgs(['--list']).list, parseCliArgs(['-h']).help], [true, true]);
+});
+
+test('parseCliArgs validates --concurrency and conflicting modes', () => {
+  assert.equal(parseCliArgs(['--concurrency', '5']).concurrency, 5);
+  for (const value of ['0', '-1', '1.5', 'two']) {
+    assert.throws(() => parseCliArgs([`--concurrency=${value}`]), /--concurrency must be a positive integer/);
+  }
+  assert.equal(parseCliArgs(['--replay']).mode, 'replay');
+  assert.throws(() => parseCliArgs(['--record', '--replay']), /cannot be used together/);
+  assert.throws(() => parseCliArgs(['--resume', '--record']), /--resume only applies to live runs/);
+  assert.throws(() => parseCliArgs(['--nope']), /Unknown option '--nope'/);
+});
+
+test('scrape_all.js --list and --help print and exit without scraping', () => {
+  const list = scrapeAll('--list', '--only', 'growly,kyoto_kanze');
+  assert.equal(list.status, 0);
+  const rows = list.stdout.trim().split('\n');
+  assert.match(rows[0], /^NAME\s+DISPLAY NAME\s+VENUE\s+SCHEDULE$/);
+  assert.deepEqual(rows.slice(1).map((row) => row.split(/\s+/)[0]), ['kyoto_kanze', 'growly']);
+
+  const help = scrapeAll('--help');
+  assert.equal(help.status, 0);
+  assert.match(help.stdout, /^Usage: node scrape_all\.js/);
+
+  const unknown = scrapeAll('--list', '--only', 'nowhere');
+  assert.equal(unknown.status, 1);
+  assert.match(unknown.stderr, /Unknown scraper\(s\): nowhere/);
+});
@@ -0,0 +1,73 @@
+// tests/replay.test.js
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRecorder, loadRecording } from '../lib/recording.js';
+import { createReplayBrowser } from '../lib/replay_browser.js';
+
+const LISTING_URL = 'https://venue.example/schedule/';
+
+let dir;
+let recording;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+  const recorder = createRecorder('venue', { dir, now: new Date('2024-11-01T00:00:00Z') });
+  recorder.savePage(LISTING_URL, `<!DOCTYPE html><html><body>
+    <ul id="events">
+      <li><a href="/events/1">First<br>Night</a><p>¥3,000</p></li>
+      <li><a href="/events/2">Second</a></li>
+    </ul>
+  </body></html>`, 'https://venue.example/schedule/index.html');
+  recorder.saveCapture('modal:0', '<div class="title">First Night</div>');
+  recorder.saveImage('/img/1.jpg', '/images/events/venue/1.jpg');
+  recorder.finish();
+  recording = loadRecording('venue', { dir });
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('loadRecording returns what the recorder saved', () => {
+  assert.equal(recording.recordedAt.toISOString(), '2024-11-01T00:00:00.000Z');
+  assert.equal(recording.page(LISTING_URL).finalUrl, 'https://venue.example/schedule/index.html');
+  assert.equal(recording.page('https://venue.example/other'), null);
+  assert.equal(recording.capture('modal:0'), '<div class="title">First Night</div>');
+  assert.equal(recording.hasImage('/img/1.jpg'), true);
+});
+
+test('loadRecording fails clearly when a site was never recorded', () => {
+  assert.throws(() => loadRecording('unknown', { dir }), /No recording for unknown/);
+});
+
+test('replay pages support the puppeteer calls the scrapers use', async () => {
+  const browser = createReplayBrowser(recording);
+  const page = await browser.newPage();
+  await page.goto(LISTING_URL);
+
+  assert.equal(page.url(), 'https://venue.example/schedule/index.html');
+  assert.deepEqual(
+    await page.$$eval('#events a', (links) => links.map((a) => a.href)),
+    ['https://venue.example/events/1', 'https://venue.example/events/2']
+  );
+  assert.equal(await page.$eval('#events a', (a) => a.innerText), 'First\nNight');
+
+  const items = await page.$$('#events li');
+  assert.equal(items.length, 2);
+  assert.equal(await items[0].$eval('p', (p, prefix) => prefix + p.textContent, 'Price: '), 'Price: ¥3,000');
+  await assert.rejects(items[1].$eval('p', (p) => p.textContent), /failed to find element/);
+
+  await page.waitForSelector('#events');
+  await assert.rejects(page.waitForSelector('#modal'), { name: 'TimeoutError' });
+  assert.equal(await page.waitForSelector('#modal', { hidden: true }), null);
+
+  await browser.close();
+  assert.equal(page.isClosed(), true);
+});
+
+test('replay pages refuse URLs that were not recorded', async () => {
+  const page = await createReplayBrowser(recording).newPage();
+  await assert.rejects(page.goto('https://venue.example/events/1'), /No recorded page/);
+});
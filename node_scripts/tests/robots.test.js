@@ -0,0 +1,155 @@
+// tests/robots.test.js
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { parseRobotsTxt, selectGroup, findRule, createRobotsChecker } from '../lib/robots.js';
+
+const ROBOTS_TXT = `
+# Kyoto venue robots.txt
+User-agent: *
+Disallow: /admin/
+Disallow: /*.pdf$
+Allow: /admin/public/
+Crawl-delay: 5
+
+User-agent: KyotureBot
+User-agent: OtherBot
+Disallow: /schedule/private
+Crawl-delay: 2
+`;
+
+const servers = [];
+let robotsRequests = 0;
+
+// Starts a local stand-in venue site that answers every path from routes
+const serve = async (routes) => {
+  const server = http.createServer((request, response) => {
+    if (request.url === '/robots.txt') {
+      robotsRequests += 1;
+    }
+    const route = routes[request.url] || { status: 404, body: '' };
+    response.writeHead(route.status, { 'Content-Type': 'text/plain' });
+    response.end(route.body);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  servers.push(server);
+  return `http://127.0.0.1:${server.address().port}`;
+};
+
+let origin;
+
+before(async () => {
+  origin = await serve({ '/robots.txt': { status: 200, body: ROBOTS_TXT } });
+});
+
+after(() => Promise.all(servers.map((server) => new Promise((resolve) => server.close(resolve)))));
+
+test('parseRobotsTxt groups consecutive User-agent lines', () => {
+  const groups = parseRobotsTxt(ROBOTS_TXT);
+  assert.equal(groups.length, 2);
+  assert.deepEqual(groups[1].agents, ['kyoturebot', 'otherbot']);
+  assert.equal(groups[0].crawlDelay, 5);
+  assert.deepEqual(groups[0].rules[0], { allow: false, path: '/admin/' });
+});
+
+test('selectGroup prefers the group naming our agent over *', () => {
+  const groups = parseRobotsTxt(ROBOTS_TXT);
+  assert.equal(selectGroup(groups, 'KyotureBot').crawlDelay, 2);
+  assert.equal(selectGroup(groups, 'SomeOtherCrawler').crawlDelay, 5);
+});
+
+test('findRule applies the longest match, wildcards and end anchors', () => {
+  const { rules } = selectGroup(parseRobotsTxt(ROBOTS_TXT), 'SomeOtherCrawler');
+  assert.equal(findRule(rules, '/admin/settings').allow, false);
+  assert.equal(findRule(rules, '/admin/public/info').allow, true);
+  assert.equal(findRule(rules, '/files/flyer.pdf').allow, false);
+  assert.equal(findRule(rules, '/files/flyer.pdf?download=1'), null);
+  assert.equal(findRule(rules, '/events/'), null);
+});
+
+test('checker honors Disallow and Crawl-delay from the server', async () => {
+  const checker = createRobotsChecker({ userAgent: 'KyotureBot' });
+
+  const allowed = await checker.check(`${origin}/schedule/2024-12`);
+  assert.equal(allowed.allowed, true);
+  assert.equal(allowed.crawlDelayMs, 2000);
+
+  const disallowed = await checker.check(`${origin}/schedule/private/vip`);
+  assert.equal(disallowed.allowed, false);
+  assert.equal(disallowed.rule, 'Disallow: /schedule/private');
+});
+
+test('checker caches robots.txt per origin until the TTL expires', async () => {
+  let clock = 0;
+  const checker = createRobotsChecker({ userAgent: 'KyotureBot', ttlMs: 1000, now: () => clock });
+  robotsRequests = 0;
+
+  await checker.check(`${origin}/a`);
+  await checker.check(`${origin}/b`);
+  assert.equal(robotsRequests, 1);
+
+  clock = 1500;
+  await checker.check(`${origin}/c`);
+  assert.equal(robotsRequests, 2);
+});
+
+test('a missing robots.txt allows everything, an unreachable one allows nothing', async () => {
+  const checker = createRobotsChecker({ userAgent: 'KyotureBot' });
+
+  const missingOrigin = await serve({});
+  const missing = await checker.check(`${missingOrigin}/anything`);
+  assert.equal(missing.allowed, true);
+
+  const brokenOrigin = await serve({ '/robots.txt': { status: 503, body: 'Unavailable' } });
+  const broken = await checker.check(`${brokenOrigin}/anything`);
+  assert.equal(broken.allowed, false);
+  assert.match(broken.error, /HTTP 503/);
+});
+
+test('an unreachable robots.txt is fetched again after the short failure TTL', async () => {
+  let clock = 0;
+  let status = 503;
+  const fetched = [];
+  const checker = createRobotsChecker({
+    userAgent: 'KyotureBot',
+    ttlMs: 10000,
+    failureTtlMs: 100,
+    now: () => clock,
+    fetchText: async (url) => {
+      fetched.push(url);
+      if (status === null) {
+        throw new Error('connect ECONNREFUSED');
+      }
+      return { status, body: status === 200 ? ROBOTS_TXT : '' };
+    },
+  });
+
+  assert.equal((await checker.check('https://venue.example/schedule/')).allowed, false);
+  clock = 50;
+  assert.equal((await checker.check('https://venue.example/schedule/')).allowed, false);
+  assert.equal(fetched.length, 1);
+
+  clock = 150;
+  status = null;
+  assert.match((await checker.check('https://venue.example/schedule/')).error, /ECONNREFUSED/);
+  assert.equal(fetched.length, 2);
+
+  clock = 300;
+  status = 200;
+  assert.equal((await checker.check('https://venue.example/schedule/')).allowed, true);
+  assert.equal(fetched.length, 3);
+
+  // A successful fetch keeps the full TTL
+  clock = 5000;
+  await checker.check('https://venue.example/schedule/');
+  assert.equal(fetched.length, 3);
+});
+
+test('skip records URLs for the report', () => {
+  const checker = createRobotsChecker();
+  checker.skip('waondo', 'https://www.waondo.net/private', 'Disallow: /private');
+  assert.deepEqual(checker.skipped, [
+    { site: 'waondo', url: 'https://www.waondo.net/private', rule: 'Disallow: /private' },
+  ]);
+});
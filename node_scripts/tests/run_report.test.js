@@ -0,0 +1,102 @@
+// tests/run_report.test.js
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRunReport, renderRunReportHtml, summarizeDiff, writeRunReport } from '../lib/run_report.js';
+
+// A clock that moves on by `stepMs` every time it is read
+const fakeClock = (start, stepMs) => {
+  let time = new Date(start).getTime();
+  return () => {
+    const now = new Date(time);
+    time += stepMs;
+    return now;
+  };
+};
+
+const sampleReport = () => {
+  const runReport = createRunReport({
+    mode: 'live',
+    now: new Date('2024-11-15T03:00:00Z'),
+    clock: fakeClock('2024-11-15T03:00:00Z', 5000),
+  });
+
+  const growly = runReport.site('growly');
+  Object.assign(growly, { pagesVisited: 12, eventsFound: 10, eventsValid: 10, backend: { status: 200, error: null } });
+  runReport.finishSite(growly);
+
+  const waondo = runReport.site('waondo');
+  Object.assign(waondo, {
+    pagesVisited: 3,
+    eventsFound: 2,
+    eventsValid: 1,
+    rejected: [{ index: 1, title: '<b>Live</b>', errors: [{ field: 'date_start', message: '"date_start" is required' }] }],
+  });
+  waondo.imageFailures.push({ url: 'https://waondo.example/a.jpg', error: 'Request failed with status code 404' });
+  runReport.finishSite(waondo);
+
+  const fanj = runReport.site('kyoto_fanj');
+  fanj.error = 'Request failed with status code 500';
+  runReport.finishSite(fanj);
+
+  return runReport.finish({ robotsSkipped: [{ site: 'growly', url: 'https://growly.example/private', rule: 'Disallow: /private' }] });
+};
+
+test('createRunReport records each site with its duration and status', () => {
+  const report = sampleReport();
+
+  assert.equal(report.runId, '20241115-030000');
+  assert.deepEqual(report.sites.map(({ site, status, durationMs }) => ({ site, status, durationMs })), [
+    { site: 'growly', status: 'ok', durationMs: 5000 },
+    { site: 'waondo', status: 'warning', durationMs: 5000 },
+    { site: 'kyoto_fanj', status: 'failed', durationMs: 5000 },
+  ]);
+  assert.equal(report.finishedAt, '2024-11-15T03:00:30.000Z');
+  assert.equal(report.robotsSkipped.length, 1);
+});
+
+test('summarizeDiff keeps titles, dates and flags only', () => {
+  const event = (title, date_start) => ({ title, date_start, description: 'long text' });
+  assert.equal(summarizeDiff(null), null);
+  assert.deepEqual(summarizeDiff({
+    added: [event('New', '2024-12-01')],
+    removed: [{ event: event('Gone', '2024-12-02'), possibly_cancelled: true }],
+    changed: [{ before: event('Live', '2024-12-03'), after: event('【中止】Live', '2024-12-03'), fields: ['title'], flag: 'cancelled' }],
+    kept: [event('Unread', '2024-12-04')],
+    suspect: false,
+    incomplete: false,
+  }), {
+    added: [{ title: 'New', date_start: '2024-12-01' }],
+    removed: [{ title: 'Gone', date_start: '2024-12-02', possibly_cancelled: true }],
+    changed: [{ title: '【中止】Live', date_start: '2024-12-03', fields: ['title'], flag: 'cancelled' }],
+    kept: [{ title: 'Unread', date_start: '2024-12-04' }],
+    suspect: false,
+    incomplete: false,
+  });
+});
+
+test('renderRunReportHtml shows every site and escapes scraped text', () => {
+  const html = renderRunReportHtml(sampleReport());
+
+  assert.match(html, /<tr class="ok">\s*<td>growly<\/td>/);
+  assert.match(html, /<tr class="failed">\s*<td>kyoto_fanj<\/td>/);
+  assert.match(html, /#1 &lt;b&gt;Live&lt;\/b&gt;/);
+  assert.match(html, /https:\/\/waondo.example\/a.jpg: Request failed with status code 404/);
+  assert.match(html, /\[growly\] https:\/\/growly.example\/private \(Disallow: \/private\)/);
+  assert.doesNotMatch(html, /<b>Live<\/b>/);
+});
+
+test('writeRunReport writes the run and points latest at it', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reports-'));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const report = sampleReport();
+  const paths = writeRunReport(report, { dir });
+
+  assert.equal(paths.json, path.join(dir, '20241115-030000', 'report.json'));
+  assert.deepEqual(JSON.parse(fs.readFileSync(paths.json, 'utf-8')), report);
+  assert.equal(fs.readFileSync(path.join(dir, 'latest.html'), 'utf-8'), fs.readFileSync(paths.html, 'utf-8'));
+});
@@ -0,0 +1,68 @@
+// tests/scrapers.test.js
+//
+// Regression tests for every venue scraper. Each site has a fixture under
+// fixtures/<site>/ in the recording format (see lib/recording.js), which the
+// scraper replays offline, and a golden expected.json holding the titles,
+// dates, schedules and prices it must extract from it.
+//
+// After an intended change to extraction, rewrite the goldens with
+// `UPDATE_GOLDEN=1 npm run test:scrapers` and review the diff.
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { scrapers } from '../registry.js';
+import { validateEvents } from '../lib/event_schema.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === '1';
+
+// The fields the goldens pin down; the rest of an event is free to change
+const project = ({ title, date_start, date_end, schedule, prices, ticket_status, ticket_release_date }) => ({
+  title, date_start, date_end, schedule, prices, ticket_status, ticket_release_date,
+});
+
+before(() => {
+  for (const scraper of scrapers) {
+    scraper.logger.silent = true;
+  }
+});
+
+test('every registered scraper has a fixture', () => {
+  const missing = scrapers
+    .map((scraper) => scraper.name)
+    .filter((name) => !fs.existsSync(path.join(FIXTURES_DIR, name, 'manifest.json')));
+  assert.deepEqual(missing, []);
+});
+
+for (const scraper of scrapers) {
+  test(`${scraper.name} extracts the events in its fixture`, async () => {
+    const events = await scraper.run({ mode: 'replay', recordingsDir: FIXTURES_DIR });
+    const { valid, invalid } = validateEvents(events);
+
+    assert.deepEqual(invalid, [], 'every extracted event passes the schema');
+    assert.ok(valid.length > 0, 'the fixture yields events');
+
+    const actual = valid.map(project);
+    const goldenPath = path.join(FIXTURES_DIR, scraper.name, 'expected.json');
+    if (UPDATE_GOLDEN) {
+      fs.writeFileSync(goldenPath, `${JSON.stringify(actual, null, 2)}\n`, 'utf-8');
+      return;
+    }
+
+    assert.ok(fs.existsSync(goldenPath), `${goldenPath} is missing; run with UPDATE_GOLDEN=1 to create it`);
+    assert.deepEqual(actual, JSON.parse(fs.readFileSync(goldenPath, 'utf-8')));
+  });
+}
+
+for (const scraper of scrapers) {
+  test(`${scraper.name} finds its critical selectors in its fixture`, async () => {
+    const results = await scraper.checkHealth({ mode: 'replay', recordingsDir: FIXTURES_DIR });
+    assert.deepEqual(results.filter(({ ok }) => !ok), []);
+  });
+}
@@ -0,0 +1,123 @@
+// tests/snapshots.test.js
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { diffEvents, loadSnapshot, saveSnapshot } from '../lib/snapshots.js';
+
+const now = new Date('2024-11-15T12:00:00');
+
+const event = (title, date_start, fields = {}) => ({
+  title,
+  date_start,
+  date_end: date_start,
+  ticket_status: null,
+  prices: [{ price_tier: 'Advance', amount: 3000 }],
+  ...fields,
+});
+
+const previous = () => [
+  event('Autumn Live', '2024-11-10'),
+  event('Winter Session', '2024-12-01'),
+  event('Year-End Party', '2024-12-28'),
+  event('New Year Live', '2025-01-05'),
+];
+
+test('diffEvents reports added, removed and changed events', () => {
+  const current = [
+    event('Winter Session', '2024-12-01', { prices: [{ price_tier: 'Advance', amount: 3500 }] }),
+    event('Year-End Party', '2024-12-28'),
+    event('New Year Live', '2025-01-05'),
+    event('Spring Live', '2025-03-01'),
+  ];
+  const { added, removed, changed, suspect } = diffEvents(previous(), current, { now });
+
+  assert.deepEqual(added.map(({ title }) => title), ['Spring Live']);
+  assert.deepEqual(changed.map(({ after: { title }, fields }) => ({ title, fields })), [
+    { title: 'Winter Session', fields: ['prices'] },
+  ]);
+  // An event that has already taken place drops off the listing as a matter of course
+  assert.deepEqual(removed, [{ event: previous()[0], possibly_cancelled: false }]);
+  assert.equal(suspect, false);
+});
+
+test('diffEvents flags upcoming events that vanished as possibly cancelled', () => {
+  const current = previous().filter(({ title }) => title !== 'Year-End Party');
+  const { removed } = diffEvents(previous(), current, { now });
+  assert.deepEqual(removed.map(({ event: { title }, possibly_cancelled }) => ({ title, possibly_cancelled })), [
+    { title: 'Year-End Party', possibly_cancelled: true },
+  ]);
+});
+
+test('diffEvents follows titles that gain 中止 or 延期 and events that move', () => {
+  const current = [
+    event('Autumn Live', '2024-11-10'),
+    event('【公演中止】Winter Session', '2024-12-01', { ticket_status: 'cancelled' }),
+    event('Year-End Party', '2024-12-28'),
+    event('New Year Live（延期）', '2025-02-09', { ticket_status: 'postponed' }),
+  ];
+  const { added, removed, changed } = diffEvents(previous(), current, { now });
+
+  assert.deepEqual(added, []);
+  assert.deepEqual(removed, []);
+  assert.deepEqual(changed.map(({ after: { title }, fields, flag }) => ({ title, fields, flag })), [
+    { title: '【公演中止】Winter Session', fields: ['title', 'ticket_status'], flag: 'cancelled' },
+    { title: 'New Year Live（延期）', fields: ['title', 'date_start', 'date_end', 'ticket_status'], flag: 'postponed' },
+  ]);
+});
+
+test('diffEvents does not flag a mass disappearance', () => {
+  const { removed, suspect } = diffEvents(previous(), [event('Winter Session', '2024-12-01')], { now });
+  assert.equal(suspect, true);
+  assert.equal(removed.some(({ possibly_cancelled }) => possibly_cancelled), false);
+});
+
+test('diffEvents keeps events whose detail page failed instead of flagging them', () => {
+  const withLinks = previous().map((item) => ({ ...item, event_link: `https://venue.example/${item.date_start}` }));
+  const current = withLinks.filter(({ title }) => !['Year-End Party', 'New Year Live'].includes(title));
+  const { removed, kept, suspect } = diffEvents(withLinks, current, {
+    now,
+    unreachable: ['https://venue.example/2024-12-28'],
+  });
+
+  assert.deepEqual(kept.map(({ title }) => title), ['Year-End Party']);
+  assert.deepEqual(removed.map(({ event: { title }, possibly_cancelled }) => ({ title, possibly_cancelled })), [
+    { title: 'New Year Live', possibly_cancelled: true },
+  ]);
+  assert.equal(suspect, false);
+});
+
+test('diffEvents keeps the upcoming events of an incomplete listing instead of flagging them', () => {
+  const listed = [
+    ...previous(),
+    event('Spring Live', '2025-03-01'),
+    event('Summer Live', '2025-07-01'),
+    event('Autumn Tour', '2025-10-01'),
+  ];
+  // The page with December's shows did not load; one page out of several stays under the suspect threshold
+  const current = listed.filter(({ date_start }) => !date_start.startsWith('2024-12'));
+
+  const complete = diffEvents(listed, current, { now });
+  assert.equal(complete.removed.filter(({ possibly_cancelled }) => possibly_cancelled).length, 2);
+
+  const { removed, kept, suspect, incomplete } = diffEvents(listed, current, { now, incomplete: true });
+  assert.deepEqual(kept.map(({ title }) => title), ['Winter Session', 'Year-End Party']);
+  assert.deepEqual(removed, []);
+  assert.equal(suspect, false);
+  assert.equal(incomplete, true);
+});
+
+test('saveSnapshot and loadSnapshot keep the last run of each site', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  assert.equal(loadSnapshot('venue', { dir }), null);
+
+  const events = previous();
+  const diff = diffEvents([], events, { now });
+  saveSnapshot('venue', events, diff, { dir, now });
+  assert.deepEqual(loadSnapshot('venue', { dir }), events);
+  assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'venue', 'diff.json'), 'utf-8')).added.length, 4);
+});
@@ -0,0 +1,63 @@
+// tests/ticket_status.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePrices } from '../lib/prices.js';
+import { parseTicketStatus } from '../lib/ticket_status.js';
+
+const now = new Date('2024-11-15T00:00:00');
+const status = (text, options = {}) => parseTicketStatus(text, { now, ...options }).ticket_status;
+
+test('parseTicketStatus reads Japanese and English status labels', () => {
+  assert.equal(status('SOLD OUT!!'), 'sold_out');
+  assert.equal(status('前売券は予定枚数終了'), 'sold_out');
+  assert.equal(status('残りわずか'), 'few_left');
+  assert.equal(status('【公演中止】ワンマンライブ'), 'cancelled');
+  assert.equal(status(null, { title: 'Postponed to spring 2025' }), 'postponed');
+  assert.equal(status('チケット発売中'), 'on_sale');
+  assert.equal(status(['Upcoming', 'S seats ￥9,000']), null);
+  assert.equal(status(null), null);
+});
+
+test('parseTicketStatus prefers cancellation over a sell-out and ignores rain clauses', () => {
+  assert.equal(status('SOLD OUT', { title: 'ワンマンライブ → 公演中止' }), 'cancelled');
+  assert.equal(status('雨天中止 / 入場無料'), null);
+  assert.equal(status(null, { title: '雨天中止 野外ライブ' }), null);
+});
+
+test('parseTicketStatus reads cancellations in descriptions and notes only from explicit labels', () => {
+  const title = 'ワンマンライブ';
+  assert.equal(status('台風等の場合は中止となることがあります。', { title }), null);
+  assert.equal(status('公演中止の場合は払い戻しいたします。', { title }), null);
+  assert.equal(status('延期の場合は、お手持ちのチケットが有効です。', { title }), null);
+  assert.equal(status('The show may be cancelled or postponed in bad weather.', { title }), null);
+
+  assert.equal(status('【公演中止のお知らせ】\n出演者の体調不良のため', { title }), 'cancelled');
+  assert.equal(status(['Sold out', 'Cancelled'], { title }), 'cancelled');
+  assert.equal(status('THIS SHOW HAS BEEN POSTPONED', { title }), 'postponed');
+  assert.equal(status('（延期）', { title }), 'postponed');
+});
+
+test('parseTicketStatus compares release dates with today', () => {
+  assert.deepEqual(parseTicketStatus('Release date：2024.09.14', { now }), {
+    ticket_status: 'on_sale',
+    ticket_release_date: '2024-09-14',
+  });
+  assert.deepEqual(parseTicketStatus('一般発売：12月1日(日)10:00〜', { now, eventDate: '2025-01-20' }), {
+    ticket_status: 'not_on_sale',
+    ticket_release_date: '2024-12-01',
+  });
+  // A release after the show would be next year's; it is this year's and has passed
+  assert.deepEqual(parseTicketStatus('一般発売：10月1日(火)', { now, eventDate: '2024-12-20' }), {
+    ticket_status: 'on_sale',
+    ticket_release_date: '2024-10-01',
+  });
+  assert.equal(status('Release date：-'), null);
+});
+
+test('parseTicketStatus leaves a sold-out tier to the price', () => {
+  const text = 'ADV SOLD OUT / DOOR ¥3,000';
+  assert.equal(status(text, { prices: parsePrices(text) }), null);
+  assert.equal(status('前売 ¥2,500 完売', { prices: parsePrices('前売 ¥2,500 完売') }), 'sold_out');
+  assert.equal(status('Live', { prices: parsePrices('ADV ¥2,500 (完売) / DOOR ¥3,000 (完売)') }), 'sold_out');
+});